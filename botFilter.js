@@ -0,0 +1,125 @@
+// ─── Bot Filter ────────────────────────────────────────────────────────────────
+// Flags wallets that trade like arbitrage / MEV bots so their swaps can be kept
+// out of alerts. Every tracked swap is fed to observe(); a short rolling window
+// of recent swaps per mint is kept in memory.
+//
+// Heuristics (first match wins):
+//   • mev-program — the transaction invoked a known MEV / arb program
+//   • sandwich    — a wallet bought and sold the same mint in one slot, with
+//                   another wallet's buy in that slot
+//   • round-trip  — a wallet bought and sold the same mint (in one slot or
+//                   within roundTripMs) minRoundTrips times within tripWindowMs.
+//                   One quick flip is something people do by hand.
+// A flagged wallet stays flagged for flagTtlMs, so the rest of its stream is
+// caught as it arrives (the legs before the flag have already gone out).
+//
+// Arb programs come and go and are rarely verified, so the built-in list is a
+// starting point only. Extend or correct it without editing code:
+//   • JSON file (MEV_PROGRAMS_FILE, default ./mev-programs.json) — array of
+//     { "programId": "...", "label": "..." }; `"disabled": true` drops an entry.
+//   • MEV_PROGRAMS env — "programId,programId".
+const { readConfigFile } = require('./configFile');
+
+const REASONS = {
+  'mev-program': 'MEV program',
+  'sandwich':    'sandwich',
+  'round-trip':  'round trip',
+};
+
+// Sandwich programs seen attacking memecoin buyers in public MEV reports
+const BUILT_IN_MEV_PROGRAMS = [
+  { programId: 'vpeNALD89BZ4KxNUFjdLmFXBCwtyqBDQ85ouNoax38b', label: 'Sandwich bot (vpe)' },
+  { programId: 'arsc4jbDnzaqcCLByyGo7fg7S2SmcFsWUzQuDtLZh2y', label: 'Sandwich bot (arsc)' },
+];
+
+function createBotDetector({
+  configFile, extraEnv, roundTripMs = 5000, minRoundTrips = 2,
+  tripWindowMs = 60 * 60 * 1000, flagTtlMs = 24 * 60 * 60 * 1000,
+} = {}) {
+  const programs = new Map(); // programId → label
+  const add = (entry) => {
+    if (!entry?.programId) return;
+    if (entry.disabled) { programs.delete(entry.programId); return; }
+    programs.set(entry.programId, entry.label || 'MEV program');
+  };
+  for (const p of [...BUILT_IN_MEV_PROGRAMS, ...readConfigFile(configFile, 'BOTS')]) add(p);
+  for (const id of (extraEnv || '').split(',').map((e) => e.trim()).filter(Boolean)) add({ programId: id });
+
+  const recent  = new Map(); // mint → [{ wallet, side, slot, ts, paired }] oldest first
+  const trips   = new Map(); // wallet → [ts of each round trip] within tripWindowMs
+  const flagged = new Map(); // wallet → { reason, until }
+  const windowMs = Math.max(roundTripMs, 60 * 1000);
+
+  const flag = (wallet, reason, now) => {
+    flagged.set(wallet, { reason, until: now + flagTtlMs });
+    if (flagged.size > 10000) {
+      for (const [w, f] of flagged) if (f.until <= now) flagged.delete(w);
+    }
+    return reason;
+  };
+
+  // → true once the wallet has made minRoundTrips round trips in the window
+  const countTrip = (wallet, ts) => {
+    const list = (trips.get(wallet) || []).filter((t) => ts - t < tripWindowMs);
+    list.push(ts);
+    trips.set(wallet, list);
+    if (trips.size > 10000) {
+      for (const [w, l] of trips) if (ts - l[l.length - 1] >= tripWindowMs) trips.delete(w);
+    }
+    return list.length >= minRoundTrips;
+  };
+
+  const flagReason = (wallet, now = Date.now()) => {
+    const f = wallet ? flagged.get(wallet) : null;
+    if (!f) return null;
+    if (f.until <= now) { flagged.delete(wallet); return null; }
+    return f.reason;
+  };
+
+  return {
+    programCount: () => programs.size,
+    flaggedCount() {
+      const now = Date.now();
+      let n = 0;
+      for (const f of flagged.values()) if (f.until > now) n++;
+      return n;
+    },
+    flagReason,
+
+    // Record one swap leg and return why its wallet looks like a bot, or null.
+    // → 'mev-program' | 'sandwich' | 'round-trip' | null
+    observe({ wallet, mint, side, slot = null, ts = Date.now(), programIds = [] }) {
+      if (!wallet || !mint) return null;
+      const now = Date.now();
+
+      let list = recent.get(mint);
+      if (!list) { list = []; recent.set(mint, list); }
+      while (list.length > 0 && (ts - list[0].ts > windowMs || list.length >= 500)) list.shift();
+
+      const sameSlot = (e) => slot != null && e.slot === slot;
+      let reason = null;
+      let otherLeg = null;
+      const hit = programIds.find((id) => programs.has(id));
+      if (hit) {
+        reason = 'mev-program';
+      } else {
+        // Each leg closes at most one round trip
+        otherLeg = list.find((e) => e.wallet === wallet && e.side !== side && !e.paired &&
+          (sameSlot(e) || Math.abs(ts - e.ts) <= roundTripMs));
+        if (otherLeg) {
+          otherLeg.paired = true;
+          const victim = sameSlot(otherLeg) &&
+            list.some((e) => e.wallet !== wallet && e.side === 'buy' && sameSlot(e));
+          if (victim) reason = 'sandwich';
+          else if (countTrip(wallet, ts)) reason = 'round-trip';
+        }
+      }
+      list.push({ wallet, side, slot, ts, paired: Boolean(otherLeg) });
+
+      if (reason) return flag(wallet, reason, now);
+      return flagReason(wallet, now);
+    },
+  };
+}
+
+module.exports = { createBotDetector, BOT_REASONS: REASONS };
@@ -0,0 +1,182 @@
+// ─── Chart Renderer ────────────────────────────────────────────────────────────
+// Draws a candlestick + volume chart straight into an RGB pixel buffer and
+// encodes it as PNG with zlib — no canvas/native dependency and no external
+// charting service. Price labels use a built-in 5×7 bitmap font (digits only).
+//
+//   renderCandleChart(candles, { from, to, bucketMs, width, height }) → PNG Buffer
+//
+// `candles` are oldest first ({ start, open, high, low, close, volumeUsd }).
+// The x axis is linear in time from `from` to `to`, so quiet buckets show as gaps.
+const zlib = require('zlib');
+
+const COLORS = {
+  background: [19, 23, 34],
+  grid:       [42, 46, 57],
+  text:       [178, 181, 190],
+  up:         [38, 166, 154],
+  down:       [239, 83, 80],
+  upVolume:   [28, 82, 80],
+  downVolume: [104, 46, 50],
+};
+
+// 5×7 glyphs, one string per row, '#' = pixel
+const GLYPHS = {
+  '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+  '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+  '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+  '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+  '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+  'e': ['.....', '.....', '.###.', '#...#', '#####', '#....', '.###.'],
+  ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+};
+const FONT_SCALE = 2;
+const GLYPH_ADVANCE = 6 * FONT_SCALE;
+
+// ── PNG encoding ──
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePng(width, height, rgb) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 2;  // colour type: RGB
+  // compression, filter, interlace all 0
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ── Drawing ──
+function createCanvas(width, height) {
+  const rgb = Buffer.alloc(width * height * 3);
+  const fillRect = (x, y, w, h, color) => {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const i = (py * width + px) * 3;
+        rgb[i] = color[0]; rgb[i + 1] = color[1]; rgb[i + 2] = color[2];
+      }
+    }
+  };
+  const text = (str, x, y, color) => {
+    let cx = x;
+    for (const ch of str) {
+      const glyph = GLYPHS[ch];
+      if (glyph) {
+        glyph.forEach((row, gy) => {
+          for (let gx = 0; gx < row.length; gx++) {
+            if (row[gx] === '#') fillRect(cx + gx * FONT_SCALE, y + gy * FONT_SCALE, FONT_SCALE, FONT_SCALE, color);
+          }
+        });
+      }
+      cx += GLYPH_ADVANCE;
+    }
+  };
+  return { rgb, fillRect, text };
+}
+
+// Axis label — whole numbers from 1 000, 4 significant digits down to 0.01, then an exponent
+function formatAxisPrice(price) {
+  if (price >= 1000) return price.toFixed(0);
+  if (price >= 0.01) return price.toPrecision(4);
+  return price.toExponential(2);
+}
+
+function renderCandleChart(candles, { from, to, bucketMs, width = 800, height = 450 } = {}) {
+  const { rgb, fillRect, text } = createCanvas(width, height);
+  fillRect(0, 0, width, height, COLORS.background);
+
+  const pad = { left: 12, right: 8 * GLYPH_ADVANCE + 12, top: 16, bottom: 16 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const priceH = Math.round(plotH * 0.75);
+  const volTop = pad.top + priceH + 8;
+  const volH = plotH - priceH - 8;
+
+  let high = Math.max(...candles.map((c) => c.high));
+  let low = Math.min(...candles.map((c) => c.low));
+  if (high === low) { high *= 1.01; low *= 0.99; }
+  const span = high - low;
+  high += span * 0.05;
+  low = Math.max(0, low - span * 0.05);
+  const yOf = (price) => pad.top + (1 - (price - low) / (high - low)) * priceH;
+
+  // Grid + price labels
+  const GRID_LINES = 5;
+  for (let i = 0; i <= GRID_LINES; i++) {
+    const price = low + ((high - low) * i) / GRID_LINES;
+    const y = Math.round(yOf(price));
+    for (let x = pad.left; x < pad.left + plotW; x += 6) fillRect(x, y, 3, 1, COLORS.grid);
+    text(formatAxisPrice(price), pad.left + plotW + 8, y - 7, COLORS.text);
+  }
+  fillRect(pad.left, volTop - 4, plotW, 1, COLORS.grid);
+
+  // Candles + volume, positioned by time
+  const slots = Math.max(1, Math.round((to - from) / bucketMs));
+  const slotW = plotW / slots;
+  const bodyW = Math.max(1, Math.floor(slotW * 0.7));
+  const maxVolume = Math.max(...candles.map((c) => c.volumeUsd || 0), 1e-9);
+  for (const c of candles) {
+    const slot = Math.floor((c.start - from) / bucketMs);
+    if (slot < 0 || slot >= slots) continue;
+    const up = c.close >= c.open;
+    const cx = pad.left + slot * slotW + slotW / 2;
+    const bodyTop = yOf(Math.max(c.open, c.close));
+    const bodyBottom = yOf(Math.min(c.open, c.close));
+    fillRect(Math.floor(cx), yOf(c.high), 1, Math.max(1, yOf(c.low) - yOf(c.high)), up ? COLORS.up : COLORS.down);
+    fillRect(cx - bodyW / 2, bodyTop, bodyW, Math.max(1, bodyBottom - bodyTop), up ? COLORS.up : COLORS.down);
+    const vh = ((c.volumeUsd || 0) / maxVolume) * volH;
+    fillRect(cx - bodyW / 2, volTop + volH - vh, bodyW, Math.max(1, vh), up ? COLORS.upVolume : COLORS.downVolume);
+  }
+
+  // Last price marker on the axis
+  const last = candles[candles.length - 1];
+  const lastColor = last.close >= last.open ? COLORS.up : COLORS.down;
+  const ly = Math.round(yOf(last.close));
+  fillRect(pad.left + plotW + 2, ly - 9, pad.right - 4, 18, lastColor);
+  text(formatAxisPrice(last.close), pad.left + plotW + 8, ly - 7, COLORS.background);
+
+  return encodePng(width, height, rgb);
+}
+
+module.exports = { renderCandleChart };
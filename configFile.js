@@ -0,0 +1,22 @@
+// ─── Config Files ──────────────────────────────────────────────────────────────
+// Shared reader for the optional JSON override files (dexes.json, wallets.json,
+// mev-programs.json). Each is an array of entries merged over a built-in list; a
+// missing file is normal, a broken one is logged and skipped so the built-ins
+// still load.
+const fs = require('fs');
+
+// → the file's entries, or [] when it's missing or not a JSON array.
+// `tag` prefixes the log line ("DEX" → "[DEX] Ignoring …").
+function readConfigFile(configFile, tag) {
+  if (!configFile || !fs.existsSync(configFile)) return [];
+  try {
+    const entries = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error('expected a JSON array');
+    return entries;
+  } catch (e) {
+    console.error(`[${tag}] Ignoring ${configFile}:`, e.message);
+    return [];
+  }
+}
+
+module.exports = { readConfigFile };
@@ -0,0 +1,581 @@
+// ─── SQLite Store ──────────────────────────────────────────────────────────────
+// Embedded, transactional persistence (better-sqlite3 — synchronous, so every
+// call below is a plain function, no awaits). Replaces the old subscriptions.json
+// file that was rewritten wholesale on every position change.
+//
+// Tables:
+//   meta              key/value (webhookId, import markers)
+//   subscriptions     one row per (group, mint) — chain, managers/invites as JSON
+//   settings          per-subscription settings object as JSON (shape evolves
+//                     too often for columns; defaults are merged in index.js)
+//   wallet_positions  cost basis, realised PnL and buy/sell counts per (wallet, mint)
+//   seen_signatures   processed tx signatures, so restarts don't re-alert
+//   swaps             every tracked buy/sell (not just posted ones) for recaps,
+//                     with the bot-filter reason when the wallet was flagged
+//   mint_snapshots    hourly market cap / holder count per mint
+//   competitions      buy contests per subscription (standings come from swaps)
+//   wallet_labels     per-group names for wallets ("Dev", "KOL: name")
+//   milestones        holder / market cap levels and ATHs already announced per sub
+//   candles           OHLCV per (mint, interval, bucket start) built from swap prices
+//
+// Schema changes go through MIGRATIONS — append a function, never edit one that
+// has shipped. The applied count lives in PRAGMA user_version.
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+  // 1 — initial schema
+  (db) => db.exec(`
+    CREATE TABLE meta (
+      key   TEXT PRIMARY KEY,
+      value TEXT
+    );
+    CREATE TABLE subscriptions (
+      id         TEXT PRIMARY KEY,
+      chat_id    TEXT NOT NULL,
+      owner_id   TEXT,
+      token_mint TEXT NOT NULL,
+      managers   TEXT NOT NULL DEFAULT '[]',
+      invites    TEXT NOT NULL DEFAULT '[]',
+      created_at INTEGER NOT NULL,
+      UNIQUE (chat_id, token_mint)
+    );
+    CREATE INDEX subscriptions_mint ON subscriptions (token_mint);
+    CREATE TABLE settings (
+      sub_id TEXT PRIMARY KEY REFERENCES subscriptions (id) ON DELETE CASCADE,
+      data   TEXT NOT NULL
+    );
+    CREATE TABLE wallet_positions (
+      wallet           TEXT NOT NULL,
+      mint             TEXT NOT NULL,
+      total_spent_usd  REAL NOT NULL DEFAULT 0,
+      total_tokens     REAL NOT NULL DEFAULT 0,
+      realised_pnl_usd REAL NOT NULL DEFAULT 0,
+      updated_at       INTEGER NOT NULL,
+      PRIMARY KEY (wallet, mint)
+    );
+    CREATE TABLE seen_signatures (
+      signature TEXT PRIMARY KEY,
+      seen_at   INTEGER NOT NULL
+    );
+    CREATE INDEX seen_signatures_at ON seen_signatures (seen_at);
+  `),
+
+  // 2 — swap log + market snapshots (digests)
+  (db) => db.exec(`
+    CREATE TABLE swaps (
+      signature TEXT NOT NULL,
+      mint      TEXT NOT NULL,
+      side      TEXT NOT NULL CHECK (side IN ('buy', 'sell')),
+      wallet    TEXT,
+      usd       REAL NOT NULL DEFAULT 0,
+      sol       REAL NOT NULL DEFAULT 0,
+      tokens    REAL NOT NULL DEFAULT 0,
+      is_new    INTEGER NOT NULL DEFAULT 0,
+      ts        INTEGER NOT NULL,
+      PRIMARY KEY (signature, mint, side)
+    );
+    CREATE INDEX swaps_mint_ts ON swaps (mint, ts);
+    CREATE TABLE mint_snapshots (
+      mint       TEXT NOT NULL,
+      ts         INTEGER NOT NULL,
+      market_cap REAL,
+      holders    INTEGER,
+      PRIMARY KEY (mint, ts)
+    );
+  `),
+
+  // 3 — buy competitions
+  (db) => db.exec(`
+    CREATE TABLE competitions (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      sub_id      TEXT NOT NULL REFERENCES subscriptions (id) ON DELETE CASCADE,
+      status      TEXT NOT NULL DEFAULT 'draft'
+                  CHECK (status IN ('draft', 'scheduled', 'running', 'ended', 'cancelled')),
+      start_at    INTEGER,
+      duration_ms INTEGER NOT NULL,
+      end_at      INTEGER,
+      min_buy_usd REAL NOT NULL DEFAULT 0,
+      ranking     TEXT NOT NULL DEFAULT 'single' CHECK (ranking IN ('single', 'volume')),
+      dq_on_sell  INTEGER NOT NULL DEFAULT 1,
+      show_footer INTEGER NOT NULL DEFAULT 1,
+      winners     TEXT,
+      created_by  TEXT,
+      created_at  INTEGER NOT NULL
+    );
+    CREATE INDEX competitions_sub ON competitions (sub_id, id);
+    CREATE INDEX competitions_status ON competitions (status);
+  `),
+
+  // 4 — per-group wallet labels
+  (db) => db.exec(`
+    CREATE TABLE wallet_labels (
+      chat_id    TEXT NOT NULL,
+      wallet     TEXT NOT NULL,
+      label      TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (chat_id, wallet)
+    );
+  `),
+
+  // 5 — trade counts and first-seen time for /wallet
+  (db) => db.exec(`
+    ALTER TABLE wallet_positions ADD COLUMN buys INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE wallet_positions ADD COLUMN sells INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE wallet_positions ADD COLUMN first_seen_at INTEGER;
+  `),
+
+  // 6 — milestone announcements
+  (db) => db.exec(`
+    CREATE TABLE milestones (
+      sub_id     TEXT NOT NULL REFERENCES subscriptions (id) ON DELETE CASCADE,
+      kind       TEXT NOT NULL CHECK (kind IN ('holders', 'mcap', 'ath')),
+      value      REAL NOT NULL,
+      reached_at INTEGER NOT NULL,
+      PRIMARY KEY (sub_id, kind, value)
+    );
+  `),
+
+  // 7 — price candles. first_ts / last_ts are the trades that set open / close,
+  // so swaps processed out of order still land on the right side.
+  (db) => db.exec(`
+    CREATE TABLE candles (
+      mint       TEXT NOT NULL,
+      interval   TEXT NOT NULL,
+      start      INTEGER NOT NULL,
+      open       REAL NOT NULL,
+      high       REAL NOT NULL,
+      low        REAL NOT NULL,
+      close      REAL NOT NULL,
+      volume_usd REAL NOT NULL DEFAULT 0,
+      volume_sol REAL NOT NULL DEFAULT 0,
+      trades     INTEGER NOT NULL DEFAULT 0,
+      first_ts   INTEGER NOT NULL,
+      last_ts    INTEGER NOT NULL,
+      PRIMARY KEY (mint, interval, start)
+    );
+  `),
+
+  // 8 — chain per subscription (EVM tokens alongside Solana)
+  (db) => db.exec(`
+    ALTER TABLE subscriptions ADD COLUMN chain TEXT NOT NULL DEFAULT 'solana';
+  `),
+
+  // 9 — bot-filter reason per swap, so flagged wallets stay out of stats
+  (db) => db.exec(`
+    ALTER TABLE swaps ADD COLUMN bot_reason TEXT;
+  `),
+];
+
+// Per-group filter for swap stats: @bots = 1 keeps flagged rows (bot filter off),
+// @ignored is a JSON array of the group's ignored wallets
+const COUNTED_SWAP = `(@bots OR bot_reason IS NULL) AND (wallet IS NULL OR wallet NOT IN (SELECT value FROM json_each(@ignored)))`;
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current > MIGRATIONS.length) {
+    throw new Error(`Database schema v${current} is newer than this build (v${MIGRATIONS.length})`);
+  }
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v](db);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+    console.log(`[DB] Migrated schema to v${v + 1}`);
+  }
+}
+
+function rowToCompetition(row) {
+  if (!row) return null;
+  return {
+    id:         row.id,
+    subId:      row.sub_id,
+    status:     row.status,
+    startAt:    row.start_at,
+    durationMs: row.duration_ms,
+    endAt:      row.end_at,
+    minBuyUsd:  row.min_buy_usd,
+    ranking:    row.ranking,
+    dqOnSell:   row.dq_on_sell === 1,
+    showFooter: row.show_footer === 1,
+    winners:    row.winners ? JSON.parse(row.winners) : null,
+    createdBy:  row.created_by,
+    createdAt:  row.created_at,
+  };
+}
+
+function rowToSub(row) {
+  return {
+    id:        row.id,
+    chatId:    row.chat_id,
+    ownerId:   row.owner_id,
+    tokenMint: row.token_mint,
+    chain:     row.chain,
+    settings:  JSON.parse(row.data || '{}'),
+    managers:  JSON.parse(row.managers),
+    invites:   JSON.parse(row.invites),
+  };
+}
+
+// Open (creating if needed) the database at `file`, run pending migrations and,
+// on first run, pull in a legacy subscriptions.json. `newId` assigns ids to
+// pre-multi-token subscriptions that never had one.
+function createStore(file, { legacyJsonFile, newId } = {}) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const q = {
+    getMeta:       db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta:       db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+    listSubs:      db.prepare('SELECT s.*, st.data FROM subscriptions s LEFT JOIN settings st ON st.sub_id = s.id ORDER BY s.created_at, s.rowid'),
+    findSub:       db.prepare('SELECT s.*, st.data FROM subscriptions s LEFT JOIN settings st ON st.sub_id = s.id WHERE s.id = ?'),
+    subsForChat:   db.prepare('SELECT s.*, st.data FROM subscriptions s LEFT JOIN settings st ON st.sub_id = s.id WHERE s.chat_id = ? ORDER BY s.created_at, s.rowid'),
+    upsertSub:     db.prepare(`
+      INSERT INTO subscriptions (id, chat_id, owner_id, token_mint, chain, managers, invites, created_at)
+      VALUES (@id, @chatId, @ownerId, @tokenMint, @chain, @managers, @invites, @createdAt)
+      ON CONFLICT (id) DO UPDATE SET
+        chat_id = excluded.chat_id, owner_id = excluded.owner_id, token_mint = excluded.token_mint,
+        chain = excluded.chain, managers = excluded.managers, invites = excluded.invites`),
+    upsertSettings: db.prepare('INSERT INTO settings (sub_id, data) VALUES (?, ?) ON CONFLICT (sub_id) DO UPDATE SET data = excluded.data'),
+    deleteSub:     db.prepare('DELETE FROM subscriptions WHERE id = ?'),
+    listPositions: db.prepare('SELECT * FROM wallet_positions'),
+    upsertPosition: db.prepare(`
+      INSERT INTO wallet_positions (wallet, mint, total_spent_usd, total_tokens, realised_pnl_usd, buys, sells, first_seen_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (wallet, mint) DO UPDATE SET
+        total_spent_usd = excluded.total_spent_usd, total_tokens = excluded.total_tokens,
+        realised_pnl_usd = excluded.realised_pnl_usd, buys = excluded.buys, sells = excluded.sells,
+        first_seen_at = excluded.first_seen_at, updated_at = excluded.updated_at`),
+    addSeen:       db.prepare('INSERT OR IGNORE INTO seen_signatures (signature, seen_at) VALUES (?, ?)'),
+    recentSeen:    db.prepare('SELECT signature FROM seen_signatures ORDER BY seen_at DESC LIMIT ?'),
+    pruneSeen:     db.prepare('DELETE FROM seen_signatures WHERE seen_at < ?'),
+    addSwap:       db.prepare(`
+      INSERT OR IGNORE INTO swaps (signature, mint, side, wallet, usd, sol, tokens, is_new, ts, bot_reason)
+      VALUES (@signature, @mint, @side, @wallet, @usd, @sol, @tokens, @isNew, @ts, @botReason)`),
+    flagSwaps:     db.prepare(`
+      UPDATE swaps SET bot_reason = ? WHERE mint = ? AND wallet = ? AND ts >= ? AND bot_reason IS NULL`),
+    buyTotals:     db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(usd), 0) AS usd, COALESCE(SUM(sol), 0) AS sol,
+             COUNT(DISTINCT wallet) AS uniqueBuyers,
+             COUNT(DISTINCT CASE WHEN is_new THEN wallet END) AS newBuyers
+      FROM swaps WHERE mint = @mint AND side = 'buy' AND ts >= @since AND ts <= @until AND ${COUNTED_SWAP}`),
+    biggestBuy:    db.prepare(`
+      SELECT signature, wallet, usd, sol, tokens, ts FROM swaps
+      WHERE mint = @mint AND side = 'buy' AND ts >= @since AND ts <= @until AND ${COUNTED_SWAP}
+      ORDER BY usd DESC, sol DESC LIMIT 1`),
+    lastSwapPrice: db.prepare(`
+      SELECT usd / tokens AS price FROM swaps
+      WHERE mint = ? AND usd > 0 AND tokens > 0 ORDER BY ts DESC LIMIT 1`),
+    pruneSwaps:    db.prepare('DELETE FROM swaps WHERE ts < ?'),
+    upsertCandle:  db.prepare(`
+      INSERT INTO candles (mint, interval, start, open, high, low, close, volume_usd, volume_sol, trades, first_ts, last_ts)
+      VALUES (@mint, @interval, @start, @price, @price, @price, @price, @usd, @sol, 1, @ts, @ts)
+      ON CONFLICT (mint, interval, start) DO UPDATE SET
+        open       = CASE WHEN excluded.first_ts < first_ts THEN excluded.open ELSE open END,
+        close      = CASE WHEN excluded.last_ts >= last_ts THEN excluded.close ELSE close END,
+        high       = MAX(high, excluded.high),
+        low        = MIN(low, excluded.low),
+        volume_usd = volume_usd + excluded.volume_usd,
+        volume_sol = volume_sol + excluded.volume_sol,
+        trades     = trades + 1,
+        first_ts   = MIN(first_ts, excluded.first_ts),
+        last_ts    = MAX(last_ts, excluded.last_ts)`),
+    candlesBetween: db.prepare(`
+      SELECT * FROM (
+        SELECT start, open, high, low, close, volume_usd, volume_sol, trades FROM candles
+        WHERE mint = ? AND interval = ? AND start >= ? AND start <= ?
+        ORDER BY start DESC LIMIT ?
+      ) ORDER BY start ASC`),
+    pruneCandles:  db.prepare('DELETE FROM candles WHERE interval = ? AND start < ?'),
+    addSnapshot:   db.prepare('INSERT OR REPLACE INTO mint_snapshots (mint, ts, market_cap, holders) VALUES (?, ?, ?, ?)'),
+    snapshotAtOrBefore: db.prepare('SELECT * FROM mint_snapshots WHERE mint = ? AND ts <= ? ORDER BY ts DESC LIMIT 1'),
+    snapshotAfter: db.prepare('SELECT * FROM mint_snapshots WHERE mint = ? AND ts > ? ORDER BY ts ASC LIMIT 1'),
+    pruneSnapshots: db.prepare('DELETE FROM mint_snapshots WHERE ts < ?'),
+    addCompetition: db.prepare(`
+      INSERT INTO competitions (sub_id, status, start_at, duration_ms, end_at, min_buy_usd, ranking, dq_on_sell, show_footer, created_by, created_at)
+      VALUES (@subId, @status, @startAt, @durationMs, @endAt, @minBuyUsd, @ranking, @dqOnSell, @showFooter, @createdBy, @createdAt)`),
+    updateCompetition: db.prepare(`
+      UPDATE competitions SET status = @status, start_at = @startAt, duration_ms = @durationMs, end_at = @endAt,
+        min_buy_usd = @minBuyUsd, ranking = @ranking, dq_on_sell = @dqOnSell, show_footer = @showFooter, winners = @winners
+      WHERE id = @id`),
+    getCompetition: db.prepare('SELECT * FROM competitions WHERE id = ?'),
+    openCompetition: db.prepare(`SELECT * FROM competitions WHERE sub_id = ? AND status IN ('draft', 'scheduled', 'running') ORDER BY id DESC LIMIT 1`),
+    lastEndedCompetition: db.prepare(`SELECT * FROM competitions WHERE sub_id = ? AND status = 'ended' ORDER BY id DESC LIMIT 1`),
+    activeCompetitions: db.prepare(`SELECT * FROM competitions WHERE status IN ('scheduled', 'running')`),
+    // Bare columns next to MAX() come from the max row in SQLite — that's the
+    // signature of the winning buy for 'single' ranking
+    standingsSingle: db.prepare(`
+      SELECT wallet, MAX(usd) AS score, COUNT(*) AS buys, signature FROM swaps
+      WHERE mint = @mint AND side = 'buy' AND ts >= @since AND ts <= @until AND usd >= @minBuyUsd
+        AND wallet IS NOT NULL AND ${COUNTED_SWAP}
+      GROUP BY wallet ORDER BY score DESC`),
+    standingsVolume: db.prepare(`
+      SELECT wallet, SUM(usd) AS score, COUNT(*) AS buys, NULL AS signature FROM swaps
+      WHERE mint = @mint AND side = 'buy' AND ts >= @since AND ts <= @until AND usd >= @minBuyUsd
+        AND wallet IS NOT NULL AND ${COUNTED_SWAP}
+      GROUP BY wallet ORDER BY score DESC`),
+    buyVolumeByWallet: db.prepare(`
+      SELECT mint, wallet, SUM(usd) AS usd, COUNT(*) AS buys FROM swaps
+      WHERE side = 'buy' AND ts >= ? AND bot_reason IS NULL GROUP BY mint, wallet`),
+    getLabel:      db.prepare('SELECT label FROM wallet_labels WHERE chat_id = ? AND wallet = ?'),
+    labelsForChat: db.prepare('SELECT wallet, label FROM wallet_labels WHERE chat_id = ? ORDER BY label, wallet'),
+    countLabels:   db.prepare('SELECT COUNT(*) AS n FROM wallet_labels WHERE chat_id = ?'),
+    upsertLabel:   db.prepare(`
+      INSERT INTO wallet_labels (chat_id, wallet, label, created_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (chat_id, wallet) DO UPDATE SET label = excluded.label`),
+    deleteLabel:   db.prepare('DELETE FROM wallet_labels WHERE chat_id = ? AND wallet = ?'),
+    clearLabels:   db.prepare('DELETE FROM wallet_labels WHERE chat_id = ?'),
+    maxMilestone:  db.prepare('SELECT MAX(value) AS value FROM milestones WHERE sub_id = ? AND kind = ?'),
+    addMilestone:  db.prepare('INSERT OR IGNORE INTO milestones (sub_id, kind, value, reached_at) VALUES (?, ?, ?, ?)'),
+    clearMilestoneKind: db.prepare('DELETE FROM milestones WHERE sub_id = ? AND kind = ?'),
+    sellersBetween: db.prepare(`
+      SELECT DISTINCT wallet FROM swaps
+      WHERE mint = ? AND side = 'sell' AND ts >= ? AND ts <= ? AND wallet IS NOT NULL`),
+  };
+
+  const saveSubTx = db.transaction((sub) => {
+    q.upsertSub.run({
+      id:        sub.id,
+      chatId:    String(sub.chatId),
+      ownerId:   sub.ownerId != null ? String(sub.ownerId) : null,
+      tokenMint: sub.tokenMint,
+      chain:     sub.chain || 'solana',
+      managers:  JSON.stringify(sub.managers || []),
+      invites:   JSON.stringify(sub.invites || []),
+      createdAt: Date.now(),
+    });
+    q.upsertSettings.run(sub.id, JSON.stringify(sub.settings || {}));
+  });
+
+  const savePositionsTx = db.transaction((entries) => {
+    const now = Date.now();
+    for (const [key, p] of entries) {
+      const [wallet, mint] = key.split('|');
+      q.upsertPosition.run(wallet, mint, p.totalSpentUsd || 0, p.totalTokens || 0, p.realisedPnlUsd || 0,
+        p.buys || 0, p.sells || 0, p.firstSeenAt ?? null, now);
+    }
+  });
+
+  const recordCandlesTx = db.transaction((trade, buckets) => {
+    for (const [interval, start] of buckets) {
+      q.upsertCandle.run({
+        mint: trade.mint, interval, start, price: trade.price,
+        usd: trade.usd || 0, sol: trade.sol || 0, ts: trade.ts,
+      });
+    }
+  });
+
+  // Only the current ATH is worth keeping — it's raised on every new high
+  const setAthTx = db.transaction((subId, value) => {
+    q.clearMilestoneKind.run(subId, 'ath');
+    q.addMilestone.run(subId, 'ath', value, Date.now());
+  });
+
+  const setLabelsTx = db.transaction((chatId, entries) => {
+    const now = Date.now();
+    for (const { wallet, label } of entries) q.upsertLabel.run(String(chatId), wallet, label, now);
+  });
+  const removeLabelsTx = db.transaction((chatId, wallets) =>
+    wallets.reduce((n, w) => n + q.deleteLabel.run(String(chatId), w).changes, 0));
+
+  const store = {
+    file,
+    schemaVersion: () => db.pragma('user_version', { simple: true }),
+
+    getMeta:  (key) => q.getMeta.get(key)?.value ?? null,
+    setMeta:  (key, value) => { q.setMeta.run(key, value == null ? null : String(value)); },
+
+    listSubs:        () => q.listSubs.all().map(rowToSub),
+    findSub:         (id) => { const row = q.findSub.get(id); return row ? rowToSub(row) : null; },
+    findSubsForChat: (chatId) => q.subsForChat.all(String(chatId)).map(rowToSub),
+    saveSub:         (sub) => saveSubTx(sub),
+    // Settings rows go with it (ON DELETE CASCADE)
+    deleteSub:       (id) => q.deleteSub.run(id).changes > 0,
+
+    // key: "${wallet}|${mint}" — same keying as the in-memory position map
+    loadPositions() {
+      return q.listPositions.all().map((r) => [`${r.wallet}|${r.mint}`, {
+        totalSpentUsd:  r.total_spent_usd,
+        totalTokens:    r.total_tokens,
+        realisedPnlUsd: r.realised_pnl_usd,
+        buys:           r.buys,
+        sells:          r.sells,
+        firstSeenAt:    r.first_seen_at,
+      }]);
+    },
+    savePositions: (entries) => savePositionsTx(entries),
+
+    addSeenSignature:  (sig) => { q.addSeen.run(sig, Date.now()); },
+    recentSignatures:  (limit) => q.recentSeen.all(limit).map((r) => r.signature),
+    pruneSignatures:   (olderThanMs) => q.pruneSeen.run(Date.now() - olderThanMs).changes,
+
+    // swap: { signature, mint, side: 'buy'|'sell', wallet, usd, sol, tokens, isNew, ts, botReason }
+    // → false when the swap was already logged (same signature, mint and side)
+    recordSwap(swap) {
+      return q.addSwap.run({
+        signature: swap.signature,
+        mint:      swap.mint,
+        side:      swap.side,
+        wallet:    swap.wallet || null,
+        usd:       swap.usd || 0,
+        sol:       swap.sol || 0,
+        tokens:    swap.tokens || 0,
+        isNew:     swap.isNew ? 1 : 0,
+        ts:        swap.ts || Date.now(),
+        botReason: swap.botReason || null,
+      }).changes > 0;
+    },
+    // Mark a wallet's swaps on `mint` since `since` as bot trades — the legs
+    // logged before the detector caught on
+    flagSwaps: (mint, wallet, reason, since) => q.flagSwaps.run(reason, mint, wallet, since).changes,
+    // Buy totals for [since, until] — biggest is null when there were no buys.
+    // Flagged swaps are left out unless includeBots; ignoredWallets always are.
+    buyStats(mint, since, until = Date.now(), { includeBots = false, ignoredWallets = [] } = {}) {
+      const params = { mint, since, until, bots: includeBots ? 1 : 0, ignored: JSON.stringify(ignoredWallets) };
+      return { ...q.buyTotals.get(params), biggest: q.biggestBuy.get(params) || null };
+    },
+
+    // Per (mint, wallet) buy totals since `since`, across every tracked mint,
+    // flagged swaps left out — callers filter wallets (trending drops owner and
+    // ignored wallets) before summing
+    buyVolumeByWallet: (since) => q.buyVolumeByWallet.all(since),
+
+    // USD per token of the latest priced swap, or null — a fallback when no
+    // market price is available
+    lastSwapPrice: (mint) => q.lastSwapPrice.get(mint)?.price ?? null,
+
+    recordSnapshot(mint, marketCap, holders, ts = Date.now()) {
+      q.addSnapshot.run(mint, ts, marketCap ?? null, holders ?? null);
+    },
+    // Latest snapshot at or before `ts`, else the first one after it (a mint
+    // tracked for less than the whole period still gets a baseline)
+    snapshotNear(mint, ts) {
+      const row = q.snapshotAtOrBefore.get(mint, ts) || q.snapshotAfter.get(mint, ts);
+      return row ? { ts: row.ts, marketCap: row.market_cap, holders: row.holders } : null;
+    },
+
+    // Drop swap log / snapshot rows older than the retention window
+    pruneHistory(olderThanMs) {
+      const cutoff = Date.now() - olderThanMs;
+      return q.pruneSwaps.run(cutoff).changes + q.pruneSnapshots.run(cutoff).changes;
+    },
+
+    // trade: { mint, ts, price, usd, sol }; buckets: [[interval, bucketStart], …]
+    recordCandles: (trade, buckets) => recordCandlesTx(trade, buckets),
+    // Newest `limit` candles in [since, until], oldest first
+    candles(mint, interval, { since = 0, until = Date.now(), limit = 500 } = {}) {
+      return q.candlesBetween.all(mint, interval, since, until, limit).map((r) => ({
+        start: r.start, open: r.open, high: r.high, low: r.low, close: r.close,
+        volumeUsd: r.volume_usd, volumeSol: r.volume_sol, trades: r.trades,
+      }));
+    },
+    pruneCandles: (interval, olderThanMs) => q.pruneCandles.run(interval, Date.now() - olderThanMs).changes,
+
+    // Competitions — `competition` uses the camelCase shape from rowToCompetition
+    createCompetition(competition) {
+      const info = q.addCompetition.run({
+        subId:      competition.subId,
+        status:     competition.status || 'draft',
+        startAt:    competition.startAt ?? null,
+        durationMs: competition.durationMs,
+        endAt:      competition.endAt ?? null,
+        minBuyUsd:  competition.minBuyUsd || 0,
+        ranking:    competition.ranking || 'single',
+        dqOnSell:   competition.dqOnSell === false ? 0 : 1,
+        showFooter: competition.showFooter === false ? 0 : 1,
+        createdBy:  competition.createdBy ?? null,
+        createdAt:  Date.now(),
+      });
+      return rowToCompetition(q.getCompetition.get(info.lastInsertRowid));
+    },
+    saveCompetition(competition) {
+      q.updateCompetition.run({
+        id:         competition.id,
+        status:     competition.status,
+        startAt:    competition.startAt ?? null,
+        durationMs: competition.durationMs,
+        endAt:      competition.endAt ?? null,
+        minBuyUsd:  competition.minBuyUsd || 0,
+        ranking:    competition.ranking,
+        dqOnSell:   competition.dqOnSell ? 1 : 0,
+        showFooter: competition.showFooter ? 1 : 0,
+        winners:    competition.winners ? JSON.stringify(competition.winners) : null,
+      });
+    },
+    // The draft/scheduled/running competition for a sub (at most one), or null
+    openCompetition:      (subId) => rowToCompetition(q.openCompetition.get(subId)),
+    lastEndedCompetition: (subId) => rowToCompetition(q.lastEndedCompetition.get(subId)),
+    activeCompetitions:   () => q.activeCompetitions.all().map(rowToCompetition),
+
+    // Per-wallet standings from the swap log. ranking 'single' scores a wallet by
+    // its largest qualifying buy, 'volume' by the sum of them. With dqOnSell any
+    // sell in the window removes the wallet; those are counted in `disqualified`.
+    // Flagged and ignored wallets are filtered as in buyStats.
+    competitionStandings(mint, { since, until, minBuyUsd = 0, ranking = 'single', dqOnSell = true, includeBots = false, ignoredWallets = [] }, limit = 10) {
+      const excluded = new Set(dqOnSell ? q.sellersBetween.all(mint, since, until).map((r) => r.wallet) : []);
+      const rows = (ranking === 'volume' ? q.standingsVolume : q.standingsSingle).all({
+        mint, since, until, minBuyUsd, bots: includeBots ? 1 : 0, ignored: JSON.stringify(ignoredWallets),
+      });
+      const qualified = rows.filter((r) => !excluded.has(r.wallet));
+      return {
+        entries:      qualified.slice(0, limit),
+        entrants:     qualified.length,
+        disqualified: rows.length - qualified.length,
+      };
+    },
+
+    // Wallet labels are per group (chatId), shared by all of its tokens
+    getLabel:      (chatId, wallet) => q.getLabel.get(String(chatId), wallet)?.label ?? null,
+    labelsForChat: (chatId) => q.labelsForChat.all(String(chatId)),
+    countLabels:   (chatId) => q.countLabels.get(String(chatId)).n,
+    setLabels:     (chatId, entries) => setLabelsTx(chatId, entries),
+    removeLabels:  (chatId, wallets) => removeLabelsTx(chatId, wallets),
+    clearLabels:   (chatId) => q.clearLabels.run(String(chatId)).changes,
+
+    // Highest level reached for kind ('holders' | 'mcap' | 'ath'), or null when
+    // the sub has never been checked for it
+    maxMilestone:    (subId, kind) => q.maxMilestone.get(subId, kind).value,
+    // false when that level was already recorded — the guard against re-announcing
+    recordMilestone: (subId, kind, value) => q.addMilestone.run(subId, kind, value, Date.now()).changes > 0,
+    setAth:          (subId, marketCap) => setAthTx(subId, marketCap),
+    // Forget every level of a kind — the next check takes a fresh baseline
+    clearMilestones: (subId, kind) => q.clearMilestoneKind.run(subId, kind).changes,
+
+    close: () => db.close(),
+  };
+
+  if (legacyJsonFile) importLegacyJson(db, store, legacyJsonFile, newId);
+  return store;
+}
+
+// One-time import of the pre-SQLite JSON store. Runs in a single transaction —
+// either everything lands or nothing does — then renames the file so a later
+// restart can't import it twice (and the original stays around as a backup).
+function importLegacyJson(db, store, jsonFile, newId) {
+  if (!fs.existsSync(jsonFile) || store.getMeta('legacy_json_imported')) return;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  } catch (e) {
+    console.error(`[DB] Could not read ${jsonFile} for import:`, e.message);
+    return;
+  }
+
+  const subs = Array.isArray(data.subscriptions) ? data.subscriptions : [];
+  const positions = Object.entries(data.walletPositions || {});
+  db.transaction(() => {
+    for (const s of subs) store.saveSub({ ...s, id: s.id || newId() });
+    store.savePositions(positions);
+    if (data.webhookId) store.setMeta('webhookId', data.webhookId);
+    store.setMeta('legacy_json_imported', new Date().toISOString());
+  })();
+
+  const backup = `${jsonFile}.imported`;
+  try { fs.renameSync(jsonFile, backup); } catch (e) { console.warn(`[DB] Could not rename ${jsonFile}:`, e.message); }
+  console.log(`[DB] Imported ${subs.length} subscription(s) and ${positions.length} position(s) from ${jsonFile} (kept as ${backup})`);
+}
+
+module.exports = { createStore };
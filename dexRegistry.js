@@ -0,0 +1,112 @@
+// ─── DEX Registry ──────────────────────────────────────────────────────────────
+// Single source of truth for which on-chain programs count as a swap venue.
+// Used by the WS log pre-filter, parseSwapFromRaw, alert rendering and the
+// per-group "ignore these DEXes" filter.
+//
+// Each program maps to a coarse venue key (what groups filter on, and what Helius
+// reports as `source`) plus a human label for alerts:
+//   { programId, venue: 'RAYDIUM', label: 'Raydium CPMM', aggregator?: true }
+//
+// Extend without editing code:
+//   • JSON file (DEX_CONFIG, default ./dexes.json) — array of entries as above.
+//     `{ "programId": "...", "disabled": true }` removes a built-in.
+//   • EXTRA_DEXES env — "VENUE:programId,VENUE:programId" (label defaults to venue).
+const { readConfigFile } = require('./configFile');
+
+const VENUE_NAMES = {
+  JUPITER:  'Jupiter',
+  RAYDIUM:  'Raydium',
+  ORCA:     'Orca',
+  PUMP_FUN: 'pump.fun',
+  METEORA:  'Meteora',
+  LIFINITY: 'Lifinity',
+  PHOENIX:  'Phoenix',
+  OPENBOOK: 'OpenBook',
+  MOONSHOT: 'Moonshot',
+  SABER:    'Saber',
+  FLUXBEAM: 'FluxBeam',
+};
+
+const BUILT_IN_DEXES = [
+  { programId: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', venue: 'JUPITER',  label: 'Jupiter v6', aggregator: true },
+  { programId: 'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB', venue: 'JUPITER',  label: 'Jupiter v4', aggregator: true },
+  { programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', venue: 'RAYDIUM',  label: 'Raydium AMM' },
+  { programId: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', venue: 'RAYDIUM',  label: 'Raydium CLMM' },
+  { programId: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', venue: 'RAYDIUM',  label: 'Raydium CPMM' },
+  { programId: '5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h', venue: 'RAYDIUM',  label: 'Raydium Stable' },
+  { programId: 'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj', venue: 'RAYDIUM',  label: 'Raydium LaunchLab' },
+  { programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  venue: 'ORCA',     label: 'Orca Whirlpool' },
+  { programId: '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP', venue: 'ORCA',     label: 'Orca v2' },
+  { programId: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',  venue: 'PUMP_FUN', label: 'pump.fun' },
+  { programId: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',  venue: 'PUMP_FUN', label: 'PumpSwap' },
+  { programId: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', venue: 'METEORA',  label: 'Meteora DLMM' },
+  { programId: 'Eo7WjKq67rjJQDd1d1ck1DnpxjkK3jFHXKRkBVtiTEkF', venue: 'METEORA',  label: 'Meteora AMM' },
+  { programId: 'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG',  venue: 'METEORA',  label: 'Meteora DAMM v2' },
+  { programId: 'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN',  venue: 'METEORA',  label: 'Meteora DBC' },
+  { programId: '2wT8Yq49kHgDzXuPxZSaeLaH1qbmGXtEyPy64bL7aD3c', venue: 'LIFINITY', label: 'Lifinity v2' },
+  { programId: 'PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY',  venue: 'PHOENIX',  label: 'Phoenix' },
+  { programId: 'opnb2LAfJYbRMAHHvqjCwQxanZn7ReEHp1k81EohpZb',  venue: 'OPENBOOK', label: 'OpenBook v2' },
+  { programId: 'MoonCVVNZFSYkqNXP6bxHLPL6QQJiMagDL3qcqUQTrG',  venue: 'MOONSHOT', label: 'Moonshot' },
+  { programId: 'SSwpkEEcbUqx4vtoEByFjSkhKdCT862DNVb52nZg1UZ',  venue: 'SABER',    label: 'Saber' },
+  { programId: 'FLUXubRmkEi2q6K3Y9kBPg9248ggaZVsoSFhtJHSrm1X', venue: 'FLUXBEAM', label: 'FluxBeam' },
+];
+
+// "RAYDIUM_V5" → "Raydium V5" — fallback display name for config-only venues
+function titleCase(key) {
+  return key.toLowerCase().split('_').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+function parseEnvList(extraEnv) {
+  return (extraEnv || '').split(',').map((e) => e.trim()).filter(Boolean).flatMap((entry) => {
+    const [venue, programId] = entry.split(':').map((p) => p.trim());
+    if (venue && programId) return [{ programId, venue: venue.toUpperCase() }];
+    console.warn(`[DEX] Ignoring malformed EXTRA_DEXES entry "${entry}"`);
+    return [];
+  });
+}
+
+// Build the registry: built-ins, then the config file, then env (later wins).
+function createDexRegistry({ configFile, extraEnv } = {}) {
+  const programs = new Map(); // programId → { programId, venue, label, aggregator }
+  const add = (entry, origin) => {
+    if (!entry?.programId) return;
+    if (entry.disabled) { programs.delete(entry.programId); return; }
+    const venue = String(entry.venue || 'UNKNOWN').toUpperCase();
+    programs.set(entry.programId, {
+      programId:  entry.programId,
+      venue,
+      label:      entry.label || VENUE_NAMES[venue] || titleCase(venue),
+      aggregator: entry.aggregator === true,
+      origin,
+    });
+  };
+
+  for (const d of BUILT_IN_DEXES) add(d, 'built-in');
+  for (const d of readConfigFile(configFile, 'DEX')) add(d, 'file');
+  for (const d of parseEnvList(extraEnv)) add(d, 'env');
+
+  return {
+    has: (programId) => programs.has(programId),
+    get: (programId) => programs.get(programId) || null,
+    size: () => programs.size,
+
+    // Unique venue keys in registry order — what the ignore filter lists
+    venues() {
+      return [...new Set([...programs.values()].map((p) => p.venue))];
+    },
+    venueName(venue) {
+      return VENUE_NAMES[venue] || titleCase(venue);
+    },
+
+    // Pick the venue to report for a set of invoked programs. Prefer the pool
+    // that actually filled the trade over an aggregator that routed it.
+    detect(programIds) {
+      const hits = [...new Set(programIds)].map((id) => programs.get(id)).filter(Boolean);
+      if (hits.length === 0) return null;
+      const primary = hits.find((h) => !h.aggregator) || hits[0];
+      return { ...primary, venues: [...new Set(hits.map((h) => h.venue))] };
+    },
+  };
+}
+
+module.exports = { createDexRegistry, BUILT_IN_DEXES };
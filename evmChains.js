@@ -0,0 +1,412 @@
+// ─── EVM Chains ────────────────────────────────────────────────────────────────
+// Buy/sell detection for ERC-20 tokens on Base and Ethereum, from Uniswap v2/v3
+// style `Swap` logs. Pools are found through each chain's canonical v2/v3
+// factories (token paired with WETH, USDC or USDT); forks with their own
+// factories and v4's singleton pool manager aren't covered.
+//
+//   createEvmClient({ chain, rpcUrl })          JSON-RPC + token / pool lookups
+//   createEvmWatcher({ client, wsUrl, pollMs, onSwap })
+//
+// The watcher follows the pools with eth_subscribe('logs') when a WebSocket URL
+// is configured and eth_getLogs polling otherwise (polling also runs behind the
+// WebSocket as a slower safety net). Each swap is handed to onSwap in the same
+// shape parseSwapFromRaw produces for Solana, with quote legs as tokenInputs /
+// tokenOutputs — WETH is registered as a quote token priced at ETH/USD.
+const WebSocket = require('ws');
+
+const EVM_ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const EVM_CHAINS = {
+  base: {
+    name: 'Base',
+    tag: 'BASE',
+    chainId: 8453,
+    defaultRpc: 'https://mainnet.base.org',
+    explorer: 'https://basescan.org',
+    dexscreener: 'base',
+    v2Factory: '0x8909dc15e40173ff4699343b6eb8132c65e18ec6',
+    v3Factory: '0x33128a8fc17869897dce68ed026d694621f6fdfd',
+    quotes: [
+      { address: '0x4200000000000000000000000000000000000006', symbol: 'ETH',  decimals: 18, native: true },
+      { address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', symbol: 'USDC', decimals: 6,  stable: true },
+    ],
+  },
+  ethereum: {
+    name: 'Ethereum',
+    tag: 'ETH',
+    chainId: 1,
+    defaultRpc: 'https://ethereum-rpc.publicnode.com',
+    explorer: 'https://etherscan.io',
+    dexscreener: 'ethereum',
+    v2Factory: '0x5c69bee701ef814a2b6a3edd4b1652cb9cc5aa6f',
+    v3Factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984',
+    quotes: [
+      { address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', symbol: 'ETH',  decimals: 18, native: true },
+      { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', symbol: 'USDC', decimals: 6,  stable: true },
+      { address: '0xdac17f958d2ee523a2206206994597c13d831ec7', symbol: 'USDT', decimals: 6,  stable: true },
+    ],
+  },
+};
+
+// keccak256 of the event signatures
+const SWAP_TOPICS = {
+  // Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)
+  v2: '0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822',
+  // Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)
+  v3: '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67',
+};
+const VENUES = {
+  v2: { source: 'UNISWAP_V2', label: 'Uniswap v2' },
+  v3: { source: 'UNISWAP_V3', label: 'Uniswap v3' },
+};
+const V3_FEES = [100, 500, 3000, 10000];
+const SELECTORS = {
+  getPair:  '0xe6a43905', // getPair(address,address)
+  getPool:  '0x1698ee82', // getPool(address,address,uint24)
+  decimals: '0x313ce567',
+  symbol:   '0x95d89b41',
+};
+const RPC_TIMEOUT_MS = 10000;
+const MAX_LOG_RANGE = 500;                 // blocks per eth_getLogs call
+const POOL_REFRESH_MS = 30 * 60 * 1000;    // re-check factories for new pairs
+
+const word = (hex) => hex.replace(/^0x/, '').padStart(64, '0');
+const wordAt = (data, i) => data.slice(2 + i * 64, 2 + (i + 1) * 64);
+const uintAt = (data, i) => BigInt('0x' + (wordAt(data, i) || '0'));
+const intAt = (data, i) => BigInt.asIntN(256, uintAt(data, i));
+
+// ABI string return, or a bytes32 one (older tokens such as MKR)
+function decodeString(hex) {
+  if (!hex || hex === '0x') return null;
+  const data = hex.slice(2);
+  if (data.length === 64) return Buffer.from(data, 'hex').toString('utf8').replace(/\0+$/, '') || null;
+  const length = Number(BigInt('0x' + data.slice(64, 128)));
+  return Buffer.from(data.slice(128, 128 + length * 2), 'hex').toString('utf8') || null;
+}
+
+function createEvmClient({ chain, rpcUrl }) {
+  const config = EVM_CHAINS[chain];
+  if (!config) throw new Error(`Unknown EVM chain "${chain}"`);
+  const tokens = new Map();      // token → { decimals, symbol }
+  const blockTimes = new Map();  // block number → unix seconds
+
+  async function rpc(method, params = []) {
+    const res = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+      signal: AbortSignal.timeout(RPC_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`${config.name} RPC HTTP ${res.status}`);
+    const data = await res.json();
+    if (data.error) throw new Error(`${config.name} RPC: ${data.error.message}`);
+    return data.result;
+  }
+
+  const call = (to, data) => rpc('eth_call', [{ to, data }, 'latest']);
+
+  return {
+    chain,
+    config,
+    rpc,
+
+    // → { decimals, symbol } — cached; throws when decimals() can't be read
+    async tokenInfo(token) {
+      if (tokens.has(token)) return tokens.get(token);
+      const quote = config.quotes.find((q) => q.address === token);
+      if (quote) return quote;
+      const decimals = Number(BigInt(await call(token, SELECTORS.decimals)));
+      let symbol = null;
+      try { symbol = decodeString(await call(token, SELECTORS.symbol)); } catch { /* optional */ }
+      const info = { decimals, symbol };
+      tokens.set(token, info);
+      return info;
+    },
+
+    // Every v2 / v3 factory pool pairing `token` with a quote token
+    //   → [{ address, version, token, quote, tokenIsToken0 }]
+    async findPools(token) {
+      const pools = [];
+      for (const quote of config.quotes) {
+        const lookups = [
+          ['v2', config.v2Factory, SELECTORS.getPair + word(token) + word(quote.address)],
+          ...V3_FEES.map((fee) => ['v3', config.v3Factory, SELECTORS.getPool + word(token) + word(quote.address) + word(fee.toString(16))]),
+        ];
+        for (const [version, factory, data] of lookups) {
+          const result = await call(factory, data);
+          if (!result || result === '0x') {
+            // A factory always answers with a word — no data means no contract there
+            console.warn(`[EVM:${chain}] ${version} factory ${factory} returned no data — check its address`);
+            continue;
+          }
+          const address = '0x' + (result || '').slice(-40).toLowerCase();
+          if (address === ZERO_ADDRESS || address.length !== 42) continue;
+          pools.push({ address, version, token, quote: quote.address, tokenIsToken0: token < quote.address });
+        }
+      }
+      return pools;
+    },
+
+    blockNumber: async () => Number(BigInt(await rpc('eth_blockNumber'))),
+
+    async blockTimestamp(blockNumber) {
+      if (blockTimes.has(blockNumber)) return blockTimes.get(blockNumber);
+      const block = await rpc('eth_getBlockByNumber', ['0x' + blockNumber.toString(16), false]);
+      const ts = block ? Number(BigInt(block.timestamp)) : Math.floor(Date.now() / 1000);
+      blockTimes.set(blockNumber, ts);
+      if (blockTimes.size > 200) blockTimes.delete(blockTimes.keys().next().value);
+      return ts;
+    },
+
+    async txSender(hash) {
+      const tx = await rpc('eth_getTransactionByHash', [hash]);
+      return tx?.from?.toLowerCase() || null;
+    },
+  };
+}
+
+// Token / quote amounts moved by one Swap log, from the trader's side
+//   → { side: 'buy' | 'sell', tokenAmount, quoteAmount } (BigInt) or null
+function decodeSwapLog(log, pool) {
+  let tokenDelta, quoteDelta; // positive = trader received
+  if (pool.version === 'v2') {
+    const [a0In, a1In, a0Out, a1Out] = [0, 1, 2, 3].map((i) => uintAt(log.data, i));
+    tokenDelta = pool.tokenIsToken0 ? a0Out - a0In : a1Out - a1In;
+    quoteDelta = pool.tokenIsToken0 ? a1Out - a1In : a0Out - a0In;
+  } else {
+    // v3 amounts are the pool's balance change — negative means paid out
+    const amount0 = intAt(log.data, 0);
+    const amount1 = intAt(log.data, 1);
+    tokenDelta = -(pool.tokenIsToken0 ? amount0 : amount1);
+    quoteDelta = -(pool.tokenIsToken0 ? amount1 : amount0);
+  }
+  if (tokenDelta > 0n && quoteDelta < 0n) return { side: 'buy', tokenAmount: tokenDelta, quoteAmount: -quoteDelta };
+  if (tokenDelta < 0n && quoteDelta > 0n) return { side: 'sell', tokenAmount: -tokenDelta, quoteAmount: quoteDelta };
+  return null;
+}
+
+function createEvmWatcher({ client, wsUrl, pollMs, onSwap }) {
+  const { config } = client;
+  const pollInterval = pollMs || (wsUrl ? 60 * 1000 : 12 * 1000);
+  const tokenPools = new Map(); // token → { pools, checkedAt }
+  const poolsByAddress = new Map(); // pool address → pool
+  const handled = new Set(); // `${txHash}:${logIndex}`
+  let lastBlock = null;
+  let lastError = null;
+  let ws = null;
+  let pollTimer = null;
+  let stopped = false;
+  let queue = Promise.resolve();
+
+  const log = (...args) => console.log(`[EVM:${client.chain}]`, ...args);
+
+  function rebuildPoolIndex() {
+    poolsByAddress.clear();
+    for (const { pools } of tokenPools.values()) for (const p of pools) poolsByAddress.set(p.address, p);
+  }
+
+  // Look up pools for new tokens, and again every POOL_REFRESH_MS for tokens
+  // that had none (pairs get created after launch). → true when any changed.
+  async function refreshPools() {
+    let changed = false;
+    for (const [token, entry] of tokenPools) {
+      if (entry.checkedAt && (entry.pools.length > 0 || Date.now() - entry.checkedAt < POOL_REFRESH_MS)) continue;
+      try {
+        const pools = await client.findPools(token);
+        changed ||= pools.length !== entry.pools.length;
+        tokenPools.set(token, { pools, checkedAt: Date.now() });
+        log(`${token.slice(0, 10)}: ${pools.length} pool(s)`);
+      } catch (e) {
+        lastError = e.message;
+        console.warn(`[EVM:${client.chain}] Pool lookup failed for ${token.slice(0, 10)}:`, e.message);
+      }
+    }
+    rebuildPoolIndex();
+    return changed;
+  }
+
+  async function handleLog(entry) {
+    if (entry.removed) return; // reorged out
+    const key = `${entry.transactionHash}:${entry.logIndex}`;
+    if (handled.has(key)) return;
+    const pool = poolsByAddress.get(entry.address?.toLowerCase());
+    if (!pool) return;
+    handled.add(key);
+    if (handled.size > 5000) handled.delete(handled.values().next().value);
+
+    const swap = decodeSwapLog(entry, pool);
+    if (!swap) return;
+    const blockNumber = Number(BigInt(entry.blockNumber));
+    const [trader, timestamp, tokenInfo, quoteInfo] = await Promise.all([
+      client.txSender(entry.transactionHash),
+      client.blockTimestamp(blockNumber),
+      client.tokenInfo(pool.token),
+      client.tokenInfo(pool.quote),
+    ]);
+    const tokenLeg = { mint: pool.token, rawTokenAmount: { tokenAmount: swap.tokenAmount.toString(), decimals: tokenInfo.decimals } };
+    const quoteLeg = { mint: pool.quote, rawTokenAmount: { tokenAmount: swap.quoteAmount.toString(), decimals: quoteInfo.decimals } };
+    const venue = VENUES[pool.version];
+    await onSwap({
+      type: 'SWAP',
+      chain: client.chain,
+      feePayer: trader,
+      signature: entry.transactionHash,
+      logIndex: Number(BigInt(entry.logIndex)),
+      slot: blockNumber,
+      timestamp,
+      programIds: [],
+      source: venue.source,
+      sourceLabel: venue.label,
+      venues: [venue.source],
+      events: {
+        swap: {
+          nativeInput: null,
+          nativeOutput: null,
+          tokenInputs:  [swap.side === 'buy' ? quoteLeg : tokenLeg],
+          tokenOutputs: [swap.side === 'buy' ? tokenLeg : quoteLeg],
+          innerSwaps: [],
+        },
+      },
+    });
+  }
+
+  // Logs are handled one at a time, in arrival order
+  function enqueue(entry) {
+    queue = queue.then(() => handleLog(entry)).catch((e) => {
+      lastError = e.message;
+      console.error(`[EVM:${client.chain}] Swap handling failed for ${entry.transactionHash?.slice(0, 12)}:`, e.message);
+    });
+  }
+
+  async function poll() {
+    if (stopped) return;
+    try {
+      const head = await client.blockNumber();
+      if (lastBlock == null) lastBlock = head; // start from now — no backfill
+      const addresses = [...poolsByAddress.keys()];
+      while (lastBlock < head) {
+        const from = lastBlock + 1;
+        const to = Math.min(head, from + MAX_LOG_RANGE - 1);
+        if (addresses.length > 0) {
+          const logs = await client.rpc('eth_getLogs', [{
+            fromBlock: '0x' + from.toString(16),
+            toBlock: '0x' + to.toString(16),
+            address: addresses,
+            topics: [[SWAP_TOPICS.v2, SWAP_TOPICS.v3]],
+          }]);
+          for (const entry of logs || []) enqueue(entry);
+        }
+        lastBlock = to;
+      }
+      if (await refreshPools()) resubscribe();
+    } catch (e) {
+      lastError = e.message;
+      console.warn(`[EVM:${client.chain}] Poll failed:`, e.message);
+    } finally {
+      if (!stopped) pollTimer = setTimeout(poll, pollInterval);
+    }
+  }
+
+  function connectWs() {
+    if (!wsUrl || stopped) return;
+    const socket = new WebSocket(wsUrl);
+    ws = socket;
+    socket.on('open', () => {
+      const addresses = [...poolsByAddress.keys()];
+      if (addresses.length === 0) return;
+      socket.send(JSON.stringify({
+        jsonrpc: '2.0', id: 1, method: 'eth_subscribe',
+        params: ['logs', { address: addresses, topics: [[SWAP_TOPICS.v2, SWAP_TOPICS.v3]] }],
+      }));
+      log(`WebSocket subscribed to ${addresses.length} pool(s)`);
+    });
+    socket.on('message', (raw) => {
+      try {
+        const msg = JSON.parse(raw.toString());
+        if (msg.method === 'eth_subscription' && msg.params?.result) enqueue(msg.params.result);
+        else if (msg.id === 1 && msg.error) lastError = msg.error.message;
+      } catch (e) {
+        console.warn(`[EVM:${client.chain}] Bad WebSocket message:`, e.message);
+      }
+    });
+    socket.on('close', () => {
+      if (ws === socket) ws = null;
+      if (!stopped && !socket._replaced) setTimeout(connectWs, 5000);
+    });
+    socket.on('error', (err) => {
+      lastError = err.message;
+      socket.terminate();
+    });
+  }
+
+  // Pool set changed — open a fresh subscription for the new address list
+  function resubscribe() {
+    if (!wsUrl) return;
+    if (ws) {
+      ws._replaced = true;
+      ws.terminate();
+    }
+    connectWs();
+  }
+
+  return {
+    chain: client.chain,
+
+    // Replace the tracked token list (lowercase addresses)
+    async setTokens(list) {
+      const wanted = new Set(list);
+      let changed = false;
+      for (const token of tokenPools.keys()) {
+        if (!wanted.has(token)) { tokenPools.delete(token); changed = true; }
+      }
+      for (const token of wanted) {
+        if (!tokenPools.has(token)) { tokenPools.set(token, { pools: [], checkedAt: null }); changed = true; }
+      }
+      if (!changed) return;
+      rebuildPoolIndex();
+      await refreshPools();
+      resubscribe();
+    },
+
+    start() {
+      stopped = false;
+      if (!pollTimer) poll();
+      connectWs();
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(pollTimer);
+      pollTimer = null;
+      if (ws) { ws._replaced = true; ws.terminate(); ws = null; }
+    },
+
+    status() {
+      return {
+        chain: config.name,
+        tokens: tokenPools.size,
+        pools: poolsByAddress.size,
+        ws: !wsUrl ? 'off' : ws?.readyState === WebSocket.OPEN ? 'open' : 'connecting',
+        lastBlock,
+        lastError,
+      };
+    },
+  };
+}
+
+// ETH/USD — median of the public tickers that answer, 0 when none do
+async function fetchEthPriceUsd() {
+  const get = async (url) => (await fetch(url, { signal: AbortSignal.timeout(RPC_TIMEOUT_MS) })).json();
+  const results = await Promise.allSettled([
+    get('https://api.coinbase.com/v2/prices/ETH-USD/spot').then((d) => parseFloat(d?.data?.amount)),
+    get('https://api.kraken.com/0/public/Ticker?pair=ETHUSD').then((d) => parseFloat(d?.result?.XETHZUSD?.c?.[0])),
+    get('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd').then((d) => d?.ethereum?.usd),
+  ]);
+  const prices = results.filter((r) => r.status === 'fulfilled' && r.value > 0).map((r) => r.value).sort((a, b) => a - b);
+  if (prices.length === 0) return 0;
+  const mid = Math.floor(prices.length / 2);
+  return prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+}
+
+module.exports = { EVM_CHAINS, EVM_ADDRESS_RE, createEvmClient, createEvmWatcher, decodeSwapLog, fetchEthPriceUsd };
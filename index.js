@@ -3,6 +3,15 @@ const express = require('express');
 const TelegramBot = require('node-telegram-bot-api');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createDexRegistry } = require('./dexRegistry');
+const { createStore } = require('./db');
+const { createWalletDirectory } = require('./knownWallets');
+const { createBotDetector, BOT_REASONS } = require('./botFilter');
+const { renderCandleChart } = require('./chartRenderer');
+const { createPricing } = require('./pricing');
+const { createSolPriceOracle } = require('./solPriceOracle');
+const { EVM_CHAINS, EVM_ADDRESS_RE, createEvmClient, createEvmWatcher, fetchEthPriceUsd } = require('./evmChains');
 
 const {
   HELIUS_API_KEY,
@@ -10,33 +19,81 @@ const {
   AUTH_TOKEN,
   RAILWAY_PUBLIC_DOMAIN,
   STORAGE_DIR,
+  QUOTE_MINTS: QUOTE_MINTS_ENV,
+  DEX_CONFIG,
+  EXTRA_DEXES,
+  WALLET_LABELS_FILE,
+  MEV_PROGRAMS,
+  MEV_PROGRAMS_FILE,
+  BOT_ROUND_TRIP_SEC = '5',
+  BOT_MIN_ROUND_TRIPS = '2',
+  TRENDING_CHANNEL_ID,
+  TRENDING_WINDOW = '6h',
+  TRENDING_MIN_BUYERS = '5',
+  TRENDING_SIZE = '10',
+  TRENDING_REFRESH_MIN = '5',
+  PYTH_SOL_USD_ACCOUNT,
+  SOL_PRICE_STALE_SEC = '300',
+  BASE_RPC_URL,
+  BASE_WS_URL,
+  ETH_RPC_URL,
+  ETH_WS_URL,
   PORT = 3000,
 } = process.env;
 
 // ─── Storage ──────────────────────────────────────────────────────────────────
-// Structure: { webhookId: null, subscriptions: [{ chatId, ownerId, tokenMint, settings }] }
-const STORAGE_FILE = path.join(STORAGE_DIR || __dirname, 'subscriptions.json');
-
+// SQLite via ./db (schema, migrations and the one-time JSON import live there).
+// Subscription shape: { id, chatId, ownerId, tokenMint, chain, settings, managers, invites }
+// `chain` is 'solana' or an EVM_CHAINS key; EVM token addresses are kept lowercase.
+// A group (chatId) may hold several subscriptions — one per tracked mint.
+// `id` is a short random key used in callback data (Telegram caps it at 64 bytes,
+// too small for chatId + a 44-char mint).
+const DB_FILE = path.join(STORAGE_DIR || __dirname, 'inubuybot.db');
+const LEGACY_STORAGE_FILE = path.join(STORAGE_DIR || __dirname, 'subscriptions.json');
+const store = createStore(DB_FILE, { legacyJsonFile: LEGACY_STORAGE_FILE, newId: newSubId });
+
+// Read-only snapshot: { webhookId, subscriptions }. Write through saveSub /
+// store.deleteSub / store.setMeta — mutating the snapshot persists nothing.
 function loadStorage() {
-  if (!fs.existsSync(STORAGE_FILE)) return { webhookId: null, subscriptions: [] };
-  return JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8'));
+  return { webhookId: store.getMeta('webhookId'), subscriptions: store.listSubs() };
+}
+function newSubId() {
+  return crypto.randomBytes(4).toString('hex');
 }
-function saveStorage(data) {
-  fs.writeFileSync(STORAGE_FILE, JSON.stringify(data, null, 2));
+// Mints tracked on one chain (Solana by default — the Helius / WS / polling
+// paths), or on every chain when `chain` is null
+function getUniqueMints(storage, chain = 'solana') {
+  const subs = chain ? storage.subscriptions.filter((s) => (s.chain || 'solana') === chain) : storage.subscriptions;
+  return [...new Set(subs.map((s) => s.tokenMint))];
 }
-function getUniqueMints(storage) {
-  return [...new Set(storage.subscriptions.map((s) => s.tokenMint))];
+function findSub(subId) {
+  return store.findSub(subId);
 }
-function findSub(groupChatId) {
-  return loadStorage().subscriptions.find((s) => s.chatId === groupChatId) || null;
+function findSubsForChat(groupChatId) {
+  return store.findSubsForChat(groupChatId);
 }
 function saveSub(sub) {
-  const storage = loadStorage();
-  const idx = storage.subscriptions.findIndex((s) => s.chatId === sub.chatId);
-  if (idx >= 0) storage.subscriptions[idx] = sub;
-  else storage.subscriptions.push(sub);
-  saveStorage(storage);
+  store.saveSub(sub);
+  refreshMintInterest();
+}
+
+// What the WS handler checks on every log of a mint — whether a running group
+// wants its transfers, and which wallets groups watch (Dev Watch). Rebuilt on
+// saveSub and syncWsSubscriptions (which runs after every add / remove), so
+// the hot path never reads SQLite.
+const mintInterest = new Map(); // mint → { transfers: boolean, watchers: Map(wallet → [sub]) }
+function refreshMintInterest() {
+  mintInterest.clear();
+  for (const sub of store.listSubs()) {
+    const entry = mintInterest.get(sub.tokenMint) || { transfers: false, watchers: new Map() };
+    if (sub.settings.active !== false && sub.settings.transferAlerts) entry.transfers = true;
+    for (const { wallet } of sub.settings.watchedWallets || []) {
+      entry.watchers.set(wallet, [...(entry.watchers.get(wallet) || []), sub]);
+    }
+    mintInterest.set(sub.tokenMint, entry);
+  }
 }
+refreshMintInterest();
 function defaultSettings() {
   return {
     gif: null,         // { fileId, type: 'photo'|'animation' } or null
@@ -48,9 +105,41 @@ function defaultSettings() {
     whaleUsd: 50000,   // whale alert threshold in USD (0 = off)
     linkTg: '',        // project Telegram link (legacy — use links[] instead)
     links: [],         // up to 3 custom links: [{ label: 'Chart', url: 'https://...' }]
-    circSupply: 0,     // circulating supply for market cap calc
+    circSupply: 0,     // manual circulating supply — only used when no market cap can be fetched
+    supplyExclusions: [], // burn / locked wallets (or token accounts) left out of circulating supply
     tokenName: '',     // token symbol fetched from Helius metadata
     active: false,     // whether alerts are currently enabled (must be started manually)
+    alertMode: 'buys', // which swaps to post: 'buys' | 'sells' | 'both'
+    minSellUsd: 1,     // minimum sell in USD to trigger a sell alert (0 = all)
+    ignoredDexes: [],  // venue keys (e.g. 'PUMP_FUN') whose swaps are never posted
+    burstMode: false,  // aggregate rapid-fire buys into one message (whales still post alone)
+    burstWindowSec: 30, // burst aggregation window in seconds
+    digest: 'off',     // scheduled recap: 'off' | 'daily' | 'weekly' (Mondays)
+    digestHour: 12,    // local hour (0–23) the digest is posted
+    digestTz: 'UTC',   // IANA timezone for digestHour, e.g. 'Europe/London'
+    holderStep: 0,     // announce every N holders (0 = off)
+    holderLevels: [],  // extra holder counts to announce, e.g. [250, 1000]
+    mcapLevels: [],    // market caps (USD) to announce, e.g. [100000, 1000000]
+    athAlerts: false,  // announce new all-time-high market caps
+    milestoneGif: null, // { fileId, type } shown with milestone posts, or null
+    graduationAlerts: true, // post when the token's pump.fun bonding curve completes
+    graduatedAt: null, // set once the graduation post went out (or was skipped while paused)
+    curveSeenRunning: false, // this sub saw the token's curve before completion — only then is graduation announced
+    lpAlerts: true,    // post liquidity adds / removals on the token's pools
+    lpMinUsd: 500,     // smallest LP change (USD, both sides) worth a routine post
+    rugWarnings: true, // loud warning for big or deployer removals, whatever lpAlerts / lpMinUsd say
+    rugWarnPct: 25,    // a single removal taking at least this % of the pool's liquidity is a rug warning
+    deployerWallet: null, // overrides the auto-detected deployer (fee payer of the mint's first tx)
+    transferAlerts: false, // post plain wallet-to-wallet transfers of the token (not swaps)
+    transferMinUsd: 10000, // smallest transfer (USD) worth a post
+    watchAlerts: true, // alert when a watched (dev / insider) wallet's balance of the token drops
+    watchedWallets: [], // [{ wallet, role }] — role is 'Deployer' etc. for auto-detected ones, else the owner's name or null
+    watchSeeded: false, // true once the token's deployer / authorities were looked up — subs from before Dev Watch lack it and are never auto-seeded
+    showTrendingRank: true, // add the token's trending rank to alerts when it has one
+    ownerWallets: [],  // team/dev wallets — their buys never count towards trending
+    mutedLabels: [],   // wallet labels (or categories like 'KOL') whose swaps are never posted
+    botFilter: true,   // skip swaps from wallets flagged as arb/MEV bots (see botFilter.js)
+    ignoredWallets: [], // wallets whose swaps are never posted
     icons: {           // per-field icon overrides { emoji, emojiId }
       header:  { emoji: '🤑', emojiId: null },
       whale:   { emoji: '🐋', emojiId: null },
@@ -60,40 +149,148 @@ function defaultSettings() {
       chart:   { emoji: '📈', emojiId: null },
       mcap:    { emoji: '📊', emojiId: null },
       holders: { emoji: '💠', emojiId: null },
+      // Sell alerts
+      sellHeader: { emoji: '🔴', emojiId: null },
+      sold:       { emoji: '💸', emojiId: null },
+      received:   { emoji: '💵', emojiId: null },
+      seller:     { emoji: '👤', emojiId: null },
     },
   };
 }
 
-// ─── SOL Price (updated every 2 min) ──────────────────────────────────────────
+// ─── SOL Price (oracle median, refreshed every minute) ────────────────────────
+// See solPriceOracle.js. solPriceUsd keeps the last good median; once it is older
+// than SOL_PRICE_STALE_SEC, SOL-paid USD values are shown as estimates (≈).
 let solPriceUsd = 0;
-async function updateSolPrice() {
-  // Try CoinGecko first (no geo-restrictions), fall back to Kraken
-  const sources = [
-    async () => {
-      const res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd');
-      const data = await res.json();
-      return data?.solana?.usd;
-    },
-    async () => {
-      const res = await fetch('https://api.kraken.com/0/public/Ticker?pair=SOLUSD');
-      const data = await res.json();
-      return parseFloat(data?.result?.SOLUSD?.c?.[0]);
-    },
-  ];
+const solOracle = createSolPriceOracle({
+  rpc: (method, params) => rpcCall(method, params),
+  pythAccount: PYTH_SOL_USD_ACCOUNT || undefined,
+  staleMs: Math.max(Number(SOL_PRICE_STALE_SEC) || 300, 60) * 1000,
+});
+
+// Concurrent callers share one in-flight refresh
+let solRefreshing = null;
+function updateSolPrice() {
+  solRefreshing ??= solOracle.refresh().then((result) => {
+    if (!result) {
+      console.error('All SOL price sources failed, keeping last value:', solPriceUsd);
+      return;
+    }
+    solPriceUsd = result.price;
+    console.log(`SOL price updated: $${solPriceUsd.toFixed(2)} (median of ${result.sourceCount})`);
+  }).finally(() => { solRefreshing = null; });
+  return solRefreshing;
+}
+
+// Value a swap leg, first waiting for a SOL price if none has loaded yet
+async function pricedQuoteValue(swap, side) {
+  const value = swapQuoteValue(swap, side);
+  if (value.priced || value.quote || solPriceUsd > 0) return value;
+  await updateSolPrice();
+  return swapQuoteValue(swap, side);
+}
+
+// "$152.31 · 12s ago · 4/5 sources" — used by /status
+function solPriceStatusLine() {
+  if (!(solPriceUsd > 0)) return '(not loaded)';
+  const ageSec = Math.round(solOracle.ageMs() / 1000);
+  const total = solOracle.health().length;
+  return `$${solPriceUsd.toFixed(2)} · ${ageSec}s ago · ${solOracle.sourceCount()}/${total} sources` +
+    (solOracle.isStale() ? ' ⚠️ stale' : '');
+}
+
+// ─── ETH Price (EVM chains only, refreshed every minute while any are tracked) ─
+let ethPriceUsd = 0;
+async function updateEthPrice() {
+  if (evmWatchers.size === 0) return;
+  const price = await fetchEthPriceUsd();
+  if (price > 0) ethPriceUsd = price;
+  else console.error('All ETH price sources failed, keeping last value:', ethPriceUsd);
+}
 
-  for (const source of sources) {
+// ─── Quote tokens (non-SOL payment legs) ──────────────────────────────────────
+// Buys paid with these are priced in USD instead of being dropped. Stablecoins are
+// fixed at $1; extras come from QUOTE_MINTS="SYMBOL:mint,SYMBOL:mint" and are priced
+// via DexScreener every 5 min.
+const QUOTE_MINTS = new Map([
+  ['EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', { symbol: 'USDC', stable: true }],
+  ['Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', { symbol: 'USDT', stable: true }],
+]);
+for (const entry of (QUOTE_MINTS_ENV || '').split(',').map((e) => e.trim()).filter(Boolean)) {
+  const [symbol, mint] = entry.split(':').map((p) => p.trim());
+  if (symbol && mint) QUOTE_MINTS.set(mint, { symbol, stable: false });
+  else console.warn(`[QUOTE] Ignoring malformed QUOTE_MINTS entry "${entry}"`);
+}
+// EVM pairs: WETH at the ETH price, plus each chain's stablecoins
+for (const chain of Object.values(EVM_CHAINS)) {
+  for (const q of chain.quotes) QUOTE_MINTS.set(q.address, { symbol: q.symbol, stable: !!q.stable, native: !!q.native, evm: true });
+}
+
+const quotePrices = new Map(); // mint → USD price (non-stable extras only)
+
+async function updateQuotePrices() {
+  for (const [mint, q] of QUOTE_MINTS) {
+    if (q.stable || q.native) continue;
     try {
-      const price = await source();
-      if (price > 0) {
-        solPriceUsd = price;
-        console.log(`SOL price updated: $${solPriceUsd}`);
-        return;
-      }
+      const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
+      const data = await res.json();
+      const pairs = (data?.pairs || []).filter(
+        (p) => p.baseToken?.address === mint && Number(p.priceUsd) > 0
+      );
+      if (pairs.length === 0) throw new Error('no priced pairs');
+      // Highest-liquidity pair gives the most reliable price
+      const best = pairs.sort((a, b) => (b.liquidity?.usd ?? 0) - (a.liquidity?.usd ?? 0))[0];
+      quotePrices.set(mint, Number(best.priceUsd));
     } catch (e) {
-      console.error('SOL price source failed:', e.message);
+      console.error(`[QUOTE] ${q.symbol} price failed, keeping last value:`, e.message);
     }
   }
-  console.error('All SOL price sources failed, keeping last value:', solPriceUsd);
+}
+
+function quotePriceUsd(mint) {
+  const q = QUOTE_MINTS.get(mint);
+  if (!q) return 0;
+  if (q.native) return ethPriceUsd;
+  return q.stable ? 1 : (quotePrices.get(mint) ?? 0);
+}
+
+// Value of the quote side of a swap — what a buyer paid (side 'in') or a seller
+// received (side 'out'). SOL/WSOL legs use nativeInput/nativeOutput; quote-token
+// legs are looked up in tokenInputs/tokenOutputs (Helius enhanced shape).
+//   → { usd, sol, quote: { symbol, amount } | null, priced, estimated }
+// `priced` is false when the relevant price hasn't loaded (filters should bypass);
+// `estimated` when a SOL leg was valued with a stale SOL price.
+function swapQuoteValue(swap, side) {
+  const native = side === 'in' ? swap.nativeInput : swap.nativeOutput;
+  const sol = native ? native.amount / 1e9 : 0;
+  if (sol > 0) {
+    return { usd: sol * solPriceUsd, sol, quote: null, priced: solPriceUsd > 0, estimated: solPriceUsd > 0 && solOracle.isStale() };
+  }
+
+  const legs = (side === 'in' ? swap.tokenInputs : swap.tokenOutputs) || [];
+  const leg = legs.find((t) => QUOTE_MINTS.has(t.mint));
+  if (!leg) return { usd: 0, sol: 0, quote: null, priced: solPriceUsd > 0 };
+
+  const amount = tokenUiAmount(leg);
+  const usd = amount * quotePriceUsd(leg.mint);
+  return {
+    usd,
+    sol: solPriceUsd > 0 ? usd / solPriceUsd : 0,
+    quote: { symbol: QUOTE_MINTS.get(leg.mint).symbol, amount, native: QUOTE_MINTS.get(leg.mint).native === true },
+    priced: usd > 0,
+  };
+}
+
+// USD value of a swap leg, prefixed ≈ when valued with a stale SOL price
+function formatQuoteUsd(value) {
+  return `${value.estimated ? '≈' : ''}${formatUsd(value.usd)}`;
+}
+
+// "(1.250 SOL)" or "(1,500 USDC)" — the paid/received amount in its own unit
+function formatQuoteLeg(value) {
+  if (!value.quote) return `${value.sol.toFixed(3)} SOL`;
+  const { amount, symbol, native } = value.quote;
+  return `${amount >= 1e3 ? formatTokenAmount(amount) : amount.toFixed(native ? 4 : 2)} ${symbol}`;
 }
 
 // ─── Custom Emoji ──────────────────────────────────────────────────────────────
@@ -127,9 +324,8 @@ function renderIcon(icon) {
 function getIcons(s) {
   const d = defaultSettings().icons;
   const saved = s.icons || {};
-  const fields = ['header', 'whale', 'spent', 'got', 'buyer', 'chart', 'mcap', 'holders'];
   const result = {};
-  for (const f of fields) result[f] = saved[f] ?? d[f];
+  for (const f of Object.keys(d)) result[f] = saved[f] ?? d[f];
   return result;
 }
 
@@ -141,6 +337,26 @@ function formatUsd(amount) {
   return `$${amount.toFixed(2)}`;
 }
 
+// Signed USD for PnL values — formatUsd only handles positives
+function formatSignedUsd(amount) {
+  return `${amount >= 0 ? '+' : '-'}${formatUsd(Math.abs(amount))}`;
+}
+
+// Human token amount from a { rawTokenAmount: { tokenAmount, decimals } } entry
+function tokenUiAmount(t) {
+  const decimals = t?.rawTokenAmount?.decimals ?? 0;
+  const rawAmount = t?.rawTokenAmount?.tokenAmount ?? '0';
+  return Number(rawAmount) / Math.pow(10, decimals);
+}
+
+// "7xKX…9fGh" — compact wallet label for links
+function shortAddr(addr) {
+  return addr ? `${addr.slice(0, 4)}…${addr.slice(-4)}` : '?';
+}
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 function formatTokenAmount(amount) {
   if (amount >= 1e9) return `${(amount / 1e9).toFixed(2)}B`;
   if (amount >= 1e6) return `${(amount / 1e6).toFixed(2)}M`;
@@ -149,33 +365,64 @@ function formatTokenAmount(amount) {
 }
 
 // ─── Wallet Position Tracking ─────────────────────────────────────────────────
-// Tracks each wallet's average buy price per token to show PnL on repeat buys.
-// Persisted to the storage JSON so positions survive bot restarts/redeploys.
-// key: "${walletAddress}|${tokenMint}" → { totalSpentUsd, totalTokens }
+// Tracks each wallet's average buy price per token to show PnL on repeat buys
+// and in /wallet. Persisted to the wallet_positions table so they survive restarts/redeploys.
+// key: "${walletAddress}|${tokenMint}" →
+//   { totalSpentUsd, totalTokens, realisedPnlUsd, buys, sells, firstSeenAt }
+// totalSpentUsd is the cost basis of the tokens still held — sells remove their
+// share at the average entry price and book the difference as realised PnL.
 const walletPositions = new Map();
 
 function getPosition(wallet, mint) {
   return walletPositions.get(`${wallet}|${mint}`) || null;
 }
 
-function updatePosition(wallet, mint, usdSpent, tokensReceived) {
+// Upserts just the given position(s) — the rest of the table is untouched
+function persistPositions(keys) {
+  try {
+    store.savePositions(keys.map((key) => [key, walletPositions.get(key)]));
+  } catch (e) {
+    console.error('[POSITIONS] Save failed:', e.message);
+  }
+}
+
+function updatePosition(wallet, mint, usdSpent, tokensReceived, ts = Date.now()) {
   if (!usdSpent || !tokensReceived) return;
   const key = `${wallet}|${mint}`;
   const existing = walletPositions.get(key);
   if (existing) {
     existing.totalSpentUsd  += usdSpent;
     existing.totalTokens    += tokensReceived;
+    existing.buys            = (existing.buys || 0) + 1;
+    existing.firstSeenAt     = Math.min(existing.firstSeenAt ?? ts, ts);
   } else {
-    walletPositions.set(key, { totalSpentUsd: usdSpent, totalTokens: tokensReceived });
+    walletPositions.set(key, { totalSpentUsd: usdSpent, totalTokens: tokensReceived, buys: 1, firstSeenAt: ts });
   }
   // Persist so positions survive restarts
-  try {
-    const storage = loadStorage();
-    storage.walletPositions = Object.fromEntries(walletPositions);
-    saveStorage(storage);
-  } catch (e) {
-    console.error('[POSITIONS] Save failed:', e.message);
-  }
+  persistPositions([key]);
+}
+
+// Reduce a position on sell. Returns { soldCostUsd, realisedUsd } for the sold
+// portion, or null if we have no tracked position (bought before we were watching).
+function reducePosition(wallet, mint, usdReceived, tokensSold) {
+  if (!tokensSold) return null;
+  const key = `${wallet}|${mint}`;
+  const pos = walletPositions.get(key);
+  if (!pos || pos.totalTokens <= 0) return null;
+
+  // Can't sell more than we saw them buy — the rest came from untracked history
+  const tracked     = Math.min(tokensSold, pos.totalTokens);
+  const soldCostUsd = pos.totalSpentUsd * (tracked / pos.totalTokens);
+  const realisedUsd = usdReceived * (tracked / tokensSold) - soldCostUsd;
+
+  pos.totalTokens    -= tracked;
+  pos.totalSpentUsd  -= soldCostUsd;
+  pos.realisedPnlUsd  = (pos.realisedPnlUsd || 0) + realisedUsd;
+  pos.sells           = (pos.sells || 0) + 1;
+  if (pos.totalTokens < 1e-9) { pos.totalTokens = 0; pos.totalSpentUsd = 0; }
+
+  persistPositions([key]);
+  return { soldCostUsd, realisedUsd };
 }
 
 // Scans recent on-chain history for a mint and seeds wallet positions from buys
@@ -193,42 +440,46 @@ async function seedPositionsFromHistory(mint) {
     const alreadyTracked = new Set(walletPositions.keys());
 
     let seeded = 0;
+    const touched = new Set();
     for (const { signature } of historical.slice(0, 15)) {
       try {
         const rawTx = await fetchRawTx(signature);
         const tx = rawTx ? parseSwapFromRaw(rawTx, [mint]) : null;
-        if (!tx) continue;
+        // Buys only (the mint is what came out) — sells need the prior position.
+        // Quote-token sells have tokenOutputs too, holding the quote leg.
+        const to = tx?.events.swap.tokenOutputs?.find((t) => t.mint === mint);
+        if (!to) continue;
 
         const buyer = tx.feePayer;
         if (!buyer) continue;
         const key = `${buyer}|${mint}`;
         if (alreadyTracked.has(key)) continue; // leave persisted data alone
 
-        const solSpent = tx.events.swap.nativeInput.amount / 1e9;
-        const usdSpent = solSpent * solPriceUsd;
-        const to = tx.events.swap.tokenOutputs[0];
-        const decimals = to?.rawTokenAmount?.decimals ?? 0;
-        const rawAmt   = to?.rawTokenAmount?.tokenAmount ?? '0';
+        const usdSpent = swapQuoteValue(tx.events.swap, 'in').usd;
+        const decimals = to.rawTokenAmount?.decimals ?? 0;
+        const rawAmt   = to.rawTokenAmount?.tokenAmount ?? '0';
         const tokenAmt = Number(rawAmt) / Math.pow(10, decimals);
 
         if (usdSpent > 0 && tokenAmt > 0) {
           // Accumulate — a wallet may appear multiple times in history
+          const ts = tx.timestamp ? tx.timestamp * 1000 : null;
           const existing = walletPositions.get(key);
           if (existing) {
             existing.totalSpentUsd += usdSpent;
             existing.totalTokens   += tokenAmt;
+            existing.buys          += 1;
+            if (ts) existing.firstSeenAt = Math.min(existing.firstSeenAt ?? ts, ts);
           } else {
-            walletPositions.set(key, { totalSpentUsd: usdSpent, totalTokens: tokenAmt });
+            walletPositions.set(key, { totalSpentUsd: usdSpent, totalTokens: tokenAmt, buys: 1, firstSeenAt: ts });
             seeded++;
           }
+          touched.add(key);
         }
       } catch (e) { /* skip individual tx failures */ }
     }
 
     if (seeded > 0) {
-      const storage = loadStorage();
-      storage.walletPositions = Object.fromEntries(walletPositions);
-      saveStorage(storage);
+      persistPositions([...touched]);
       console.log(`[POSITIONS] Seeded ${seeded} historical position(s) for ${mint.slice(0, 8)}`);
     }
   } catch (e) {
@@ -236,18 +487,157 @@ async function seedPositionsFromHistory(mint) {
   }
 }
 
+// ─── Wallet Labels ─────────────────────────────────────────────────────────────
+// Per-group names for wallets ("Dev", "Treasury", "KOL: name") from the
+// wallet_labels table, falling back to the built-in directory of well-known
+// addresses (knownWallets.js). Labels show on alert buyer/seller lines, and
+// settings.mutedLabels skips alerts from wallets carrying those labels —
+// "KOL" mutes every "KOL: …" label.
+const SOLANA_ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MAX_LABELS_PER_GROUP = 500;
+const MAX_LABEL_LENGTH = 32;
+const walletDirectory = createWalletDirectory({
+  configFile: WALLET_LABELS_FILE || path.join(__dirname, 'wallets.json'),
+});
+
+function walletLabel(chatId, wallet) {
+  if (!wallet) return null;
+  return store.getLabel(chatId, wallet) || walletDirectory.get(wallet);
+}
+
+// " 🏷 <b>Dev</b>" after a buyer/seller link, or ''
+function walletTag(chatId, wallet) {
+  const label = walletLabel(chatId, wallet);
+  return label ? ` 🏷 <b>${escapeHtml(label)}</b>` : '';
+}
+
+// Label category — "KOL: Alice" → "kol"
+function labelCategory(chatId, wallet) {
+  return walletLabel(chatId, wallet)?.split(':')[0].trim().toLowerCase() || null;
+}
+
+// Exchange wallets → 'deposit' for a group label "CEX" / "Exchange" (optionally
+// "CEX: name"), 'hot' for built-ins marked kind 'exchange', else null. Only the
+// group knows its deposit addresses; moves into a hot wallet are mostly the
+// exchange sweeping its own deposit addresses, not someone depositing.
+function exchangeWalletKind(chatId, wallet) {
+  if (['cex', 'exchange'].includes(labelCategory(chatId, wallet))) return 'deposit';
+  return walletDirectory.isExchange(wallet) ? 'hot' : null;
+}
+const EXCHANGE_TAGS = { deposit: 'exchange deposit', hot: 'exchange hot wallet' };
+
+// Team wallets: the sub's owner wallets, or a group label "Team" / "Treasury"
+function isTeamWallet(sub, wallet) {
+  return (sub.settings.ownerWallets || []).includes(wallet) ||
+    ['team', 'treasury'].includes(labelCategory(sub.chatId, wallet));
+}
+
+function isLabelMuted(sub, wallet) {
+  const muted = sub.settings.mutedLabels || [];
+  if (muted.length === 0) return false;
+  const label = walletLabel(sub.chatId, wallet)?.toLowerCase();
+  if (!label) return false;
+  const category = label.split(':')[0].trim();
+  return muted.some((m) => m.toLowerCase() === label || m.toLowerCase() === category);
+}
+
+// Parse "address,label" lines (CSV, or tab/semicolon/space separated). A header
+// row, blank lines and # comments are skipped. → { entries, invalid: [line] }
+function parseLabelCsv(text) {
+  const entries = new Map(); // wallet → label (last one wins)
+  const invalid = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = line.match(/^"?([1-9A-HJ-NP-Za-km-z]{32,44}|0x[0-9a-fA-F]{40})"?\s*[,;\t ]\s*"?(.+?)"?\s*$/);
+    if (!m) {
+      if (!/^"?(address|wallet)"?\s*[,;\t]/i.test(line)) invalid.push(line);
+      continue;
+    }
+    const label = m[2].replace(/""/g, '"').trim().slice(0, MAX_LABEL_LENGTH);
+    if (label) entries.set(parseAnyAddress(m[1]), label);
+    else invalid.push(line);
+  }
+  return { entries: [...entries].map(([wallet, label]) => ({ wallet, label })), invalid };
+}
+
+// ─── Bot Filter ────────────────────────────────────────────────────────────────
+// Every tracked swap leg is fed to the detector (botFilter.js) in
+// processTransaction; groups with settings.botFilter on skip flagged wallets,
+// and settings.ignoredWallets are always skipped. Suppressed txs are counted
+// per reason since startup and shown in /status.
+const MAX_IGNORED_WALLETS = 100;
+const BOT_MIN_TRIPS = Math.max(parseInt(BOT_MIN_ROUND_TRIPS, 10) || 2, 1);
+const BOT_TRIP_WINDOW_MS = 60 * 60 * 1000;
+const botDetector = createBotDetector({
+  configFile: MEV_PROGRAMS_FILE || path.join(__dirname, 'mev-programs.json'),
+  extraEnv: MEV_PROGRAMS,
+  roundTripMs: (parseFloat(BOT_ROUND_TRIP_SEC) || 5) * 1000,
+  minRoundTrips: BOT_MIN_TRIPS,
+  tripWindowMs: BOT_TRIP_WINDOW_MS,
+});
+const suppressionStats = { ignored: 0, ...Object.fromEntries(Object.keys(BOT_REASONS).map((r) => [r, 0])) };
+const suppressedSigs = new Set(); // "sig:reason" — count a tx once, however many groups skip it
+
+// Program ids a tx invoked — parsed txs carry them, Helius enhanced txs list
+// them per instruction
+function txProgramIds(tx) {
+  if (Array.isArray(tx.programIds)) return tx.programIds;
+  return (tx.instructions || []).flatMap((ix) => [ix.programId, ...(ix.innerInstructions || []).map((i) => i.programId)]).filter(Boolean);
+}
+
+// How far back a newly flagged wallet's logged swaps are marked as bot trades —
+// the round trips that got it flagged fall in this window
+const BOT_BACKFILL_MS = BOT_TRIP_WINDOW_MS;
+
+// → the bot reason for the leg's wallet, or null
+function observeSwapLeg(tx, mint, side) {
+  return botDetector.observe({
+    wallet: tx.feePayer, mint, side,
+    slot: tx.slot ?? null,
+    ts: tx.timestamp ? tx.timestamp * 1000 : Date.now(),
+    programIds: txProgramIds(tx),
+  });
+}
+
+// Why this group should not see the wallet's swap → 'ignored' | bot reason | null
+function botSkipReason(sub, wallet) {
+  if (!wallet) return null;
+  if ((sub.settings.ignoredWallets || []).includes(wallet)) return 'ignored';
+  if (sub.settings.botFilter === false) return null;
+  return botDetector.flagReason(wallet);
+}
+
+// The same per-group filter for swap-log stats (digests, competitions)
+function swapStatsFilter(sub) {
+  return { includeBots: sub.settings.botFilter === false, ignoredWallets: sub.settings.ignoredWallets || [] };
+}
+
+function countSuppressed(tx, reason) {
+  const key = `${tx.signature}:${reason}`;
+  if (suppressedSigs.has(key)) return;
+  if (suppressedSigs.size > 5000) suppressedSigs.clear();
+  suppressedSigs.add(key);
+  suppressionStats[reason] = (suppressionStats[reason] || 0) + 1;
+}
+
 // Unix timestamp (seconds) of when this process started.
 // Any transaction confirmed before this moment is ignored — we only alert on new buys.
 const BOT_START_TIME = Math.floor(Date.now() / 1000);
 
 // ─── Seen-signature dedup (shared by polling + legacy webhook endpoint) ───────
+// In-memory Set for the hot path, mirrored to seen_signatures so a restart
+// doesn't re-alert txs it already handled. Rows older than a day are pruned.
 const seenSignatures = new Set();
+const SEEN_RETENTION_MS = 24 * 60 * 60 * 1000;
 function markSeen(sig) {
   seenSignatures.add(sig);
+  try { store.addSeenSignature(sig); } catch (e) { console.error('[DB] Seen-sig write failed:', e.message); }
   // Keep newest ~5 000 sigs; drop oldest half when over limit
   if (seenSignatures.size > 5000) {
     const it = seenSignatures.values();
     for (let i = 0; i < 2500; i++) seenSignatures.delete(it.next().value);
+    store.pruneSignatures(SEEN_RETENTION_MS);
   }
 }
 
@@ -265,6 +655,7 @@ const holderCache = new Map(); // mint → { count, ts }
 // Uses dataSlice to fetch only the 8-byte amount field per account (very small payload).
 // Tries SPL Token first (165-byte accounts), then Token-2022 (variable size).
 async function getHolderCount(mint) {
+  if (EVM_ADDRESS_RE.test(mint)) return null; // needs an indexer on EVM — not counted
   const cached = holderCache.get(mint);
   if (cached && Date.now() - cached.ts < 30 * 60 * 1000) return cached.count;
 
@@ -322,12 +713,44 @@ async function getHolderCount(mint) {
   return null;
 }
 
-// ─── Market Cap (DexScreener, cached 5 min) ───────────────────────────────────
-const mcapCache = new Map(); // mint → { mcap, ts }
+// ─── Market Cap (on-chain, DexScreener fallback) ──────────────────────────────
+// Price × circulating supply from RPC (pricing.js), cached 30 s. When either is
+// unavailable, DexScreener's best pair is used instead, cached 5 min. Burn /
+// locked wallets are per group, so the cache is keyed by mint + that list —
+// one group's exclusions never change another's market cap.
+const mcapCache = new Map(); // mcapKey → { mcap, price, source: 'onchain'|'dexscreener', ts }
+const MCAP_TTL_MS = { onchain: 30 * 1000, dexscreener: 5 * 60 * 1000 };
+const MAX_SUPPLY_EXCLUSIONS = 20;
+const MCAP_SOURCE_LABELS = { onchain: 'on-chain', dexscreener: 'DexScreener' };
+
+const mcapKey = (mint, excluded = []) => `${mint}|${[...excluded].sort().join(',')}`;
+
+// Market cap as one group sees it — minus its own burn / locked wallets
+function marketCapFor(sub) {
+  return getMarketCap(sub.tokenMint, sub.settings.supplyExclusions || []);
+}
+
+// `excluded`: addresses whose holdings don't count as circulating (the
+// incinerator always excluded). Per-mint callers (snapshots) pass none.
+async function getMarketCap(mint, excluded = []) {
+  const key = mcapKey(mint, excluded);
+  const cached = mcapCache.get(key);
+  if (cached && Date.now() - cached.ts < MCAP_TTL_MS[cached.source]) return cached.mcap;
+
+  // pricing.js reads Solana accounts — EVM tokens go straight to DexScreener
+  const priced = EVM_ADDRESS_RE.test(mint) ? null : await pricing.getPrice(mint);
+  if (priced) {
+    const supply = await pricing.getCirculatingSupply(mint, excluded);
+    if (supply > 0) {
+      const mcap = priced.price * supply;
+      mcapCache.set(key, { mcap, price: priced.price, source: 'onchain', ts: Date.now() });
+      return mcap;
+    }
+  }
+  return getDexScreenerMarketCap(mint, key);
+}
 
-async function getMarketCap(mint) {
-  const cached = mcapCache.get(mint);
-  if (cached && Date.now() - cached.ts < 5 * 60 * 1000) return cached.mcap;
+async function getDexScreenerMarketCap(mint, key = mcapKey(mint)) {
   try {
     const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
     const data = await res.json();
@@ -347,7 +770,7 @@ async function getMarketCap(mint) {
 
     // Use || not ?? so that a 0 value (bad data) correctly falls through to the next field
     const mcap = best?.marketCap || best?.fdv || null;
-    if (mcap) mcapCache.set(mint, { mcap, ts: Date.now() });
+    if (mcap) mcapCache.set(key, { mcap, price: Number(best.priceUsd) || null, source: 'dexscreener', ts: Date.now() });
     return mcap;
   } catch (e) {
     console.error('Market cap fetch failed:', e.message);
@@ -355,8 +778,17 @@ async function getMarketCap(mint) {
   }
 }
 
+// USD per token — on-chain pricing, then the market cap lookup's DexScreener
+// price, then the latest logged swap. null when none is known.
+async function getTokenPrice(mint) {
+  const priced = await pricing.getPrice(mint);
+  if (priced) return priced.price;
+  await getMarketCap(mint);
+  return mcapCache.get(mcapKey(mint))?.price || store.lastSwapPrice(mint);
+}
+
 // ─── Token Metadata ────────────────────────────────────────────────────────────
-async function getTokenName(mint) {
+async function getTokenName(mint, chain = 'solana') {
   // 1. DexScreener — completely free, already used for market cap
   try {
     const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
@@ -369,7 +801,16 @@ async function getTokenName(mint) {
     }
   } catch (e) { /* fall through */ }
 
-  // 2. Helius token metadata — fallback (costs credits)
+  // 2. EVM — the token contract's symbol()
+  if (EVM_CHAINS[chain]) {
+    try {
+      return (await evmClient(chain).tokenInfo(mint)).symbol || mint.slice(0, 6) + '...';
+    } catch (e) {
+      return mint.slice(0, 6) + '...';
+    }
+  }
+
+  // 3. Helius token metadata — fallback (costs credits)
   try {
     const res = await fetch(
       `https://api.helius.xyz/v0/token-metadata?api-key=${HELIUS_API_KEY}`,
@@ -391,6 +832,89 @@ async function getTokenName(mint) {
   }
 }
 
+// Deployer = fee payer of the mint's first transaction (Solana only). Walking a
+// busy token's signature history back to the start takes a while, so a found
+// wallet is kept in meta for good and a failed lookup isn't retried for an hour.
+const DEPLOYER_MAX_PAGES = 10; // × 1000 signatures
+const DEPLOYER_RETRY_MS = 60 * 60 * 1000;
+const deployerLookups = new Map(); // mint → { promise } while running, { failedAt } after a miss
+
+function getDeployer(mint) {
+  const known = store.getMeta(`deployer:${mint}`);
+  if (known) return Promise.resolve(known);
+  const last = deployerLookups.get(mint);
+  if (last?.promise) return last.promise;
+  if (last && Date.now() - last.failedAt < DEPLOYER_RETRY_MS) return Promise.resolve(null);
+
+  const promise = findDeployer(mint)
+    .catch((e) => {
+      console.warn(`[DEPLOYER] ${mint.slice(0, 8)}:`, e.message);
+      return null;
+    })
+    .then((wallet) => {
+      if (wallet) {
+        store.setMeta(`deployer:${mint}`, wallet);
+        deployerLookups.delete(mint);
+        console.log(`[DEPLOYER] ${mint.slice(0, 8)} → ${wallet}`);
+      } else {
+        deployerLookups.set(mint, { failedAt: Date.now() });
+      }
+      return wallet;
+    });
+  deployerLookups.set(mint, { promise });
+  return promise;
+}
+
+async function findDeployer(mint) {
+  let before;
+  for (let page = 0; page < DEPLOYER_MAX_PAGES; page++) {
+    const sigs = await rpcCall('getSignaturesForAddress', [mint, { limit: 1000, ...(before && { before }) }]);
+    if (!sigs?.length) return null;
+    before = sigs[sigs.length - 1].signature;
+    if (sigs.length < 1000) {
+      const first = (await fetchRawTx(before))?.transaction?.message?.accountKeys?.[0];
+      return (typeof first === 'string' ? first : first?.pubkey) || null;
+    }
+  }
+  return null; // longer history than we're willing to walk — set it by hand
+}
+
+// Launchpad-wide authorities sign for every token on the platform — never insiders
+const SHARED_AUTHORITIES = new Set([
+  'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM', // pump.fun
+]);
+
+// Wallets that had a hand in creating the token → [{ wallet, role }]: the deployer,
+// the mint authority while it isn't revoked, and the metadata update authority
+// (Helius metadata, so only with an API key). Each source is best-effort.
+async function findTokenInsiders(mint) {
+  const found = [];
+  const add = (wallet, role) => {
+    if (wallet && !SHARED_AUTHORITIES.has(wallet) && !found.some((f) => f.wallet === wallet)) found.push({ wallet, role });
+  };
+  add(await getDeployer(mint), 'Deployer');
+  try {
+    const info = await rpcCall('getAccountInfo', [mint, { encoding: 'jsonParsed' }]);
+    add(info?.value?.data?.parsed?.info?.mintAuthority, 'Mint authority');
+  } catch (e) {
+    console.warn(`[INSIDERS] Mint account read failed for ${mint.slice(0, 8)}:`, e.message);
+  }
+  if (HELIUS_API_KEY) {
+    try {
+      const res = await fetch(`https://api.helius.xyz/v0/token-metadata?api-key=${HELIUS_API_KEY}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mintAccounts: [mint] }),
+      });
+      const data = await res.json();
+      add(data?.[0]?.onChainMetadata?.metadata?.updateAuthority, 'Update authority');
+    } catch (e) {
+      console.warn(`[INSIDERS] Metadata read failed for ${mint.slice(0, 8)}:`, e.message);
+    }
+  }
+  return found;
+}
+
 // ─── Helius Webhook ────────────────────────────────────────────────────────────
 async function createHeliusWebhook(body) {
   const res = await fetch(
@@ -429,14 +953,12 @@ async function syncHeliusWebhook() {
     }
     // Stale / deleted — drop the old id and create a fresh one
     console.warn(`[HELIUS] PUT failed (${res.status}) — webhook likely deleted, creating new one`);
-    storage.webhookId = null;
-    saveStorage(storage);
+    store.setMeta('webhookId', null);
   }
 
   // Create new webhook
   const newId = await createHeliusWebhook(body);
-  storage.webhookId = newId;
-  saveStorage(storage);
+  store.setMeta('webhookId', newId);
   console.log(`[HELIUS] Webhook created (id=${newId})`);
 }
 
@@ -447,35 +969,133 @@ function getWebhookURL() {
 
 // ─── Core transaction processor (used by both polling and legacy webhook) ─────
 async function processTransaction(tx, storage) {
+  if (tx.events?.liquidity) return processLiquidity(tx, storage);
+  if (tx.events?.transfer) return processTransfer(tx, storage);
   if (tx.type !== 'SWAP') return;
   const swap = tx.events?.swap;
   if (!swap) return;
 
-  // Check top-level tokenOutputs, then Jupiter innerSwaps
-  let tokenOut = swap.tokenOutputs?.find((t) =>
-    storage.subscriptions.some((s) => s.tokenMint === t.mint)
-  );
-  if (!tokenOut && Array.isArray(swap.innerSwaps)) {
-    for (const inner of swap.innerSwaps) {
-      tokenOut = inner.tokenOutputs?.find((t) =>
-        storage.subscriptions.some((s) => s.tokenMint === t.mint)
-      );
-      if (tokenOut) break;
+  // Collect every tracked mint received (buys) or given up (sells) — top-level
+  // entries, then Jupiter innerSwaps. A group may track several mints, and one
+  // route can touch more than one of them.
+  const tracked = new Set(getUniqueMints(storage, null));
+  const collect = (key) => {
+    const candidates = [
+      ...(swap[key] || []),
+      ...(Array.isArray(swap.innerSwaps) ? swap.innerSwaps.flatMap((inner) => inner[key] || []) : []),
+    ];
+    const byMint = new Map(); // mint → first entry seen for it
+    for (const t of candidates) {
+      if (tracked.has(t.mint) && !byMint.has(t.mint)) byMint.set(t.mint, t);
     }
+    return byMint;
+  };
+  const tokenOuts = collect('tokenOutputs');
+  const tokenIns  = collect('tokenInputs');
+  for (const mint of tokenOuts.keys()) tokenIns.delete(mint); // routed through, net buy
+  if (tokenOuts.size === 0 && tokenIns.size === 0) return;
+
+  const wallet = tx.feePayer;
+  const sig = tx.signature?.slice(0, 12);
+  for (const [mint, pool] of Object.entries(tx.pools || {})) pricing.observePool(mint, pool);
+
+  for (const [mint, tokenOut] of tokenOuts) {
+    // Snapshot position BEFORE this buy (so PnL reflects previous avg vs current price)
+    const pos = wallet ? getPosition(wallet, mint) : null;
+    const prevPosition = pos ? { ...pos } : null;
+    const paid = swapQuoteValue(swap, 'in');
+    // Logged before alerting so competition footers already count this buy
+    recordSwap(tx, mint, 'buy', paid, tokenUiAmount(tokenOut), !prevPosition, observeSwapLeg(tx, mint, 'buy'));
+    // Once per mint (not per sub), before the sends — alerts use prevPosition,
+    // and a slow chat mustn't leave the next swap of this wallet a stale position
+    if (wallet && paid.usd > 0) updatePosition(wallet, mint, paid.usd, tokenUiAmount(tokenOut), tx.timestamp ? tx.timestamp * 1000 : Date.now());
+    // Chats are sent concurrently — each has its own paced queue, so one slow
+    // group can't hold up the others
+    await Promise.all(storage.subscriptions.filter((s) => s.tokenMint === mint).map(async (sub) => {
+      try {
+        await sendBuyAlert(sub, tx, swap, tokenOut, prevPosition);
+        console.log(`[ALERT] → chat=${sub.chatId} mint=${mint.slice(0, 8)} tx=${sig}`);
+      } catch (err) {
+        console.error(`[ERROR] chat=${sub.chatId} mint=${mint.slice(0, 8)}:`, err.message);
+      }
+    }));
   }
-  if (!tokenOut) return;
 
-  const matchingSubs = storage.subscriptions.filter((s) => s.tokenMint === tokenOut.mint);
-  for (const sub of matchingSubs) {
-    try {
-      await sendBuyAlert(sub, tx, swap, tokenOut);
-      console.log(`[ALERT] → chat=${sub.chatId} tx=${tx.signature?.slice(0, 12)}`);
-    } catch (err) {
-      console.error(`[ERROR] chat=${sub.chatId}:`, err.message);
+  for (const [mint, tokenIn] of tokenIns) {
+    const pos = wallet ? getPosition(wallet, mint) : null;
+    const prevPosition = pos ? { ...pos } : null;
+    const received = swapQuoteValue(swap, 'out');
+    recordSwap(tx, mint, 'sell', received, tokenUiAmount(tokenIn), false, observeSwapLeg(tx, mint, 'sell'));
+    if (wallet && received.usd > 0) reducePosition(wallet, mint, received.usd, tokenUiAmount(tokenIn));
+    await Promise.all(storage.subscriptions.filter((s) => s.tokenMint === mint).map(async (sub) => {
+      try {
+        await sendSellAlert(sub, tx, swap, tokenIn, prevPosition);
+        console.log(`[ALERT] → chat=${sub.chatId} mint=${mint.slice(0, 8)} sell tx=${sig}`);
+      } catch (err) {
+        console.error(`[ERROR] chat=${sub.chatId} mint=${mint.slice(0, 8)}:`, err.message);
+      }
+    }));
+  }
+}
+
+// Log every tracked swap (posted or filtered) for digests and competitions —
+// never blocks alerts. botReason marks a flagged wallet's swap (and its earlier
+// legs) so stats can leave it out.
+function recordSwap(tx, mint, side, value, tokens, isNew, botReason = null) {
+  if (!tx.signature) return;
+  const ts = tx.timestamp ? tx.timestamp * 1000 : Date.now();
+  try {
+    const logged = store.recordSwap({
+      signature: swapLogKey(tx), mint, side, wallet: tx.feePayer,
+      usd: value.usd, sol: value.sol, tokens, isNew, ts, botReason,
+    });
+    if (botReason && tx.feePayer) store.flagSwaps(mint, tx.feePayer, botReason, ts - BOT_BACKFILL_MS);
+    if (logged) {
+      recordCandles(mint, ts, value, tokens);
+      if (tokens > 0) pricing.observeTrade(mint, value.usd / tokens, ts);
     }
+  } catch (e) {
+    console.error('[DB] Swap log write failed:', e.message);
   }
 }
 
+// Swap-log key: the signature, plus the log index for EVM swaps ("0xabc…:7") —
+// strip it with txHashOf before building a tx link
+function swapLogKey(tx) {
+  return tx.logIndex != null ? `${tx.signature}:${tx.logIndex}` : tx.signature;
+}
+const txHashOf = (key) => key.split(':')[0];
+
+// ─── Price Candles ─────────────────────────────────────────────────────────────
+// OHLCV per mint from each swap's implied USD price (quote value / tokens), in
+// every interval below. Swaps without a USD value (price not loaded yet) are
+// left out. Buckets are aligned to UTC; intervals with no trades have no row.
+// Pruned hourly with the digest history, per interval retention.
+const CANDLE_INTERVALS = {
+  '1m': { ms: 60 * 1000,           retentionMs: 2 * 24 * 60 * 60 * 1000 },
+  '5m': { ms: 5 * 60 * 1000,       retentionMs: 14 * 24 * 60 * 60 * 1000 },
+  '1h': { ms: 60 * 60 * 1000,      retentionMs: 90 * 24 * 60 * 60 * 1000 },
+  '1d': { ms: 24 * 60 * 60 * 1000, retentionMs: 2 * 365 * 24 * 60 * 60 * 1000 },
+};
+const MAX_CANDLES = 1000; // per query / export
+
+function recordCandles(mint, ts, value, tokens) {
+  if (!(value.usd > 0) || !(tokens > 0)) return;
+  const buckets = Object.entries(CANDLE_INTERVALS).map(([interval, { ms }]) => [interval, Math.floor(ts / ms) * ms]);
+  store.recordCandles({ mint, ts, price: value.usd / tokens, usd: value.usd, sol: value.sol }, buckets);
+}
+
+// Candles for a mint, oldest first → [{ start, open, high, low, close, volumeUsd, volumeSol, trades }].
+// Without `since` the newest `limit` are returned. Throws on an unknown interval.
+function getCandles(mint, interval, { since, until, limit = 500 } = {}) {
+  if (!CANDLE_INTERVALS[interval]) throw new Error(`Unknown interval "${interval}" — use ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+  return store.candles(mint, interval, { since, until, limit: Math.min(Math.max(limit, 1), MAX_CANDLES) });
+}
+
+function pruneCandles() {
+  for (const [interval, { retentionMs }] of Object.entries(CANDLE_INTERVALS)) store.pruneCandles(interval, retentionMs);
+}
+
 // ─── Free Solana RPC — replaces Helius Enhanced Transaction API ───────────────
 // Uses standard getTransaction + getSignaturesForAddress (free, no API key).
 // Parses token balance diffs to extract buyer, SOL spent, and tokens received.
@@ -492,16 +1112,40 @@ const FREE_RPCS = [
   'https://api.mainnet-beta.solana.com',
 ];
 
-const DEX_SOURCE_NAMES = {
-  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'JUPITER',
-  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'RAYDIUM',
-  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'RAYDIUM',
-  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc':  'ORCA',
-  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P':  'PUMP_FUN',
-  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA':  'PUMP_FUN',
-  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'METEORA',
-  'Eo7WjKq67rjJQDd1d1ck1DnpxjkK3jFHXKRkBVtiTEkF': 'METEORA',
-};
+// Generic JSON-RPC call across FREE_RPCS → result. Throws when every endpoint
+// fails or returns an error.
+async function rpcCall(method, params) {
+  let lastError = null;
+  for (const rpc of FREE_RPCS) {
+    try {
+      const res = await fetch(rpc, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error.message);
+      return data.result;
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw new Error(`${method} failed on every RPC: ${lastError?.message}`);
+}
+
+// Token prices from pool reserves / observed swaps (see pricing.js)
+const pricing = createPricing({
+  rpc: rpcCall,
+  quotePriceUsd: (mint) => (mint === WSOL_MINT ? solPriceUsd : quotePriceUsd(mint)),
+});
+
+// Known swap programs — built-ins plus dexes.json / EXTRA_DEXES (see dexRegistry.js)
+const dexRegistry = createDexRegistry({
+  configFile: DEX_CONFIG || path.join(__dirname, 'dexes.json'),
+  extraEnv: EXTRA_DEXES,
+});
 
 async function fetchRawTx(signature) {
   for (const rpc of FREE_RPCS) {
@@ -554,7 +1198,9 @@ async function fetchSigsForAddress(mint, limit = 20) {
 }
 
 // Parse a raw jsonParsed transaction into the same shape processTransaction expects.
-// Returns null if the tx is not a buy swap for one of the monitored mints.
+// Buys come back as { nativeInput, tokenOutputs }, sells as { nativeOutput, tokenInputs }
+// (mirroring Helius enhanced swaps); liquidity adds / removals as ADD_LIQUIDITY /
+// WITHDRAW_LIQUIDITY with events.liquidity. Returns null for anything else.
 function parseSwapFromRaw(rawTx, monitoredMints) {
   if (!rawTx || rawTx.meta?.err) return null;
 
@@ -571,13 +1217,27 @@ function parseSwapFromRaw(rawTx, monitoredMints) {
     ...(meta.innerInstructions || []).flatMap(ii => ii.instructions || []),
   ];
   const programIds = allIxs.map(ix => ix.programId).filter(Boolean);
-  const dexId = programIds.find(id => DEX_PROGRAM_IDS.has(id));
-  if (!dexId) return null;
+  const dex = dexRegistry.detect(programIds);
+  if (!dex) return null;
 
   const preBals  = meta.preTokenBalances  || [];
   const postBals = meta.postTokenBalances || [];
   const preMap   = Object.fromEntries(preBals.map(b => [b.accountIndex, b]));
 
+  // Carried through for the bot filter (same-slot and MEV-program heuristics) and
+  // on-chain pricing (the pool vaults each monitored mint traded against)
+  const context = {
+    slot: rawTx.slot ?? null,
+    timestamp: rawTx.blockTime ?? null,
+    programIds: [...new Set(programIds)],
+    pools: findPoolVaults(allIxs, accountKeys, preBals, postBals, monitoredMints, buyer),
+  };
+
+  // An aggregator route is always a swap — its hops can look like LP moves
+  const isRoute = programIds.some((id) => dexRegistry.get(id)?.aggregator);
+  const liquidity = isRoute ? null : parseLiquidityFromRaw({ transaction, accountKeys, preBals, postBals, provider: buyer, dex, context });
+  if (liquidity) return liquidity;
+
   // Find which monitored mint the buyer received (positive token delta for buyer)
   let tokenOut = null;
   for (const mint of monitoredMints) {
@@ -597,7 +1257,10 @@ function parseSwapFromRaw(rawTx, monitoredMints) {
       break;
     }
   }
-  if (!tokenOut) return null; // sell, LP action, or unrelated tx
+  if (!tokenOut) {
+    // Not a buy — try the sell side (unrelated txs still return null)
+    return parseSellFromRaw({ transaction, meta, seller: buyer, dex, context, preBals, postBals, preMap }, monitoredMints);
+  }
 
   // Verify tokens came from a pool/vault — at least one OTHER account's balance
   // for the same mint must have decreased. This rules out LP fee claims, airdrops
@@ -610,6 +1273,29 @@ function parseSwapFromRaw(rawTx, monitoredMints) {
   });
   if (!poolGaveTokens) return null;
 
+  // Paid with a quote token (USDC, USDT, configured extras)? Checked before SOL
+  // because the native delta of such a buy is only fees + ATA rent.
+  const quoteIn = findQuoteDelta(preBals, postBals, preMap, buyer, 'decrease');
+  if (quoteIn) {
+    return {
+      type: 'SWAP',
+      feePayer: buyer,
+      signature: transaction.signatures?.[0] ?? null,
+      ...context,
+      source: dex.venue,
+      sourceLabel: dex.label,
+      venues: dex.venues,
+      events: {
+        swap: {
+          nativeInput: null,
+          tokenInputs: [quoteIn],
+          tokenOutputs: [tokenOut],
+          innerSwaps: [],
+        },
+      },
+    };
+  }
+
   // SOL spent = fee payer balance decrease minus tx fee
   const solLamports = Math.max(
     0,
@@ -627,14 +1313,17 @@ function parseSwapFromRaw(rawTx, monitoredMints) {
       const wsolDelta = Number(preWsol.uiTokenAmount.amount) - Number(postWsol.uiTokenAmount.amount);
       if (wsolDelta > 0) nativeInput = { amount: wsolDelta };
     }
-    if (nativeInput.amount < 1000) return null; // non-SOL buy (USDC etc.) — skip
+    if (nativeInput.amount < 1000) return null; // paid with an unknown token — skip
   }
 
   return {
     type: 'SWAP',
     feePayer: buyer,
     signature: transaction.signatures?.[0] ?? null,
-    source: DEX_SOURCE_NAMES[dexId] ?? 'UNKNOWN',
+    ...context,
+    source: dex.venue,
+    sourceLabel: dex.label,
+    venues: dex.venues,
     events: {
       swap: {
         nativeInput,
@@ -645,71 +1334,342 @@ function parseSwapFromRaw(rawTx, monitoredMints) {
   };
 }
 
-// ─── Polling — safety net for WS gaps ─────────────────────────────────────────
-const POLL_INTERVAL_MS = 3 * 60 * 1000; // 3 min
-
-async function pollForSwaps() {
-  const storage = loadStorage();
-  const mints = getUniqueMints(storage);
-  if (mints.length === 0) return;
-
-  for (const mint of mints) {
-    try {
-      const sigObjs = await fetchSigsForAddress(mint, 20);
-      let newCount = 0;
-      for (const { signature: sig, blockTime } of sigObjs) {
-        if (!sig || seenSignatures.has(sig) || pendingSigs.has(sig)) continue;
-
-        // Only process transactions confirmed at or after bot startup.
-        // This is the definitive guard against re-alerting on old buys after any restart.
-        if (blockTime != null && blockTime < BOT_START_TIME) {
-          markSeen(sig); // silence permanently so we never loop over it again
-          continue;
-        }
-
-        markSeen(sig);
-        newCount++;
-        const rawTx = await fetchRawTx(sig);
-        const tx = rawTx ? parseSwapFromRaw(rawTx, [mint]) : null;
-        if (tx) await processTransaction(tx, storage);
+// The pool side of a swap, per monitored mint: the non-trader token account whose
+// balance of the mint moved the most among the accounts of one DEX instruction,
+// plus the quote-token (WSOL / USDC / …) account of that same instruction with the
+// same owner that moved too. Scoping to one instruction keeps a multi-hop route
+// through pools sharing an authority (every Raydium AMM v4 pool) from pairing one
+// pool's token vault with another's quote vault; programId is the program that
+// owns the vaults, not whatever else the transaction invoked. No quote vault
+// means the pool holds native SOL — a pump.fun bonding curve, whose address is
+// vaultOwner.
+//   → { [mint]: { programId, tokenVault, vaultOwner, quoteVault, quoteMint, decimals } }
+function findPoolVaults(instructions, accountKeys, preBals, postBals, monitoredMints, trader) {
+  const preMap  = Object.fromEntries(preBals.map((b) => [b.accountIndex, b]));
+  const postMap = Object.fromEntries(postBals.map((b) => [b.accountIndex, b]));
+  const delta = (idx) =>
+    BigInt(postMap[idx]?.uiTokenAmount?.amount ?? '0') - BigInt(preMap[idx]?.uiTokenAmount?.amount ?? '0');
+  const abs = (n) => (n < 0n ? -n : n);
+  const all = [...preBals, ...postBals];
+  // Pool instructions only — an aggregator's accounts span every hop of its route
+  const poolIxs = instructions
+    .filter((ix) => Array.isArray(ix.accounts) && dexRegistry.get(ix.programId)?.aggregator === false)
+    .map((ix) => ({ programId: ix.programId, accounts: new Set(ix.accounts) }));
+
+  const pools = {};
+  for (const mint of monitoredMints) {
+    let best = null; // { ix, vault }
+    for (const ix of poolIxs) {
+      for (const b of all) {
+        if (b.mint !== mint || !b.owner || b.owner === trader || !ix.accounts.has(accountKeys[b.accountIndex])) continue;
+        const moved = abs(delta(b.accountIndex));
+        if (moved > 0n && (!best || moved > best.vault.moved)) best = { ix, vault: { ...b, moved } };
       }
-      if (newCount > 0) console.log(`[POLL] ${mint.slice(0, 8)} +${newCount} new tx(s)`);
-    } catch (e) {
-      console.error(`[POLL] Error for ${mint.slice(0, 8)}:`, e.message);
     }
+    if (!best) continue;
+    const { ix, vault } = best;
+    const quote = all.find((b) => b.owner === vault.owner && b.mint !== mint && ix.accounts.has(accountKeys[b.accountIndex]) &&
+      (b.mint === WSOL_MINT || QUOTE_MINTS.has(b.mint)) && delta(b.accountIndex) !== 0n);
+    pools[mint] = {
+      programId:  ix.programId,
+      tokenVault: accountKeys[vault.accountIndex],
+      vaultOwner: vault.owner,
+      quoteVault: quote ? accountKeys[quote.accountIndex] : null,
+      quoteMint:  quote?.mint ?? null,
+      decimals:   vault.uiTokenAmount.decimals,
+    };
   }
+  return pools;
 }
 
-// ─── Real-time WebSocket subscriptions ────────────────────────────────────────
-// logsSubscribe fires on every transaction mentioning the mint.
-// DEX filter cuts ~90% of notifications. Remaining ones are parsed via free RPC.
-const WebSocket = require('ws');
-const wsConnections = new Map(); // mint → ws instance
+// Liquidity side of parseSwapFromRaw: a swap moves a pool's token and quote vaults
+// in opposite directions, an LP add fills both and a removal drains both. Pools
+// without a quote vault (pump.fun curves, native SOL) have no LP to move. The
+// vaults come from findPoolVaults, so both belong to the same pool instruction.
+// Never called for aggregator routes.
+//   → events.liquidity: { mint, pool, token, quote, quoteReserveBefore, quoteReserveAfter, signers }
+// token / quote are { mint, rawTokenAmount } entries for the amounts that moved.
+function parseLiquidityFromRaw({ transaction, accountKeys, preBals, postBals, provider, dex, context }) {
+  const balance = (bals, address) => {
+    const idx = accountKeys.indexOf(address);
+    return bals.find((b) => b.accountIndex === idx)?.uiTokenAmount;
+  };
+  const raw = (amount) => BigInt(amount?.amount ?? '0');
+  const abs = (n) => (n < 0n ? -n : n);
+
+  for (const [mint, pool] of Object.entries(context.pools)) {
+    if (!pool.quoteVault) continue;
+    const tokenDelta = raw(balance(postBals, pool.tokenVault)) - raw(balance(preBals, pool.tokenVault));
+    const quotePre  = balance(preBals, pool.quoteVault);
+    const quotePost = balance(postBals, pool.quoteVault);
+    const quoteDelta = raw(quotePost) - raw(quotePre);
+    if (tokenDelta === 0n || quoteDelta === 0n || (tokenDelta > 0n) !== (quoteDelta > 0n)) continue;
+
+    const quoteDecimals = (quotePost || quotePre).decimals;
+    const signers = (transaction.message.accountKeys || [])
+      .filter((k) => typeof k !== 'string' && k.signer)
+      .map((k) => k.pubkey);
+    return {
+      type: tokenDelta > 0n ? 'ADD_LIQUIDITY' : 'WITHDRAW_LIQUIDITY',
+      feePayer: provider,
+      signature: transaction.signatures?.[0] ?? null,
+      ...context,
+      source: dex.venue,
+      sourceLabel: dex.label,
+      venues: dex.venues,
+      events: {
+        liquidity: {
+          mint,
+          pool: pool.vaultOwner,
+          token: { mint, rawTokenAmount: { tokenAmount: abs(tokenDelta).toString(), decimals: pool.decimals } },
+          quote: { mint: pool.quoteMint, rawTokenAmount: { tokenAmount: abs(quoteDelta).toString(), decimals: quoteDecimals } },
+          quoteReserveBefore: Number(raw(quotePre)) / 10 ** quoteDecimals,
+          quoteReserveAfter:  Number(raw(quotePost)) / 10 ** quoteDecimals,
+          signers: signers.length > 0 ? signers : [provider],
+        },
+      },
+    };
+  }
+  return null;
+}
 
-// Known DEX program IDs — we only call fetchRawTx when one of these appears
-// in the transaction logs. Skips transfers, ATA creations, etc. (~90% of notifications).
-const DEX_PROGRAM_IDS = new Set([
-  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', // Jupiter v6
-  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
-  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CLMM
-  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  // Orca Whirlpools
-  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',  // pump.fun bonding curve
-  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',  // pump.fun AMM (graduated tokens)
-  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', // Meteora DLMM
-  'Eo7WjKq67rjJQDd1d1ck1DnpxjkK3jFHXKRkBVtiTEkF', // Meteora AMM
-]);
+// Sell side of parseSwapFromRaw: the signer's balance of a monitored mint dropped,
+// a pool/vault account received those tokens, and the signer got SOL back.
+function parseSellFromRaw({ transaction, meta, seller, dex, context, preBals, postBals, preMap }, monitoredMints) {
+  let tokenIn = null;
+  for (const mint of monitoredMints) {
+    const pre = preBals.find(b => b.mint === mint && b.owner === seller);
+    if (!pre) continue;
+    // Selling the whole bag usually closes the token account — no post entry means 0
+    const post    = postBals.find(b => b.accountIndex === pre.accountIndex);
+    const preAmt  = BigInt(pre.uiTokenAmount.amount);
+    const postAmt = BigInt(post?.uiTokenAmount?.amount ?? '0');
+    if (postAmt < preAmt) {
+      tokenIn = {
+        mint,
+        rawTokenAmount: {
+          tokenAmount: (preAmt - postAmt).toString(),
+          decimals: pre.uiTokenAmount.decimals,
+        },
+      };
+      break;
+    }
+  }
+  if (!tokenIn) return null;
 
-// Rate limiter for free RPC getTransaction calls.
-// Max 2 concurrent, min 300ms between starts (~3 req/sec) — safe for public RPC.
-let _rpcConcurrent = 0;
-const _rpcWaiters = [];
-const RPC_MAX_CONCURRENT = 2;
-const RPC_MIN_INTERVAL_MS = 300;
-let _rpcLastStart = 0;
+  // Mirror of the buy-side pool check — an existing non-seller account must have
+  // received the tokens. Rules out burns and plain transfers out.
+  const poolTookTokens = postBals.some(b => {
+    if (b.mint !== tokenIn.mint || b.owner === seller) return false;
+    const pre = preMap[b.accountIndex];
+    if (!pre) return false;
+    return BigInt(b.uiTokenAmount.amount) > BigInt(pre.uiTokenAmount.amount);
+  });
+  if (!poolTookTokens) return null;
+
+  // Sold into a quote token (USDC, USDT, configured extras)?
+  const quoteOut = findQuoteDelta(preBals, postBals, preMap, seller, 'increase');
+  if (quoteOut) {
+    return {
+      type: 'SWAP',
+      feePayer: seller,
+      signature: transaction.signatures?.[0] ?? null,
+      ...context,
+      source: dex.venue,
+      sourceLabel: dex.label,
+      venues: dex.venues,
+      events: {
+        swap: {
+          nativeOutput: null,
+          tokenInputs: [tokenIn],
+          tokenOutputs: [quoteOut],
+          innerSwaps: [],
+        },
+      },
+    };
+  }
 
-function _drainRpcQueue() {
-  if (_rpcConcurrent >= RPC_MAX_CONCURRENT || _rpcWaiters.length === 0) return;
-  const now = Date.now();
+  // SOL received = fee payer balance increase plus the tx fee they paid
+  const solLamports = Math.max(
+    0,
+    (meta.postBalances[0] ?? 0) - (meta.preBalances[0] ?? 0) + (meta.fee ?? 0)
+  );
+
+  // WSOL fallback — Token→WSOL swaps that leave the WSOL account open
+  let nativeOutput = { amount: solLamports };
+  if (solLamports < 1000) {
+    const postWsol = postBals.find(b => b.mint === WSOL_MINT && b.owner === seller);
+    const preWsol  = postWsol ? preMap[postWsol.accountIndex] : null;
+    const wsolDelta = Number(postWsol?.uiTokenAmount?.amount ?? 0) - Number(preWsol?.uiTokenAmount?.amount ?? 0);
+    if (wsolDelta > 0) nativeOutput = { amount: wsolDelta };
+    if (nativeOutput.amount < 1000) return null; // sold into an unknown token — skip
+  }
+
+  return {
+    type: 'SWAP',
+    feePayer: seller,
+    signature: transaction.signatures?.[0] ?? null,
+    ...context,
+    source: dex.venue,
+    sourceLabel: dex.label,
+    venues: dex.venues,
+    events: {
+      swap: {
+        nativeOutput,
+        tokenInputs: [tokenIn],
+        innerSwaps: [],
+      },
+    },
+  };
+}
+
+// Largest balance change of a quote mint for `owner` in the given direction,
+// as a tokenInputs/tokenOutputs entry. Closed accounts count as a zero balance.
+function findQuoteDelta(preBals, postBals, preMap, owner, direction) {
+  const postMap = Object.fromEntries(postBals.map(b => [b.accountIndex, b]));
+  const indexes = new Set([...preBals, ...postBals]
+    .filter(b => b.owner === owner && QUOTE_MINTS.has(b.mint))
+    .map(b => b.accountIndex));
+
+  let best = null;
+  for (const idx of indexes) {
+    const pre  = preMap[idx];
+    const post = postMap[idx];
+    const ref  = pre || post;
+    const delta = BigInt(post?.uiTokenAmount?.amount ?? '0') - BigInt(pre?.uiTokenAmount?.amount ?? '0');
+    const moved = direction === 'decrease' ? -delta : delta;
+    if (moved <= 0n) continue;
+    if (!best || moved > BigInt(best.rawTokenAmount.tokenAmount)) {
+      best = {
+        mint: ref.mint,
+        rawTokenAmount: { tokenAmount: moved.toString(), decimals: ref.uiTokenAmount.decimals },
+      };
+    }
+  }
+  return best;
+}
+
+// Raw balance of `mint` per owner before and after a tx, summed over all of the
+// owner's token accounts → { owners: Map(owner → { pre, post }), decimals }
+function ownerBalances(meta, mint) {
+  const owners = new Map();
+  let decimals = 0;
+  const add = (b, key) => {
+    if (b.mint !== mint || !b.owner) return;
+    decimals = b.uiTokenAmount.decimals;
+    const entry = owners.get(b.owner) || { pre: 0n, post: 0n };
+    entry[key] += BigInt(b.uiTokenAmount.amount);
+    owners.set(b.owner, entry);
+  };
+  for (const b of meta.preTokenBalances || []) add(b, 'pre');
+  for (const b of meta.postTokenBalances || []) add(b, 'post');
+  return { owners, decimals };
+}
+
+// Plain token transfer of `mint` — no DEX involved. Balances are netted per owner,
+// so moves between one wallet's own accounts cancel out; the owner that lost the
+// most is the sender and the one that gained the most the recipient (burns and
+// mints have only one side and return null).
+//   → { type: 'TRANSFER', feePayer, signature, slot, timestamp,
+//       events: { transfer: { mint, from, to, token, recipients } } }
+function parseTransferFromRaw(rawTx, mint) {
+  if (!rawTx || rawTx.meta?.err) return null;
+  const { transaction, meta } = rawTx;
+  const accountKeys = (transaction.message.accountKeys || []).map(k =>
+    typeof k === 'string' ? k : k.pubkey
+  );
+  const programIds = [
+    ...(transaction.message.instructions || []),
+    ...(meta.innerInstructions || []).flatMap(ii => ii.instructions || []),
+  ].map(ix => ix.programId).filter(Boolean);
+  if (!accountKeys.length || dexRegistry.detect(programIds)) return null;
+
+  const { owners, decimals } = ownerBalances(meta, mint);
+  let from = null;
+  let to = null;
+  let recipients = 0;
+  for (const [owner, { pre, post }] of owners) {
+    const delta = post - pre;
+    if (delta < 0n && (!from || delta < from.delta)) from = { owner, delta };
+    if (delta > 0n) {
+      recipients++;
+      if (!to || delta > to.delta) to = { owner, delta };
+    }
+  }
+  if (!from || !to) return null;
+
+  return {
+    type: 'TRANSFER',
+    feePayer: accountKeys[0],
+    signature: transaction.signatures?.[0] ?? null,
+    slot: rawTx.slot ?? null,
+    timestamp: rawTx.blockTime ?? null,
+    events: {
+      transfer: {
+        mint,
+        from: from.owner,
+        to: to.owner,
+        token: { mint, rawTokenAmount: { tokenAmount: to.delta.toString(), decimals } },
+        recipients,
+      },
+    },
+  };
+}
+
+// ─── Polling — safety net for WS gaps ─────────────────────────────────────────
+const POLL_INTERVAL_MS = 3 * 60 * 1000; // 3 min
+
+async function pollForSwaps() {
+  const storage = loadStorage();
+  const mints = getUniqueMints(storage);
+  if (mints.length === 0) return;
+
+  for (const mint of mints) {
+    try {
+      const sigObjs = await fetchSigsForAddress(mint, 20);
+      let newCount = 0;
+      for (const { signature: sig, blockTime } of sigObjs) {
+        if (!sig || seenSignatures.has(sig) || pendingSigs.has(sig)) continue;
+
+        // Only process transactions confirmed at or after bot startup.
+        // This is the definitive guard against re-alerting on old buys after any restart.
+        if (blockTime != null && blockTime < BOT_START_TIME) {
+          markSeen(sig); // silence permanently so we never loop over it again
+          continue;
+        }
+
+        markSeen(sig);
+        newCount++;
+        const rawTx = await fetchRawTx(sig);
+        const tx = rawTx ? parseSwapFromRaw(rawTx, [mint]) || parseTransferFromRaw(rawTx, mint) : null;
+        await checkWatchedWallets(rawTx, mint, tx);
+        if (tx) await processTransaction(tx, storage);
+      }
+      if (newCount > 0) console.log(`[POLL] ${mint.slice(0, 8)} +${newCount} new tx(s)`);
+    } catch (e) {
+      console.error(`[POLL] Error for ${mint.slice(0, 8)}:`, e.message);
+    }
+  }
+}
+
+// ─── Real-time WebSocket subscriptions ────────────────────────────────────────
+// logsSubscribe fires on every transaction mentioning the mint.
+// DEX filter cuts ~90% of notifications. Remaining ones are parsed via free RPC.
+const WebSocket = require('ws');
+const wsConnections = new Map(); // mint → ws instance
+
+
+// Rate limiter for free RPC getTransaction calls.
+// Max 2 concurrent, min 300ms between starts (~3 req/sec) — safe for public RPC.
+let _rpcConcurrent = 0;
+const _rpcWaiters = [];
+const RPC_MAX_CONCURRENT = 2;
+const RPC_MIN_INTERVAL_MS = 300;
+let _rpcLastStart = 0;
+
+function _drainRpcQueue() {
+  if (_rpcConcurrent >= RPC_MAX_CONCURRENT || _rpcWaiters.length === 0) return;
+  const now = Date.now();
   const wait = Math.max(0, _rpcLastStart + RPC_MIN_INTERVAL_MS - now);
   if (wait > 0) { setTimeout(_drainRpcQueue, wait); return; }
 
@@ -785,9 +1745,13 @@ function startWsForMint(mint) {
       // DEX filter — skip if no known DEX program was invoked.
       // logsSubscribe fires for ALL transactions mentioning the mint (transfers,
       // ATA creations, etc.). This filter cuts ~90% of unnecessary API calls.
+      // Plain token transfers / burns still get through while a group has transfer
+      // alerts on or watches wallets.
       const logs = value.logs || [];
-      const isDex = logs.some(l => DEX_PROGRAM_IDS.has(l.match(/^Program (\S+) invoke/)?.[1]));
-      if (!isDex) return;
+      const isDex = logs.some(l => dexRegistry.has(l.match(/^Program (\S+) invoke/)?.[1]));
+      const isTransfer = !isDex && logs.some(l => TOKEN_MOVE_LOG_RE.test(l)) &&
+        (transferAlertsWanted(mint) || watchersFor(mint).size > 0);
+      if (!isDex && !isTransfer) return;
 
       // Reserve the signature — polling will skip it while we're fetching
       pendingSigs.add(signature);
@@ -803,15 +1767,16 @@ function startWsForMint(mint) {
           return;
         }
 
-        const tx = rawTx ? parseSwapFromRaw(rawTx, [mint]) : null;
+        const tx = rawTx ? (isDex ? parseSwapFromRaw(rawTx, [mint]) : parseTransferFromRaw(rawTx, mint)) : null;
+        await checkWatchedWallets(rawTx, mint, tx);
         if (tx) {
           markSeen(signature);
           const storage = loadStorage();
           await processTransaction(tx, storage);
         } else {
-          // Not a buy swap (sell, LP action, non-SOL buy, or tx not yet indexed)
+          // Not a buy/sell swap, LP change or transfer (unknown quote token, or tx not yet indexed)
           markSeen(signature);
-          console.log(`[WS] tx ${signature.slice(0, 12)} not a buy swap — skipping`);
+          console.log(`[WS] tx ${signature.slice(0, 12)} not a ${isDex ? 'swap' : 'transfer'} — skipping`);
         }
       } catch (e) {
         // DO NOT markSeen on error — polling fallback will retry
@@ -853,7 +1818,10 @@ function stopWsForMint(mint) {
   console.log(`[WS] Stopped for ${mint.slice(0, 8)}`);
 }
 
+// One socket per unique mint — a mint tracked by several groups (or a group
+// tracking several mints) never opens duplicate connections.
 function syncWsSubscriptions() {
+  refreshMintInterest();
   const storage = loadStorage();
   const active = new Set(getUniqueMints(storage));
   for (const mint of active) {
@@ -864,36 +1832,374 @@ function syncWsSubscriptions() {
   }
 }
 
+// ─── EVM chains (Base / Ethereum — see evmChains.js) ──────────────────────────
+// One client per chain (token metadata, pool lookups) and one watcher per chain
+// with tracked tokens. RPC defaults to the chain's public endpoint; a WebSocket
+// URL switches the watcher from eth_getLogs polling to eth_subscribe.
+const EVM_RPC = {
+  base:     { rpcUrl: BASE_RPC_URL, wsUrl: BASE_WS_URL },
+  ethereum: { rpcUrl: ETH_RPC_URL,  wsUrl: ETH_WS_URL },
+};
+const evmClients = new Map();  // chain → client
+const evmWatchers = new Map(); // chain → watcher
+
+function evmClient(chain) {
+  if (!evmClients.has(chain)) {
+    evmClients.set(chain, createEvmClient({ chain, rpcUrl: EVM_RPC[chain]?.rpcUrl || EVM_CHAINS[chain].defaultRpc }));
+  }
+  return evmClients.get(chain);
+}
+
+// Swaps arrive per pool log, and one tx can carry several (split routes, batched
+// trades) — dedupe on the log, not the tx hash
+async function handleEvmSwap(tx) {
+  const key = swapLogKey(tx);
+  if (seenSignatures.has(key)) return;
+  markSeen(key);
+  await processTransaction(tx, loadStorage());
+}
+
+// Start / retarget / stop watchers to match the tracked EVM tokens
+function syncEvmWatchers() {
+  const storage = loadStorage();
+  for (const chain of Object.keys(EVM_CHAINS)) {
+    const tokens = getUniqueMints(storage, chain);
+    let watcher = evmWatchers.get(chain);
+    if (tokens.length === 0) {
+      if (watcher) {
+        watcher.stop();
+        evmWatchers.delete(chain);
+        console.log(`[EVM:${chain}] Stopped — no tracked tokens`);
+      }
+      continue;
+    }
+    if (!watcher) {
+      watcher = createEvmWatcher({ client: evmClient(chain), wsUrl: EVM_RPC[chain]?.wsUrl, onSwap: handleEvmSwap });
+      evmWatchers.set(chain, watcher);
+      watcher.start();
+      if (!(ethPriceUsd > 0)) updateEthPrice();
+    }
+    watcher.setTokens(tokens).catch((e) => console.error(`[EVM:${chain}] Token sync failed:`, e.message));
+  }
+}
+
+// ─── Chain links ───────────────────────────────────────────────────────────────
+const SOLANA_CHAIN = { name: 'Solana', tag: 'SOL', explorer: 'https://solscan.io', accountPath: 'account', dexscreener: 'solana' };
+
+function chainInfo(chain) {
+  const evm = EVM_CHAINS[chain];
+  return evm ? { ...evm, accountPath: 'address' } : SOLANA_CHAIN;
+}
+
+// kind: 'account' | 'tx'
+function explorerUrl(chain, kind, id) {
+  const c = chainInfo(chain);
+  return `${c.explorer}/${kind === 'tx' ? 'tx' : c.accountPath}/${id}`;
+}
+
+// A wallet address in the chain's own format → normalised (EVM lowercased, as the
+// watchers report it), or null when it isn't one
+function parseAddress(chain, text) {
+  if (EVM_CHAINS[chain]) return EVM_ADDRESS_RE.test(text) ? text.toLowerCase() : null;
+  return SOLANA_ADDRESS_RE.test(text) ? text : null;
+}
+
+// Either format — for group-wide lists (labels, /wallet) that span chains
+function parseAnyAddress(text) {
+  return parseAddress('solana', text) || parseAddress(Object.keys(EVM_CHAINS)[0], text);
+}
+
+function chartUrl(chain, mint) {
+  return `https://dexscreener.com/${chainInfo(chain).dexscreener}/${mint}`;
+}
+
+// " (1.250 SOL)" after a USD total — Solana subscriptions only
+function solAmountNote(sub, sol, digits) {
+  return (sub.chain || 'solana') === 'solana' ? ` (${sol.toFixed(digits)} SOL)` : '';
+}
+
 // ─── Telegram API helper ───────────────────────────────────────────────────────
-async function tgRequest(method, body) {
+// Message-producing calls go through a per-chat send queue (below); everything
+// else (answerCallbackQuery, getChatMember, setMyCommands…) is sent directly.
+// `priority` jumps the chat's queue (see enqueueTg).
+async function tgRequest(method, body, { priority = false } = {}) {
+  if (QUEUED_TG_METHODS.has(method) && body?.chat_id != null) return enqueueTg(method, body, priority);
+  return tgCall(method, body);
+}
+
+// Fetch a user-sent document's contents as text (CSV imports). Rejects files
+// over maxBytes before downloading.
+async function downloadTgFile(document, maxBytes) {
+  if (document.file_size > maxBytes) throw new Error(`file is larger than ${Math.round(maxBytes / 1024)} KB`);
+  const file = await tgCall('getFile', { file_id: document.file_id });
+  const res = await fetch(`https://api.telegram.org/file/bot${TELEGRAM_BOT_TOKEN}/${file.file_path}`, {
+    signal: AbortSignal.timeout(30000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.text();
+}
+
+// Bot API request body — JSON, or multipart when a field is a Buffer (file upload,
+// e.g. a rendered chart as `photo`)
+function tgRequestInit(body) {
+  const files = Object.entries(body || {}).filter(([, v]) => Buffer.isBuffer(v));
+  if (files.length === 0) {
+    return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+  }
+  const form = new FormData();
+  for (const [key, value] of Object.entries(body)) {
+    if (value == null) continue;
+    if (Buffer.isBuffer(value)) form.append(key, new Blob([value], { type: 'image/png' }), `${key}.png`);
+    else form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  return { body: form };
+}
+
+// Raw Bot API call. Errors carry `code` (Telegram error_code or HTTP status,
+// undefined for network failures) and `retryAfter` (seconds, on 429).
+async function tgCall(method, body) {
   const res = await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
+    ...tgRequestInit(body),
+    signal: AbortSignal.timeout(30000),
   });
-  const data = await res.json();
+  const data = await res.json().catch(() => ({ ok: false, error_code: res.status, description: `HTTP ${res.status}` }));
   if (!data.ok) {
     // Telegram returns 400 when editMessageText is called with identical content — not a real error
     if (data.description?.includes('message is not modified')) return data.result;
-    throw new Error(`TG ${method} failed: ${JSON.stringify(data)}`);
+    const err = new Error(`TG ${method} failed: ${JSON.stringify(data)}`);
+    err.code = data.error_code ?? res.status;
+    err.retryAfter = data.parameters?.retry_after;
+    throw err;
   }
   return data.result;
 }
 
+// ─── Outbound Telegram queue ───────────────────────────────────────────────────
+// One FIFO per chat keeps alerts in order; a single worker per chat sends them
+// with per-chat pacing (Telegram allows ~20 msgs/min in a group) and a global
+// cap (~30 msgs/s across all chats). 429s pause that chat for retry_after and
+// retry the same message; 5xx errors retry with exponential backoff, and so do
+// timeouts / network errors on edits (a send that timed out may have landed).
+// Priority messages (Dev Watch alerts) go ahead of everything but the one being
+// sent and earlier priority messages, and are never dropped when the queue is full.
+const QUEUED_TG_METHODS = new Set([
+  'sendMessage', 'sendPhoto', 'sendAnimation', 'sendDocument',
+  'editMessageText', 'editMessageReplyMarkup', 'editMessageCaption',
+]);
+const TG_GROUP_INTERVAL_MS   = 3000; // 20/min per group
+const TG_PRIVATE_INTERVAL_MS = 350;  // DMs tolerate short bursts
+const TG_GLOBAL_INTERVAL_MS  = 40;   // ~25/s overall, under the 30/s limit
+const TG_MAX_RETRIES         = 4;    // transient failures before a message is dropped
+const TG_MAX_QUEUE_PER_CHAT  = 50;   // beyond this the oldest queued message is dropped
+const IDEMPOTENT_TG_METHODS  = new Set(['editMessageText', 'editMessageReplyMarkup', 'editMessageCaption']);
+
+const tgQueues = new Map(); // chatId → { items: [{ method, body, resolve, reject, attempts, priority }], running, pausedUntil, lastSent }
+const tgStats = { sent: 0, retried: 0, rateLimited: 0, dropped: 0, failed: 0 };
+let tgNextGlobalSlot = 0;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function enqueueTg(method, body, priority = false) {
+  const chatId = String(body.chat_id);
+  let q = tgQueues.get(chatId);
+  if (!q) {
+    q = { items: [], running: false, pausedUntil: 0, lastSent: 0 };
+    tgQueues.set(chatId, q);
+  }
+  return new Promise((resolve, reject) => {
+    const item = { method, body, resolve, reject, attempts: 0, priority };
+    if (priority) {
+      // Never ahead of the head — the worker may be mid-send on it
+      let at = Math.min(1, q.items.length);
+      while (at < q.items.length && q.items[at].priority) at++;
+      q.items.splice(at, 0, item);
+    } else {
+      q.items.push(item);
+    }
+    if (q.items.length > TG_MAX_QUEUE_PER_CHAT) {
+      // Oldest non-priority message, never the head
+      const drop = q.items.findIndex((it, i) => i > 0 && !it.priority);
+      if (drop > 0) {
+        const [old] = q.items.splice(drop, 1);
+        tgStats.dropped++;
+        console.warn(`[TGQ] chat=${chatId} queue full — dropped oldest ${old.method}`);
+        old.reject(new Error(`TG ${old.method} dropped: queue full for chat ${chatId}`));
+      }
+    }
+    runTgQueue(chatId);
+  });
+}
+
+// A timeout or network error doesn't say whether Telegram got the request —
+// repeating an edit is harmless, repeating a send posts the alert twice
+function isTransientTgError(err, method) {
+  if (err.code >= 500) return true;
+  return (err.code == null || err.name === 'TimeoutError') && IDEMPOTENT_TG_METHODS.has(method);
+}
+
+async function runTgQueue(chatId) {
+  const q = tgQueues.get(chatId);
+  if (q.running) return;
+  q.running = true;
+  const interval = chatId.startsWith('-') ? TG_GROUP_INTERVAL_MS : TG_PRIVATE_INTERVAL_MS;
+
+  while (q.items.length > 0) {
+    const item = q.items[0];
+
+    // Per-chat pacing / 429 pause, then a global slot
+    const chatWait = Math.max(q.pausedUntil, q.lastSent + interval) - Date.now();
+    if (chatWait > 0) await sleep(chatWait);
+    const slot = Math.max(Date.now(), tgNextGlobalSlot);
+    tgNextGlobalSlot = slot + TG_GLOBAL_INTERVAL_MS;
+    if (slot > Date.now()) await sleep(slot - Date.now());
+
+    try {
+      const result = await tgCall(item.method, item.body);
+      q.lastSent = Date.now();
+      q.items.shift();
+      tgStats.sent++;
+      item.resolve(result);
+    } catch (err) {
+      q.lastSent = Date.now();
+      if (err.code === 429 && item.attempts < TG_MAX_RETRIES) {
+        item.attempts++;
+        tgStats.rateLimited++;
+        const retryAfter = err.retryAfter ?? 5;
+        q.pausedUntil = Date.now() + retryAfter * 1000;
+        console.warn(`[TGQ] chat=${chatId} 429 — pausing ${retryAfter}s (${q.items.length} queued)`);
+        continue;
+      }
+      if ((err.code === 429 || isTransientTgError(err, item.method)) && item.attempts < TG_MAX_RETRIES) {
+        item.attempts++;
+        tgStats.retried++;
+        const backoff = 1000 * 2 ** (item.attempts - 1);
+        console.warn(`[TGQ] chat=${chatId} ${item.method} failed (${err.message.slice(0, 80)}) — retry ${item.attempts} in ${backoff}ms`);
+        await sleep(backoff);
+        continue;
+      }
+      q.items.shift();
+      if (err.code === 429 || isTransientTgError(err, item.method)) tgStats.dropped++;
+      else tgStats.failed++;
+      item.reject(err);
+    }
+  }
+  q.running = false;
+}
+
+function tgQueueDepth() {
+  let depth = 0;
+  let busy = 0;
+  for (const q of tgQueues.values()) {
+    depth += q.items.length;
+    if (q.items.length > 0) busy++;
+  }
+  return { depth, busy };
+}
+
+// ─── Group admin verification ──────────────────────────────────────────────────
+// Deep links and callback data are easy to forward, so every entry point that can
+// change a subscription re-checks that the caller is an admin of the target group.
+const ADMIN_STATUSES = new Set(['creator', 'administrator']);
+const adminCache = new Map(); // "${chatId}|${userId}" → { isAdmin, ts }
+const ADMIN_CACHE_TTL_MS = 60 * 1000;
+
+const NOT_ADMIN_TEXT =
+  '⛔ Only admins of that group can manage its buy alerts.\n\n' +
+  'If you are an admin, make sure the bot is still a member of the group.';
+
+// true/false from Telegram, or null when getChatMember can't be answered
+// (bot removed from the group, API error) — callers decide the fallback.
+async function isChatAdmin(chatId, userId) {
+  const key = `${chatId}|${userId}`;
+  const cached = adminCache.get(key);
+  if (cached && Date.now() - cached.ts < ADMIN_CACHE_TTL_MS) return cached.isAdmin;
+  try {
+    const member = await tgRequest('getChatMember', { chat_id: chatId, user_id: Number(userId) });
+    const isAdmin = ADMIN_STATUSES.has(member?.status);
+    adminCache.set(key, { isAdmin, ts: Date.now() });
+    return isAdmin;
+  } catch (e) {
+    console.warn(`[ADMIN] getChatMember failed chat=${chatId} user=${userId}:`, e.message);
+    return null;
+  }
+}
+
+// Admins may always manage a group's subs. When Telegram can't verify, the
+// ownerId stored on the group's subscription(s) is the fallback owner.
+async function canManageChat(userId, chatId) {
+  const isAdmin = await isChatAdmin(chatId, userId);
+  if (isAdmin !== null) return isAdmin;
+  return findSubsForChat(chatId).some((s) => s.ownerId === userId);
+}
+
+// ─── Co-managers ───────────────────────────────────────────────────────────────
+// Group admins can invite extra people to a single subscription:
+//   sub.managers: [{ userId, role: 'manager'|'viewer', name, addedAt }]
+//   sub.invites:  [{ code, role, createdBy, expiresAt }] — one-time join_<code> deep links
+// Managers may edit settings; viewers can only open the panel and preview.
+const ROLE_LABELS = { admin: 'Admin', manager: 'Manager', viewer: 'Viewer' };
+const ACCESS_RANK = { viewer: 1, manager: 2, admin: 3 };
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hasAccess(access, needed) {
+  return (ACCESS_RANK[access] ?? 0) >= ACCESS_RANK[needed];
+}
+
+// 'admin' | 'manager' | 'viewer' | null
+async function getSubAccess(userId, sub) {
+  if (await canManageChat(userId, sub.chatId)) return 'admin';
+  return (sub.managers || []).find((m) => m.userId === userId)?.role ?? null;
+}
+
+// Highest role the user holds on any of the group's subs
+async function getChatAccess(userId, chatId) {
+  if (await canManageChat(userId, chatId)) return 'admin';
+  let best = null;
+  for (const sub of findSubsForChat(chatId)) {
+    const role = (sub.managers || []).find((m) => m.userId === userId)?.role;
+    if (role && (ACCESS_RANK[role] > (ACCESS_RANK[best] ?? 0))) best = role;
+  }
+  return best;
+}
+
+async function accessibleSubs(userId, subs) {
+  const out = [];
+  for (const s of subs) {
+    if (await getSubAccess(userId, s)) out.push(s);
+  }
+  return out;
+}
+
+function memberName(from) {
+  return from.username ? `@${from.username}` : [from.first_name, from.last_name].filter(Boolean).join(' ') || String(from.id);
+}
+
 // ─── Settings UI ───────────────────────────────────────────────────────────────
+function subName(sub) {
+  return sub.settings.tokenName || sub.tokenMint.slice(0, 8) + '...';
+}
+
 function buildSettingsText(sub) {
-  const name = sub.settings.tokenName || sub.tokenMint.slice(0, 8) + '...';
+  const name = subName(sub);
+  const groupCount = findSubsForChat(sub.chatId).length;
   return (
     `🐕🦴 <b>Inu Buy Bot — ${name}</b> 🦴🐕\n\n` +
     `🪙 Token: <code>${sub.tokenMint}</code>\n` +
-    `🏠 Group: <code>${sub.chatId}</code>`
+    `🏠 Group: <code>${sub.chatId}</code>` +
+    (groupCount > 1 ? ` (${groupCount} tokens tracked)` : '') +
+    (sub.managers?.length > 0
+      ? `\n👥 Team: ${sub.managers.map((m) => `${escapeHtml(m.name)} (${ROLE_LABELS[m.role]})`).join(', ')}`
+      : '')
   );
 }
 
 function buildSettingsKeyboard(sub) {
   const s = sub.settings;
-  const c = sub.chatId;
+  const c = sub.id;
   const isActive = s.active === true;
+  const mode = s.alertMode || 'buys';
+  const groupCount = findSubsForChat(sub.chatId).length;
   return {
     inline_keyboard: [
       [
@@ -909,24 +2215,102 @@ function buildSettingsKeyboard(sub) {
       ],
       [
         { text: s.showPrice ? '✅ Show Price' : '✗ Show Price',                      callback_data: `set_price:${c}` },
+        { text: s.burstMode ? `⚡ Burst ${s.burstWindowSec || 30}s ✅` : '⚡ Burst Mode', callback_data: `set_burst:${c}` },
       ],
       [
         { text: s.whaleUsd > 0 ? `🐋 Whale Alert $${s.whaleUsd} ✅` : '🐋 Whale Alerts', callback_data: `set_whale:${c}` },
+        { text: s.transferAlerts ? `🔀 Transfers $${s.transferMinUsd} ✅` : '🔀 Transfer Alerts', callback_data: `set_transfers:${c}` },
+      ],
+      [
+        { text: ALERT_MODE_LABELS[mode], callback_data: `set_mode:${c}` },
+        ...(mode !== 'buys'
+          ? [{ text: `🔻 Min Sell $${s.minSellUsd ?? 1}`, callback_data: `set_minsell:${c}` }]
+          : []),
       ],
       [
         { text: s.links?.length > 0 ? `🔗 Links: ${s.links.map(l => l.label).join(' | ')}` : '🔗 Links (none set)', callback_data: `set_links:${c}` },
       ],
+      [
+        { text: s.ignoredDexes?.length > 0 ? `🏦 DEXes (${s.ignoredDexes.length} ignored)` : '🏦 DEXes: all', callback_data: `set_dexes:${c}` },
+        { text: `🤖 Bot Filter: ${s.botFilter === false ? 'off' : 'on'}${s.ignoredWallets?.length > 0 ? ` (${s.ignoredWallets.length} ignored)` : ''}`, callback_data: `set_botfilter:${c}` },
+      ],
+      [
+        { text: `🔥 Burn / Locked Wallets (${s.supplyExclusions?.length || 0})`, callback_data: `set_supplyexcl:${c}` },
+      ],
+      [
+        { text: `💧 Liquidity${s.lpAlerts === false && s.rugWarnings === false ? ': off' : ''}`, callback_data: `set_liquidity:${c}` },
+        { text: `🕵️ Dev Watch${s.watchAlerts === false ? ': off' : ` (${s.watchedWallets?.length || 0})`}`, callback_data: `set_watch:${c}` },
+      ],
+      [
+        { text: `📰 Digest: ${digestScheduleLabel(s)}`, callback_data: `set_digest:${c}` },
+        { text: `🎉 Milestones${milestonesEnabled(s) ? '' : ': off'}`, callback_data: `set_milestones:${c}` },
+      ],
+      [
+        { text: competitionButtonLabel(sub), callback_data: `set_comp:${c}` },
+      ],
+      [
+        { text: trendingButtonLabel(sub), callback_data: `set_trending:${c}` },
+        { text: `🏷 Labels (${store.countLabels(sub.chatId)})`, callback_data: `set_labels:${c}` },
+      ],
       [
         { text: '🎨 Customise Icons', callback_data: `set_icons:${c}` },
         { text: '👁 Preview Alert',   callback_data: `set_preview:${c}` },
       ],
+      [
+        { text: `👥 Team${sub.managers?.length > 0 ? ` (${sub.managers.length})` : ''}`, callback_data: `set_team:${c}` },
+      ],
       [
         { text: '🗑️ Remove Token', callback_data: `set_remove:${c}` },
+        { text: '➕ Add Token',    callback_data: `add_token:${sub.chatId}` },
       ],
+      ...(groupCount > 1
+        ? [[{ text: `🔀 Switch Token (${groupCount})`, callback_data: `pick_chat:${sub.chatId}` }]]
+        : []),
     ],
   };
 }
 
+const ALERT_MODE_LABELS = {
+  buys:  '🟢 Buys only',
+  sells: '🔴 Sells only',
+  both:  '🟢🔴 Buys + Sells',
+};
+const ALERT_MODE_CYCLE = { buys: 'both', both: 'sells', sells: 'buys' };
+
+// ─── Token Picker ──────────────────────────────────────────────────────────────
+// Shown when a group (or a DM owner) has more than one subscription.
+function buildTokenPickerKeyboard(subs) {
+  const multiGroup = new Set(subs.map((s) => s.chatId)).size > 1;
+  return {
+    inline_keyboard: subs.map((s) => [{
+      text: `🪙 ${subName(s)}${multiGroup ? ` · ${s.chatId}` : ''}${s.settings.active === true ? '' : ' ⏸'}`,
+      callback_data: `pick_sub:${s.id}`,
+    }]),
+  };
+}
+
+async function showTokenPicker(chatId, subs, msgId = null) {
+  const text = `🐕 <b>Inu Buy Bot</b>\n\nYou have <b>${subs.length}</b> tokens — pick one to manage:`;
+  const reply_markup = buildTokenPickerKeyboard(subs);
+  if (msgId) {
+    try {
+      await tgRequest('editMessageText', { chat_id: chatId, message_id: msgId, text, parse_mode: 'HTML', reply_markup });
+      return;
+    } catch { /* fall through to a fresh message */ }
+  }
+  await tgRequest('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML', reply_markup });
+}
+
+// Show the settings panel directly for a single sub, or a picker for several
+async function showSettingsOrPicker(chatId, subs, msgId = null) {
+  if (subs.length === 1) {
+    if (msgId) await refreshSettings(chatId, msgId, subs[0]);
+    else await showSettings(chatId, subs[0]);
+  } else {
+    await showTokenPicker(chatId, subs, msgId);
+  }
+}
+
 async function showSettings(chatId, sub) {
   await tgRequest('sendMessage', {
     chat_id: chatId,
@@ -960,11 +2344,15 @@ const ICON_LABELS = {
   chart:   'Chart',
   mcap:    'Mkt Cap',
   holders: 'Holders',
+  sellHeader: 'Sell Header',
+  sold:       'Sold',
+  received:   'Received',
+  seller:     'Seller',
 };
 
 function buildIconsKeyboard(sub) {
   const ic = getIcons(sub.settings);
-  const c  = sub.chatId;
+  const c  = sub.id;
   return {
     inline_keyboard: [
       [
@@ -983,6 +2371,14 @@ function buildIconsKeyboard(sub) {
         { text: `${ic.mcap.emoji} Mkt Cap`,    callback_data: `icon_mcap:${c}` },
         { text: `${ic.holders.emoji} Holders`, callback_data: `icon_holders:${c}` },
       ],
+      [
+        { text: `${ic.sellHeader.emoji} Sell Header`, callback_data: `icon_sellHeader:${c}` },
+        { text: `${ic.sold.emoji} Sold`,              callback_data: `icon_sold:${c}` },
+      ],
+      [
+        { text: `${ic.received.emoji} Received`,      callback_data: `icon_received:${c}` },
+        { text: `${ic.seller.emoji} Seller`,          callback_data: `icon_seller:${c}` },
+      ],
       [
         { text: '← Back', callback_data: `back_settings:${c}` },
       ],
@@ -991,7 +2387,7 @@ function buildIconsKeyboard(sub) {
 }
 
 async function showIcons(chatId, msgId, sub) {
-  const name = sub.settings.tokenName || sub.tokenMint.slice(0, 8) + '...';
+  const name = subName(sub);
   const text = `🎨 <b>Icon Settings — ${name}</b>\n\nTap any icon to change it.\nYou can use any standard or custom emoji.`;
   try {
     await tgRequest('editMessageText', {
@@ -1008,625 +2404,3514 @@ async function showIcons(chatId, msgId, sub) {
   }
 }
 
-// ─── Alert Builder ─────────────────────────────────────────────────────────────
-function buildAlertMessage(sub, tx, swap, tokenOut, holderCount, marketCap, prevPosition) {
-  const s = sub.settings;
-  const decimals = tokenOut.rawTokenAmount?.decimals ?? 0;
-  const rawAmount = tokenOut.rawTokenAmount?.tokenAmount ?? '0';
-  const tokenAmount = Number(rawAmount) / Math.pow(10, decimals);
-
-  const solSpent = swap.nativeInput ? swap.nativeInput.amount / 1e9 : 0;
-  const usdValue = solSpent * solPriceUsd;
-  const isWhale = s.whaleUsd > 0 && usdValue >= s.whaleUsd;
-
-  const buyer = tx.feePayer || 'Unknown';
-  const name = s.tokenName || sub.tokenMint.slice(0, 6) + '...';
+// ─── DEX Filter Sub-Panel ──────────────────────────────────────────────────────
+function buildDexKeyboard(sub) {
+  const ignored = sub.settings.ignoredDexes || [];
+  const c = sub.id;
+  const buttons = dexRegistry.venues().map((v) => ({
+    text: `${ignored.includes(v) ? '🚫' : '✅'} ${dexRegistry.venueName(v)}`,
+    callback_data: `dex_toggle:${c}:${v}`,
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([{ text: '← Back', callback_data: `back_settings:${c}` }]);
+  return { inline_keyboard: rows };
+}
 
-  // Emoji row — repeat emoji based on step size, capped at 20
-  // stepUsd=0 means "auto" → 1 emoji per $10 spent
-  const effectiveStep = s.stepUsd > 0 ? s.stepUsd : 10;
-  const stepCount = Math.min(Math.max(Math.floor(usdValue / effectiveStep), 1), 20);
-  const singleEmoji = s.emojiId
-    ? `<tg-emoji emoji-id="${s.emojiId}">${s.emoji}</tg-emoji>`
-    : s.emoji;
-  const emojiRow = Array(stepCount).fill(singleEmoji).join('');
+async function showDexes(chatId, msgId, sub) {
+  const text =
+    `🏦 <b>DEX Filter — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `Tap a venue to ignore (🚫) or allow (✅) its swaps.\n` +
+    `Aggregator routes are ignored if they pass through an ignored venue.`;
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildDexKeyboard(sub),
+    });
+  } catch {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildDexKeyboard(sub),
+    });
+  }
+}
 
-  // Resolve per-field icons
-  const icons = getIcons(s);
-
-  // Header
-  const header = isWhale
-    ? `${renderIcon(icons.whale)}${renderIcon(icons.header)} <b>WHALE BUY! WOOF WOOF!</b>`
-    : `<b>${name} Buy!</b>`;
-
-  // Market cap line — from DexScreener (auto), fallback to manual circSupply
-  let mcapLine = '';
-  if (marketCap != null) {
-    mcapLine = `${renderIcon(icons.mcap)} Market Cap: <b>${formatUsd(marketCap)}</b>\n`;
-  } else if (s.circSupply > 0 && usdValue > 0 && tokenAmount > 0) {
-    const pricePerToken = usdValue / tokenAmount;
-    mcapLine = `${renderIcon(icons.mcap)} Market Cap: <b>${formatUsd(pricePerToken * s.circSupply)}</b>\n`;
-  }
-
-  // Price line
-  let priceLine = '';
-  if (s.showPrice && tokenAmount > 0 && usdValue > 0) {
-    const pricePerToken = usdValue / tokenAmount;
-    priceLine = `${CE.money()} Price: <b>$${pricePerToken.toFixed(8)}</b>\n`;
-  }
-
-  // Holder count line
-  const holderLine = holderCount != null
-    ? `${renderIcon(icons.holders)} Holders: <b>${holderCount.toLocaleString()}</b>\n`
-    : '';
+// ─── Digest Sub-Panel ──────────────────────────────────────────────────────────
+function buildDigestKeyboard(sub) {
+  const s = sub.settings;
+  const c = sub.id;
+  const current = s.digest || 'off';
+  const freqButton = (freq, label) => ({
+    text: `${current === freq ? '✅ ' : ''}${label}`,
+    callback_data: `digest_freq:${c}:${freq}`,
+  });
+  return {
+    inline_keyboard: [
+      [freqButton('off', 'Off'), freqButton('daily', 'Daily'), freqButton('weekly', 'Weekly')],
+      [
+        { text: `🕐 Hour ${String(s.digestHour ?? 12).padStart(2, '0')}:00`, callback_data: `set_digesthour:${c}` },
+        { text: `🌍 ${s.digestTz || 'UTC'}`,                                  callback_data: `set_digesttz:${c}` },
+      ],
+      [
+        { text: '📨 Post Digest Now', callback_data: `digest_now:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
 
-  // Position / PnL line
-  let positionLine = '';
-  if (usdValue > 0 && tokenAmount > 0) {
-    if (!prevPosition) {
-      positionLine = `🆕 <b>New Buyer</b>\n`;
-    } else {
-      const avgBuyPrice  = prevPosition.totalSpentUsd / prevPosition.totalTokens;
-      const currentPrice = usdValue / tokenAmount;
-      const pnlPct       = ((currentPrice - avgBuyPrice) / avgBuyPrice) * 100;
-      const sign         = pnlPct >= 0 ? '+' : '';
-      const pnlIcon      = pnlPct >= 0 ? '📈' : '📉';
-      positionLine = `${pnlIcon} Position: <b>${sign}${pnlPct.toFixed(1)}%</b>\n`;
-    }
+async function showDigest(chatId, msgId, sub) {
+  const text =
+    `📰 <b>Digest — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `A recap of buy volume, buyers, the biggest buy and market cap / holder changes, ` +
+    `posted to the group on a schedule.\n\n` +
+    `Schedule: <b>${digestScheduleLabel(sub.settings)}</b>\n` +
+    `Weekly digests post on Mondays. Anyone in the group can also run /digest.`;
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildDigestKeyboard(sub),
+    });
+  } catch {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildDigestKeyboard(sub),
+    });
   }
-
-  const chartUrl = `https://dexscreener.com/solana/${sub.tokenMint}`;
-  const buyUrl   = `https://jup.ag/swap/SOL-${sub.tokenMint}`;
-
-  // Links — only shown if the user has set custom links
-  const customLinks = (s.links || []).filter(l => l?.url && l?.label);
-  const linksStr = customLinks.length > 0
-    ? customLinks.map(l => `<a href="${l.url}">${l.label}</a>`).join(' | ')
-    : '';
-
-  const statsBlock = priceLine + mcapLine + holderLine;
-
-  return (
-    `${header}\n` +
-    `${emojiRow}\n\n` +
-    `${renderIcon(icons.spent)} Spent: <b>${formatUsd(usdValue)} (${solSpent.toFixed(3)} SOL)</b>\n` +
-    `${renderIcon(icons.got)} Got: <b>${formatTokenAmount(tokenAmount)} ${name}</b>\n` +
-    `\n` +
-    `${renderIcon(icons.buyer)} <a href="https://solscan.io/account/${buyer}">Buyer</a> | <a href="https://solscan.io/tx/${tx.signature}">Txn</a>\n` +
-    positionLine +
-    (statsBlock ? `\n${statsBlock}` : '') +
-    (linksStr ? `\n${linksStr}\n` : '')
-  );
 }
 
-async function sendSettingsPreview(dmChatId, sub) {
+// ─── Milestones Sub-Panel ──────────────────────────────────────────────────────
+function buildMilestonesKeyboard(sub) {
   const s = sub.settings;
-  const price = solPriceUsd > 0 ? solPriceUsd : 150;
-
-  // Target ~3 emoji steps so the row looks meaningful
-  const targetUsd    = s.stepUsd > 0 ? s.stepUsd * 3 : 150;
-  const mockLamports = (targetUsd / price) * 1e9;
-  const mockDecimals = 6;
-  const mockRawAmt   = String(1_000_000 * Math.pow(10, mockDecimals)); // 1M tokens
-
-  const mockTx = {
-    feePayer:  'PreviewWa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
-    signature: 'PreviewTxSigAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
-  };
-  const mockSwap = {
-    nativeInput:  { amount: mockLamports },
-    tokenOutputs: [{ mint: sub.tokenMint, rawTokenAmount: { tokenAmount: mockRawAmt, decimals: mockDecimals } }],
-  };
-  const mockTokenOut = {
-    mint: sub.tokenMint,
-    rawTokenAmount: { tokenAmount: mockRawAmt, decimals: mockDecimals },
+  const c = sub.id;
+  return {
+    inline_keyboard: [
+      [
+        { text: `👥 Holders: ${holderMilestoneLabel(s)}`, callback_data: `set_msholders:${c}` },
+      ],
+      [
+        { text: `📊 Market Cap: ${s.mcapLevels?.length > 0 ? s.mcapLevels.map(formatUsd).join(', ') : 'off'}`, callback_data: `set_msmcap:${c}` },
+      ],
+      [
+        { text: s.athAlerts ? '✅ ATH Alerts' : '❌ ATH Alerts', callback_data: `ms_ath:${c}` },
+        { text: s.graduationAlerts !== false ? '✅ Graduation' : '❌ Graduation', callback_data: `ms_grad:${c}` },
+      ],
+      [
+        { text: s.milestoneGif ? '🖼 Remove Media' : '🖼 Add Media', callback_data: `set_msmedia:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
   };
+}
 
-  // Fetch live market cap and holder count for the preview
-  const [marketCap, holderCount] = await Promise.all([
-    getMarketCap(sub.tokenMint),
-    getHolderCount(sub.tokenMint),
-  ]);
-
-  const message = buildAlertMessage(sub, mockTx, mockSwap, mockTokenOut, holderCount, marketCap, null);
-  const preview = `👁 <i>Preview — not a real buy</i>\n\n` + message;
-
-  if (s.gif) {
-    const method   = s.gif.type === 'animation' ? 'sendAnimation' : 'sendPhoto';
-    const mediaKey = s.gif.type === 'animation' ? 'animation' : 'photo';
-    await tgRequest(method, {
-      chat_id: dmChatId,
-      [mediaKey]: s.gif.fileId,
-      caption: preview,
-      parse_mode: 'HTML',
+async function showMilestones(chatId, msgId, sub) {
+  const s = sub.settings;
+  const ath = store.maxMilestone(sub.id, 'ath');
+  const text =
+    `🎉 <b>Milestones — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `Celebrate holder counts, market cap levels and new all-time highs with a post in the group. ` +
+    `Each milestone is announced once.\n\n` +
+    `Holders: <b>${holderMilestoneLabel(s)}</b>\n` +
+    `Market cap: <b>${s.mcapLevels?.length > 0 ? s.mcapLevels.map(formatUsd).join(', ') : 'off'}</b>\n` +
+    `ATH alerts: <b>${s.athAlerts ? 'on' : 'off'}</b>${ath ? ` — current ATH ${formatUsd(ath)}` : ''}\n` +
+    `<i>A new high is posted when it beats the last announced one by ${ATH_MIN_GAIN * 100}%+, at most hourly.</i>\n` +
+    `Graduation post (pump.fun tokens): <b>${s.graduationAlerts !== false ? 'on' : 'off'}</b>\n` +
+    `Media: <b>${s.milestoneGif ? 'set' : 'none'}</b>`;
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildMilestonesKeyboard(sub),
     });
-  } else {
+  } catch {
     await tgRequest('sendMessage', {
-      chat_id: dmChatId,
-      text: preview,
-      parse_mode: 'HTML',
-      disable_web_page_preview: true,
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildMilestonesKeyboard(sub),
     });
   }
 }
 
-async function sendBuyAlert(sub, tx, swap, tokenOut) {
-  const s = sub.settings;
-  const sig = tx.signature?.slice(0, 12);
+// ─── Competition Sub-Panel ─────────────────────────────────────────────────────
+function competitionButtonLabel(sub) {
+  const comp = store.openCompetition(sub.id);
+  if (comp?.status === 'running')   return `🏆 Competition: live, ends in ${formatDuration(comp.endAt - Date.now())}`;
+  if (comp?.status === 'scheduled') return `🏆 Competition: starts in ${formatDuration(comp.startAt - Date.now())}`;
+  return '🏆 Buy Competition';
+}
 
-  // Skip if alerts are paused (active===false; undefined = legacy sub = treat as active)
-  if (s.active === false) {
-    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=paused`);
-    return;
+function buildCompetitionKeyboard(sub, comp) {
+  const c = sub.id;
+  const back = [{ text: '← Back', callback_data: `back_settings:${c}` }];
+  if (!comp) {
+    return { inline_keyboard: [[{ text: '➕ New Competition', callback_data: `comp_new:${c}` }], back] };
   }
-
-  // Min buy filter — bypass entirely if SOL price hasn't loaded yet (avoids silent drops)
-  const solSpent = swap.nativeInput ? swap.nativeInput.amount / 1e9 : 0;
-  const usdValue = solPriceUsd > 0 ? solSpent * solPriceUsd : 0;
-  if (s.minBuyUsd > 0) {
-    if (solPriceUsd === 0) {
-      console.warn(`[WARN] tx=${sig} chat=${sub.chatId} solPrice=0 — bypassing minBuy filter, sending alert anyway`);
-    } else if (usdValue < s.minBuyUsd) {
-      console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=minBuy usd=$${usdValue.toFixed(2)} < min=$${s.minBuyUsd}`);
-      return;
-    }
+  const footer = { text: comp.showFooter ? '✅ Alert Leaderboard' : '❌ Alert Leaderboard', callback_data: `comp_footer:${c}` };
+  if (comp.status !== 'draft') {
+    return {
+      inline_keyboard: [
+        [footer, { text: '📊 Leaderboard', callback_data: `comp_board:${c}` }],
+        [
+          ...(comp.status === 'running' ? [{ text: '⏹ End Now', callback_data: `comp_end:${c}` }] : []),
+          { text: '🗑 Cancel', callback_data: `comp_cancel:${c}` },
+        ],
+        back,
+      ],
+    };
   }
+  return {
+    inline_keyboard: [
+      [
+        { text: `🕐 Start: ${comp.startAt ? formatUtc(comp.startAt) : 'on launch'}`, callback_data: `set_compstart:${c}` },
+        { text: `⏱ ${formatDuration(comp.durationMs)}`,                               callback_data: `set_compdur:${c}` },
+      ],
+      [
+        { text: `🦴 Min Buy $${comp.minBuyUsd}`,        callback_data: `set_compmin:${c}` },
+        { text: COMP_RANKING_LABELS[comp.ranking],      callback_data: `comp_rank:${c}` },
+      ],
+      [
+        { text: comp.dqOnSell ? '✅ Sell = DQ' : '❌ Sell = DQ', callback_data: `comp_dq:${c}` },
+        footer,
+      ],
+      [
+        { text: '▶️ Launch',  callback_data: `comp_launch:${c}` },
+        { text: '🗑 Discard', callback_data: `comp_cancel:${c}` },
+      ],
+      back,
+    ],
+  };
+}
 
-  // Auto-refresh token name if it's still showing a truncated address
-  if (!s.tokenName || s.tokenName.endsWith('...')) {
-    const fresh = await getTokenName(sub.tokenMint);
-    if (fresh && !fresh.endsWith('...')) {
-      sub.settings.tokenName = fresh;
-      s.tokenName = fresh;
-      saveSub(sub);
-      console.log(`[NAME] Refreshed token name → ${fresh}`);
-    }
+async function showCompetition(chatId, msgId, sub) {
+  const comp = store.openCompetition(sub.id);
+  const name = escapeHtml(subName(sub));
+  let text;
+  if (!comp) {
+    const last = store.lastEndedCompetition(sub.id);
+    text =
+      `🏆 <b>Buy Competition — ${name}</b>\n\n` +
+      `Run a "biggest buy wins" contest: buys are ranked live, a leaderboard can ride along on every alert, ` +
+      `and the winners are posted automatically when it ends.` +
+      (last ? `\n\nLast contest ended ${formatUtc(last.endAt)} with ${last.winners?.length || 0} winner(s).` : '');
+  } else if (comp.status === 'draft') {
+    text =
+      `🏆 <b>New Competition — ${name}</b>\n\n` +
+      `Set the rules, then press <b>▶️ Launch</b>. Times are UTC.\n\n` +
+      `<b>Ranking:</b> largest single buy, or total volume per wallet.\n` +
+      `<b>Sell = DQ:</b> any sell during the contest removes the wallet.\n` +
+      `<b>Alert Leaderboard:</b> append the top 3 to every buy alert.`;
+  } else {
+    text =
+      `🏆 <b>Competition — ${name}</b>\n\n` +
+      (comp.status === 'scheduled'
+        ? `⏳ Starts ${formatUtc(comp.startAt)} (in ${formatDuration(comp.startAt - Date.now())})\n`
+        : `🟢 Live — ends ${formatUtc(comp.endAt)} (in ${formatDuration(comp.endAt - Date.now())})\n`) +
+      `${competitionRulesLine(comp)}\n\n` +
+      `<i>Rules are locked while the contest is scheduled or live.</i>`;
+  }
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildCompetitionKeyboard(sub, comp),
+    });
+  } catch {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildCompetitionKeyboard(sub, comp),
+    });
   }
+}
 
-  // Fetch holder count + market cap in parallel
-  const [holderCount, marketCap] = await Promise.all([
-    getHolderCount(sub.tokenMint),
-    getMarketCap(sub.tokenMint),
-  ]);
+// ─── Trending Sub-Panel ────────────────────────────────────────────────────────
+function trendingButtonLabel(sub) {
+  const rank = computeTrending().get(sub.tokenMint)?.rank;
+  return rank ? `🔥 Trending #${rank} (${TRENDING.window})` : '🔥 Trending';
+}
 
-  // Snapshot position BEFORE this buy (so PnL reflects previous avg vs current price)
-  const buyer = tx.feePayer;
-  const prevPosition = buyer ? getPosition(buyer, sub.tokenMint) : null;
-  const message = buildAlertMessage(sub, tx, swap, tokenOut, holderCount, marketCap, prevPosition);
+function buildTrendingKeyboard(sub) {
+  const s = sub.settings;
+  const c = sub.id;
+  return {
+    inline_keyboard: [
+      [
+        { text: s.showTrendingRank === false ? '❌ Rank in Alerts' : '✅ Rank in Alerts', callback_data: `trend_rank:${c}` },
+        { text: `👛 Owner Wallets (${s.ownerWallets?.length || 0})`,                     callback_data: `set_ownerwallets:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
 
-  // Update position AFTER building message
-  if (buyer && usdValue > 0) {
-    const decimals = tokenOut.rawTokenAmount?.decimals ?? 0;
-    const rawAmount = tokenOut.rawTokenAmount?.tokenAmount ?? '0';
-    const tokenAmt  = Number(rawAmount) / Math.pow(10, decimals);
-    updatePosition(buyer, sub.tokenMint, usdValue, tokenAmt);
+async function showTrending(chatId, msgId, sub) {
+  const windowLines = Object.keys(TRENDING_WINDOWS).map((w) => {
+    const e = computeTrending(w).get(sub.tokenMint);
+    if (!e) return `• ${w}: <i>no buys</i>`;
+    return `• ${w}: ${e.rank ? `<b>#${e.rank}</b>` : 'unranked'} — ${formatUsd(e.usd)} · ${e.buyers} buyers`;
+  });
+  const text =
+    `🔥 <b>Trending — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `${windowLines.join('\n')}\n\n` +
+    `Tokens from every group are ranked by buy volume × unique buyers. ` +
+    `A token needs <b>${TRENDING.minBuyers}+</b> unique buyers to rank, and buys from its owner wallets, ignored wallets or flagged bots never count.` +
+    (TRENDING_CHANNEL_ID ? `\n\nThe top ${TRENDING.size} (${TRENDING.window}) are posted to <code>${escapeHtml(TRENDING_CHANNEL_ID)}</code>.` : '');
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildTrendingKeyboard(sub),
+    });
+  } catch {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildTrendingKeyboard(sub),
+    });
   }
+}
 
-  if (s.gif) {
-    const method = s.gif.type === 'animation' ? 'sendAnimation' : 'sendPhoto';
-    const mediaKey = s.gif.type === 'animation' ? 'animation' : 'photo';
-    await tgRequest(method, {
-      chat_id: sub.chatId,
-      [mediaKey]: s.gif.fileId,
-      caption: message,
-      parse_mode: 'HTML',
+// ─── Wallet Labels Sub-Panel ───────────────────────────────────────────────────
+function buildLabelsKeyboard(sub) {
+  const c = sub.id;
+  const muted = sub.settings.mutedLabels || [];
+  return {
+    inline_keyboard: [
+      [
+        { text: '➕ Add / Import', callback_data: `set_labeladd:${c}` },
+        { text: '➖ Remove',       callback_data: `set_labelrm:${c}` },
+      ],
+      [
+        { text: muted.length > 0 ? `🔇 Muted: ${muted.join(', ')}` : '🔇 Mute Labels', callback_data: `set_labelmute:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
+
+async function showLabels(chatId, msgId, sub) {
+  const labels = store.labelsForChat(sub.chatId);
+  const shown = labels.slice(0, 25);
+  const text =
+    `🏷 <b>Wallet Labels — group <code>${sub.chatId}</code></b>\n\n` +
+    (labels.length > 0
+      ? shown.map((l) => `• <b>${escapeHtml(l.label)}</b> — <code>${l.wallet}</code>`).join('\n') +
+        (labels.length > shown.length ? `\n<i>…and ${labels.length - shown.length} more</i>` : '')
+      : '<i>No labels yet.</i>') +
+    `\n\nLabels show next to the buyer/seller in every alert for this group's tokens. ` +
+    `Well-known exchange wallets are labelled automatically (${walletDirectory.size()} built in).\n` +
+    `Transfer alerts treat <b>CEX</b> / <b>Exchange</b> labels as exchange wallets and <b>Team</b> / <b>Treasury</b> labels as team wallets.\n` +
+    `Muted labels hide those wallets' alerts for <b>${escapeHtml(subName(sub))}</b>.`;
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildLabelsKeyboard(sub),
     });
-  } else {
+  } catch {
     await tgRequest('sendMessage', {
-      chat_id: sub.chatId,
-      text: message,
-      parse_mode: 'HTML',
-      disable_web_page_preview: true,
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildLabelsKeyboard(sub),
     });
   }
 }
 
-// ─── User state machine (in-memory, ephemeral setup flow) ─────────────────────
-// States per userId:
-//   { step: 'awaiting_chain', groupChatId }
-//   { step: 'awaiting_mint',  groupChatId }
-//   { step: 'awaiting_gif:<chatId>',     msgId }
-//   { step: 'awaiting_minbuy:<chatId>',  msgId }
-//   { step: 'awaiting_emoji:<chatId>',   msgId }
-//   { step: 'awaiting_step:<chatId>',    msgId }
-//   { step: 'awaiting_whale:<chatId>',   msgId }
-//   { step: 'awaiting_linktg:<chatId>',  msgId }
-//   { step: 'awaiting_supply:<chatId>',  msgId }
-const userStates = new Map();
-
-// ─── Bot Setup ─────────────────────────────────────────────────────────────────
-let botUsername = '';
-const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true });
+// ─── Bot Filter Sub-Panel ──────────────────────────────────────────────────────
+function buildBotFilterKeyboard(sub) {
+  const s = sub.settings;
+  const c = sub.id;
+  return {
+    inline_keyboard: [
+      [
+        { text: s.botFilter === false ? '❌ Auto-detect Bots' : '✅ Auto-detect Bots', callback_data: `bot_toggle:${c}` },
+      ],
+      [
+        { text: '➕ Ignore Wallets',   callback_data: `set_ignoreadd:${c}` },
+        { text: '➖ Unignore Wallets', callback_data: `set_ignorerm:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
 
-// /start — regular help or deep-link setup from group
-bot.onText(/\/start(?:\s+(.+))?/, async (msg, match) => {
-  const tag = msg.text?.match(/^\/start@(\w+)/i)?.[1]?.toLowerCase();
-  if (tag && tag !== botUsername?.toLowerCase()) return;
+async function showBotFilter(chatId, msgId, sub) {
+  const ignored = sub.settings.ignoredWallets || [];
+  const shown = ignored.slice(0, 20);
+  const text =
+    `🤖 <b>Bot Filter — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `Auto-detect: <b>${sub.settings.botFilter === false ? 'off' : 'on'}</b>\n` +
+    `Skips swaps from wallets that buy and sell the token quickly (within ${BOT_ROUND_TRIP_SEC}s or in the same block)` +
+    `${BOT_MIN_TRIPS > 1 ? ` ${BOT_MIN_TRIPS}+ times in an hour` : ''}, sandwich other buyers, or use known MEV programs. ` +
+    `A flagged wallet stays skipped for 24h.\n\n` +
+    `<b>Ignored wallets (${ignored.length}/${MAX_IGNORED_WALLETS}):</b>\n` +
+    (ignored.length > 0
+      ? shown.map((w) => `• <code>${w}</code>${walletTag(sub.chatId, w)}`).join('\n') +
+        (ignored.length > shown.length ? `\n<i>…and ${ignored.length - shown.length} more</i>` : '')
+      : '<i>None.</i>');
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildBotFilterKeyboard(sub),
+    });
+  } catch {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildBotFilterKeyboard(sub),
+    });
+  }
+}
 
-  const userId = String(msg.from.id);
-  const dmChatId = String(msg.chat.id);
-  const param = match?.[1]?.trim();
+// ─── Liquidity Sub-Panel ───────────────────────────────────────────────────────
+function buildLiquidityKeyboard(sub) {
+  const s = sub.settings;
+  const c = sub.id;
+  return {
+    inline_keyboard: [
+      [
+        { text: s.lpAlerts === false ? '❌ LP Alerts' : '✅ LP Alerts', callback_data: `lp_toggle:${c}` },
+        { text: `💵 Min $${s.lpMinUsd ?? 0}`, callback_data: `set_lpmin:${c}` },
+      ],
+      [
+        { text: s.rugWarnings === false ? '❌ Rug Warnings' : '✅ Rug Warnings', callback_data: `rug_toggle:${c}` },
+        { text: `⚠️ Warn at ${s.rugWarnPct > 0 ? `${s.rugWarnPct}%` : 'deployer only'}`, callback_data: `set_lprug:${c}` },
+      ],
+      [
+        { text: `👤 Deployer: ${s.deployerWallet ? shortAddr(s.deployerWallet) : 'auto'}`, callback_data: `set_lpdeployer:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
 
-  if (param?.startsWith('setup_')) {
-    const groupChatId = param.slice(6);
-    userStates.set(userId, { step: 'awaiting_chain', groupChatId });
-    await tgRequest('sendMessage', {
-      chat_id: dmChatId,
-      text: '🐕 <b>Inu Buy Bot Setup</b>\n\nGM! Please select the chain of your token:',
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: 'Solana', callback_data: 'chain_solana' }],
-        ],
-      },
+async function showLiquidity(chatId, msgId, sub) {
+  const s = sub.settings;
+  const isSolana = (sub.chain || 'solana') === 'solana';
+  // Start the lookup now so the deployer is known before the first removal
+  if (isSolana && !s.deployerWallet) getDeployer(sub.tokenMint);
+  const detected = isSolana ? store.getMeta(`deployer:${sub.tokenMint}`) : null;
+  const deployer = s.deployerWallet
+    ? `<code>${s.deployerWallet}</code> (set by hand)`
+    : detected ? `<code>${detected}</code> (auto-detected)` : '<i>not detected yet</i>';
+  const text =
+    `💧 <b>Liquidity — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `LP alerts: <b>${s.lpAlerts === false ? 'off' : 'on'}</b> — adds and removals worth at least ${formatUsd(s.lpMinUsd ?? 0)}\n` +
+    `Rug warnings: <b>${s.rugWarnings === false ? 'off' : 'on'}</b> — ` +
+    (s.rugWarnPct > 0 ? `a removal of ${s.rugWarnPct}%+ of the pool, or any removal by the deployer\n` : 'any removal by the deployer\n') +
+    `Deployer: ${deployer}` +
+    (isSolana ? '' : '\n\n<i>Liquidity tracking covers Solana pools only.</i>');
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildLiquidityKeyboard(sub),
     });
-  } else if (param?.startsWith('settings_')) {
-    const groupChatId = param.slice(9);
-    const sub = findSub(groupChatId);
-    if (!sub) {
-      await tgRequest('sendMessage', {
-        chat_id: dmChatId,
-        text: '❌ No token set up for that group yet. Use /add in the group first.',
-      });
-      return;
-    }
-    await showSettings(dmChatId, sub);
-  } else {
+  } catch {
     await tgRequest('sendMessage', {
-      chat_id: dmChatId,
-      text:
-        '🐕 <b>Inu Buy Bot</b>\n\n' +
-        'Woof! Add me to your group and type /add to set up real-time buy alerts.\n\n' +
-        '<b>Commands:</b>\n' +
-        '/add — Set up buy alerts (use in your group)\n' +
-        '/settings — Manage settings (group or DM)',
-      parse_mode: 'HTML',
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildLiquidityKeyboard(sub),
     });
   }
-});
+}
 
-// /add — send "Add Token" button in the group
-bot.onText(/\/add/, async (msg) => {
-  // Ignore if tagged at a different bot
-  const tag = msg.text?.match(/^\/add@(\w+)/i)?.[1]?.toLowerCase();
-  if (tag && tag !== botUsername?.toLowerCase()) return;
+// ─── Dev Watch Sub-Panel ───────────────────────────────────────────────────────
+function buildWatchKeyboard(sub) {
+  const s = sub.settings;
+  const c = sub.id;
+  return {
+    inline_keyboard: [
+      [
+        { text: s.watchAlerts === false ? '❌ Watch Alerts' : '✅ Watch Alerts', callback_data: `watch_toggle:${c}` },
+        { text: '🔍 Detect Insiders', callback_data: `set_watchdetect:${c}` },
+      ],
+      [
+        { text: '➕ Watch Wallets',   callback_data: `set_watchadd:${c}` },
+        { text: '➖ Unwatch Wallets', callback_data: `set_watchrm:${c}` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
 
-  if (msg.chat.type === 'private') {
+async function showWatch(chatId, msgId, sub) {
+  const s = sub.settings;
+  const wallets = s.watchedWallets || [];
+  const list = wallets.length > 0
+    ? wallets.map((w) => `• <code>${w.wallet}</code>${w.role ? ` — ${escapeHtml(w.role)}` : ''}`).join('\n')
+    : '<i>No wallets watched yet.</i>';
+  const text =
+    `🕵️ <b>Dev Watch — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `Alerts: <b>${s.watchAlerts === false ? 'off' : 'on'}</b> — any sell, transfer out or other drop in a watched ` +
+    `wallet's balance is posted with the share of its holdings and of supply moved, whatever the other filters say.\n\n` +
+    `Watched (${wallets.length}/${MAX_WATCHED_WALLETS}):\n${list}` +
+    ((sub.chain || 'solana') === 'solana'
+      ? '\n\n<i>🔍 Detect Insiders adds the deployer and the mint / metadata update authorities (done automatically for newly added tokens).</i>'
+      : '\n\n<i>Wallet watch covers Solana tokens only.</i>');
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildWatchKeyboard(sub),
+    });
+  } catch {
     await tgRequest('sendMessage', {
-      chat_id: String(msg.chat.id),
-      text: 'Use /add inside the group or channel where you want buy alerts.',
+      chat_id: chatId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildWatchKeyboard(sub),
     });
-    return;
   }
-  const groupChatId = String(msg.chat.id);
-  const link = `https://t.me/${botUsername}?start=setup_${groupChatId}`;
-  await tgRequest('sendMessage', {
-    chat_id: groupChatId,
-    text: '🐕 <b>Inu Buy Bot</b>\n\nClick below to add your token for buy alerts!',
-    parse_mode: 'HTML',
-    reply_markup: {
-      inline_keyboard: [[{ text: '🐾 Add Token', url: link }]],
-    },
-  });
-});
+}
 
-// /settings — show settings panel (works in group or DM)
-bot.onText(/\/settings/, async (msg) => {
-  const tag = msg.text?.match(/^\/settings@(\w+)/i)?.[1]?.toLowerCase();
-  if (tag && tag !== botUsername?.toLowerCase()) return;
-  const userId = String(msg.from.id);
-  const chatId = String(msg.chat.id);
+// ─── Team Sub-Panel ────────────────────────────────────────────────────────────
+function buildTeamKeyboard(sub) {
+  const c = sub.id;
+  return {
+    inline_keyboard: [
+      ...(sub.managers || []).map((m) => [
+        { text: `❌ Remove ${m.name} (${ROLE_LABELS[m.role]})`, callback_data: `team_rm:${c}:${m.userId}` },
+      ]),
+      [
+        { text: '➕ Invite Manager', callback_data: `team_inv:${c}:manager` },
+        { text: '➕ Invite Viewer',  callback_data: `team_inv:${c}:viewer` },
+      ],
+      [
+        { text: '← Back', callback_data: `back_settings:${c}` },
+      ],
+    ],
+  };
+}
 
-  // In a group: send a deep-link button to open settings in DM
-  if (msg.chat.type !== 'private') {
-    const sub = findSub(chatId);
-    if (!sub) {
-      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add first.' });
-      return;
-    }
-    const link = `https://t.me/${botUsername}?start=settings_${chatId}`;
+async function showTeam(chatId, msgId, sub) {
+  const managers = sub.managers || [];
+  const text =
+    `👥 <b>Team — ${escapeHtml(subName(sub))}</b>\n\n` +
+    `👑 Owner: <code>${sub.ownerId}</code> (plus all group admins)\n` +
+    (managers.length > 0
+      ? managers.map((m) => `• ${escapeHtml(m.name)} — <b>${ROLE_LABELS[m.role]}</b>`).join('\n')
+      : '<i>No co-managers yet.</i>') +
+    `\n\n<b>Managers</b> can change settings. <b>Viewers</b> can only open the panel and preview alerts.`;
+  try {
+    await tgRequest('editMessageText', {
+      chat_id: chatId, message_id: msgId,
+      text, parse_mode: 'HTML',
+      reply_markup: buildTeamKeyboard(sub),
+    });
+  } catch {
     await tgRequest('sendMessage', {
       chat_id: chatId,
-      text: `🐕 <b>Inu Buy Bot — Settings</b>\n\nClick below to manage settings for <b>${sub.settings.tokenName || sub.tokenMint.slice(0, 8) + '...'}</b>`,
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [[{ text: '⚙️ Open Settings', url: link }]],
-      },
+      text, parse_mode: 'HTML',
+      reply_markup: buildTeamKeyboard(sub),
     });
-    return;
   }
+}
 
-  // In DM: show settings directly
-  const storage = loadStorage();
-  const sub = storage.subscriptions.find((s) => s.ownerId === userId);
-  if (!sub) {
-    await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add in your group first.' });
-    return;
-  }
-  await showSettings(chatId, sub);
-});
+// ─── Alert Builder ─────────────────────────────────────────────────────────────
+function buildAlertMessage(sub, tx, swap, tokenOut, holderCount, marketCap, prevPosition) {
+  const s = sub.settings;
+  const decimals = tokenOut.rawTokenAmount?.decimals ?? 0;
+  const rawAmount = tokenOut.rawTokenAmount?.tokenAmount ?? '0';
+  const tokenAmount = Number(rawAmount) / Math.pow(10, decimals);
 
-// /cancel — abort any active input state
-bot.onText(/\/cancel/, async (msg) => {
-  const tag = msg.text?.match(/^\/cancel@(\w+)/i)?.[1]?.toLowerCase();
-  if (tag && tag !== botUsername?.toLowerCase()) return;
-  if (msg.chat.type !== 'private') return;
-  userStates.delete(String(msg.from.id));
-  await tgRequest('sendMessage', { chat_id: String(msg.chat.id), text: '❌ Cancelled.' });
-});
+  const paid = swapQuoteValue(swap, 'in');
+  const usdValue = paid.usd;
+  const isWhale = s.whaleUsd > 0 && usdValue >= s.whaleUsd;
 
-// /status — show system status (DM only)
-bot.onText(/\/status/, async (msg) => {
-  const tag = msg.text?.match(/^\/status@(\w+)/i)?.[1]?.toLowerCase();
-  if (tag && tag !== botUsername?.toLowerCase()) return;
-  if (msg.chat.type !== 'private') return;
-  const chatId = String(msg.chat.id);
-  const storage = loadStorage();
-  const subs = storage.subscriptions;
+  const buyer = tx.feePayer || 'Unknown';
+  const name = s.tokenName || sub.tokenMint.slice(0, 6) + '...';
 
-  const subLines = subs.length === 0
-    ? '  <i>No subscriptions</i>'
-    : subs.map((s) =>
-        `  • <b>${s.settings.tokenName || s.tokenMint.slice(0, 8) + '...'}</b>\n` +
-        `    chat: <code>${s.chatId}</code>\n` +
-        `    mint: <code>${s.tokenMint}</code>\n` +
-        `    active: ${s.settings.active === true ? '▶️ yes' : '⏸ no'}\n` +
-        `    minBuy: $${s.settings.minBuyUsd}`
-      ).join('\n');
+  // Emoji row — repeat emoji based on step size, capped at 20
+  // stepUsd=0 means "auto" → 1 emoji per $10 spent
+  const effectiveStep = s.stepUsd > 0 ? s.stepUsd : 10;
+  const stepCount = Math.min(Math.max(Math.floor(usdValue / effectiveStep), 1), 20);
+  const singleEmoji = s.emojiId
+    ? `<tg-emoji emoji-id="${s.emojiId}">${s.emoji}</tg-emoji>`
+    : s.emoji;
+  const emojiRow = Array(stepCount).fill(singleEmoji).join('');
 
-  const wsStateNames = ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'];
-  const wsLines = wsConnections.size === 0
-    ? '  <i>No active WebSocket connections</i>'
-    : [...wsConnections.entries()].map(([m, w]) => {
-        const state = wsStateNames[w.readyState] ?? '?';
-        const lastAct = wsLastActivity.get(m);
-        const ageSec = lastAct ? Math.round((Date.now() - lastAct) / 1000) : null;
-        const ageStr = ageSec != null ? `${ageSec}s ago` : 'never';
-        const health = w._healthCheckPending ? ' ⚠️ health check pending' : '';
-        return `  • <code>${m.slice(0, 8)}</code> ${state} | last msg: ${ageStr}${health}`;
-      }).join('\n');
+  // Resolve per-field icons
+  const icons = getIcons(s);
 
-  const text =
-    `🐕 <b>Inu Buy Bot — Status</b>\n\n` +
-    `💾 Storage: <code>${STORAGE_FILE}</code>\n` +
-    `📡 Helius webhook ID: <code>${storage.webhookId || 'none'}</code>\n` +
-    `💰 SOL price: <b>$${solPriceUsd > 0 ? solPriceUsd.toFixed(2) : '(not loaded)'}</b>\n` +
-    `🌐 Webhook URL: <code>${getWebhookURL()}</code>\n` +
-    `🔌 Seen sigs: ${seenSignatures.size} | Pending: ${pendingSigs.size}\n\n` +
-    `<b>WebSocket connections (${wsConnections.size}):</b>\n${wsLines}\n\n` +
-    `<b>Subscriptions (${subs.length}):</b>\n${subLines}`;
+  // Header
+  const header = isWhale
+    ? `${renderIcon(icons.whale)}${renderIcon(icons.header)} <b>WHALE BUY! WOOF WOOF!</b>`
+    : `<b>${name} Buy!</b>`;
+
+  // Position / PnL line
+  let positionLine = '';
+  if (usdValue > 0 && tokenAmount > 0) {
+    if (!prevPosition) {
+      positionLine = `🆕 <b>New Buyer</b>\n`;
+    } else if (prevPosition.totalTokens <= 0) {
+      // Fully exited earlier — show what they locked in last time
+      const realised = prevPosition.realisedPnlUsd || 0;
+      positionLine = `🔁 <b>Returning Buyer</b>${realised ? ` (realised ${formatSignedUsd(realised)})` : ''}\n`;
+    } else {
+      const avgBuyPrice  = prevPosition.totalSpentUsd / prevPosition.totalTokens;
+      const currentPrice = usdValue / tokenAmount;
+      const pnlPct       = ((currentPrice - avgBuyPrice) / avgBuyPrice) * 100;
+      const sign         = pnlPct >= 0 ? '+' : '';
+      const pnlIcon      = pnlPct >= 0 ? '📈' : '📉';
+      const realised     = prevPosition.realisedPnlUsd || 0;
+      positionLine = `${pnlIcon} Position: <b>${sign}${pnlPct.toFixed(1)}%</b>` +
+        (realised ? ` | Realised: <b>${formatSignedUsd(realised)}</b>` : '') + '\n';
+    }
+  }
+
+  const linksStr = buildLinksLine(s);
+  const statsBlock = buildStatsBlock(s, icons, usdValue, tokenAmount, holderCount, marketCap);
+
+  return (
+    `${header}\n` +
+    `${emojiRow}\n\n` +
+    `${renderIcon(icons.spent)} Spent: <b>${formatQuoteUsd(paid)} (${formatQuoteLeg(paid)})</b>\n` +
+    `${renderIcon(icons.got)} Got: <b>${formatTokenAmount(tokenAmount)} ${name}</b>\n` +
+    `\n` +
+    `${renderIcon(icons.buyer)} <a href="${explorerUrl(sub.chain, 'account', buyer)}">Buyer</a>${walletTag(sub.chatId, tx.feePayer)} | <a href="${explorerUrl(sub.chain, 'tx', tx.signature)}">Txn</a>${dexSuffix(tx)}\n` +
+    positionLine +
+    trendingLine(sub) +
+    bondingCurveLine(sub) +
+    (statsBlock ? `\n${statsBlock}` : '') +
+    (linksStr ? `\n${linksStr}\n` : '') +
+    buildCompetitionFooter(sub)
+  );
+}
+
+// Price / market cap / holders lines shared by buy and sell alerts
+function buildStatsBlock(s, icons, usdValue, tokenAmount, holderCount, marketCap) {
+  // Market cap line — on-chain or DexScreener (auto), fallback to manual circSupply
+  let mcapLine = '';
+  if (marketCap != null) {
+    mcapLine = `${renderIcon(icons.mcap)} Market Cap: <b>${formatUsd(marketCap)}</b>\n`;
+  } else if (s.circSupply > 0 && usdValue > 0 && tokenAmount > 0) {
+    const pricePerToken = usdValue / tokenAmount;
+    mcapLine = `${renderIcon(icons.mcap)} Market Cap: <b>${formatUsd(pricePerToken * s.circSupply)}</b>\n`;
+  }
+
+  // Price line
+  let priceLine = '';
+  if (s.showPrice && tokenAmount > 0 && usdValue > 0) {
+    const pricePerToken = usdValue / tokenAmount;
+    priceLine = `${CE.money()} Price: <b>$${pricePerToken.toFixed(8)}</b>\n`;
+  }
+
+  // Holder count line
+  const holderLine = holderCount != null
+    ? `${renderIcon(icons.holders)} Holders: <b>${holderCount.toLocaleString()}</b>\n`
+    : '';
+
+  return priceLine + mcapLine + holderLine;
+}
+
+// " | Raydium CPMM" after the Txn link. Helius webhook txs only carry the venue key.
+function dexSuffix(tx) {
+  const label = tx.sourceLabel || (tx.source && tx.source !== 'UNKNOWN' ? dexRegistry.venueName(tx.source) : '');
+  return label ? ` | ${label}` : '';
+}
+
+function isDexIgnored(s, tx) {
+  const ignored = s.ignoredDexes || [];
+  if (ignored.length === 0) return false;
+  const venues = tx.venues || (tx.source ? [tx.source] : []);
+  return venues.some((v) => ignored.includes(v));
+}
+
+// Links — only shown if the user has set custom links
+function buildLinksLine(s) {
+  const customLinks = (s.links || []).filter(l => l?.url && l?.label);
+  return customLinks.length > 0
+    ? customLinks.map(l => `<a href="${l.url}">${l.label}</a>`).join(' | ')
+    : '';
+}
+
+function buildSellMessage(sub, tx, swap, tokenIn, holderCount, marketCap, prevPosition) {
+  const s = sub.settings;
+  const tokenAmount = tokenUiAmount(tokenIn);
+  const received = swapQuoteValue(swap, 'out');
+  const usdValue = received.usd;
+
+  const seller = tx.feePayer || 'Unknown';
+  const name = s.tokenName || sub.tokenMint.slice(0, 6) + '...';
+  const icons = getIcons(s);
+
+  // Same step logic as buys, using the sell header icon
+  const effectiveStep = s.stepUsd > 0 ? s.stepUsd : 10;
+  const stepCount = Math.min(Math.max(Math.floor(usdValue / effectiveStep), 1), 20);
+  const emojiRow = Array(stepCount).fill(renderIcon(icons.sellHeader)).join('');
+
+  // Realised PnL on the sold portion — only when we tracked their entry
+  let positionLine = '';
+  if (prevPosition?.totalTokens > 0 && usdValue > 0 && tokenAmount > 0) {
+    const sold        = Math.min(tokenAmount, prevPosition.totalTokens);
+    const costBasis   = prevPosition.totalSpentUsd * (sold / prevPosition.totalTokens);
+    const realised    = usdValue * (sold / tokenAmount) - costBasis;
+    const realisedPct = costBasis > 0 ? (realised / costBasis) * 100 : 0;
+    const pnlIcon     = realised >= 0 ? '📈' : '📉';
+    const exit        = tokenAmount >= prevPosition.totalTokens ? ' — 🚪 <b>Full exit</b>' : '';
+    positionLine =
+      `${pnlIcon} Realised: <b>${formatSignedUsd(realised)} (${realisedPct >= 0 ? '+' : ''}${realisedPct.toFixed(1)}%)</b>${exit}\n`;
+  }
+
+  const linksStr = buildLinksLine(s);
+  const statsBlock = buildStatsBlock(s, icons, usdValue, tokenAmount, holderCount, marketCap);
+
+  return (
+    `${renderIcon(icons.sellHeader)} <b>${name} Sell!</b>\n` +
+    `${emojiRow}\n\n` +
+    `${renderIcon(icons.sold)} Sold: <b>${formatTokenAmount(tokenAmount)} ${name}</b>\n` +
+    `${renderIcon(icons.received)} Received: <b>${formatQuoteUsd(received)} (${formatQuoteLeg(received)})</b>\n` +
+    `\n` +
+    `${renderIcon(icons.seller)} <a href="${explorerUrl(sub.chain, 'account', seller)}">Seller</a>${walletTag(sub.chatId, tx.feePayer)} | <a href="${explorerUrl(sub.chain, 'tx', tx.signature)}">Txn</a>${dexSuffix(tx)}\n` +
+    positionLine +
+    bondingCurveLine(sub) +
+    (statsBlock ? `\n${statsBlock}` : '') +
+    (linksStr ? `\n${linksStr}\n` : '')
+  );
+}
+
+async function sendSettingsPreview(dmChatId, sub) {
+  const s = sub.settings;
+  const price = solPriceUsd > 0 ? solPriceUsd : 150;
+
+  // Target ~3 emoji steps so the row looks meaningful
+  const targetUsd    = s.stepUsd > 0 ? s.stepUsd * 3 : 150;
+  const mockLamports = (targetUsd / price) * 1e9;
+  const mockDecimals = 6;
+  const mockRawAmt   = String(1_000_000 * Math.pow(10, mockDecimals)); // 1M tokens
+
+  const mockTx = {
+    feePayer:  'PreviewWa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+    signature: 'PreviewTxSigAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+    sourceLabel: 'Raydium',
+  };
+  const mockSwap = {
+    nativeInput:  { amount: mockLamports },
+    tokenOutputs: [{ mint: sub.tokenMint, rawTokenAmount: { tokenAmount: mockRawAmt, decimals: mockDecimals } }],
+  };
+  const mockTokenOut = {
+    mint: sub.tokenMint,
+    rawTokenAmount: { tokenAmount: mockRawAmt, decimals: mockDecimals },
+  };
+
+  // Fetch live market cap and holder count for the preview
+  const [marketCap, holderCount] = await Promise.all([
+    marketCapFor(sub),
+    getHolderCount(sub.tokenMint),
+  ]);
+
+  const mode = s.alertMode || 'buys';
+  if (mode !== 'buys') {
+    const mockSellSwap = {
+      nativeOutput: { amount: mockLamports },
+      tokenInputs:  [mockTokenOut],
+    };
+    const sellMessage = buildSellMessage(sub, mockTx, mockSellSwap, mockTokenOut, holderCount, marketCap, null);
+    await tgRequest('sendMessage', {
+      chat_id: dmChatId,
+      text: `👁 <i>Preview — not a real sell</i>\n\n` + sellMessage,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    });
+    if (mode === 'sells') return;
+  }
+
+  const message = buildAlertMessage(sub, mockTx, mockSwap, mockTokenOut, holderCount, marketCap, null);
+  const preview = `👁 <i>Preview — not a real buy</i>\n\n` + message;
+  await sendWithMedia(dmChatId, s, preview);
+
+  if (s.burstMode) {
+    // Five mock buys of rising size from four wallets (one repeat buyer)
+    const mockBuys = [1, 2, 3, 4, 5].map((n) => {
+      const swap = { nativeInput: { amount: mockLamports * n / 3 }, tokenOutputs: [mockTokenOut] };
+      return {
+        tx: { ...mockTx, feePayer: n === 5 ? mockTx.feePayer : `PreviewWa11et${n}` },
+        swap,
+        tokenOut: mockTokenOut,
+        prevPosition: n === 5 ? { totalSpentUsd: 1, totalTokens: 1 } : null,
+        paid: swapQuoteValue(swap, 'in'),
+      };
+    });
+    const burst = buildBurstMessage(sub, mockBuys, holderCount, marketCap);
+    await sendWithMedia(dmChatId, s, `👁 <i>Preview — burst summary</i>\n\n` + burst);
+  }
+}
+
+async function sendBuyAlert(sub, tx, swap, tokenOut, prevPosition) {
+  const s = sub.settings;
+  const sig = tx.signature?.slice(0, 12);
+
+  // Skip if alerts are paused (active===false; undefined = legacy sub = treat as active)
+  if (s.active === false) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=paused`);
+    return;
+  }
+  if (s.alertMode === 'sells') {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=sellsOnly`);
+    return;
+  }
+  if (isDexIgnored(s, tx)) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=dex source=${tx.source}`);
+    return;
+  }
+  if (isLabelMuted(sub, tx.feePayer)) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=label label=${walletLabel(sub.chatId, tx.feePayer)}`);
+    return;
+  }
+  const botReason = botSkipReason(sub, tx.feePayer);
+  if (botReason) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=bot filter=${botReason}`);
+    countSuppressed(tx, botReason);
+    return;
+  }
+
+  // Min buy filter — bypass entirely if the payment price still can't be loaded (avoids silent drops)
+  const paid = await pricedQuoteValue(swap, 'in');
+  const usdValue = paid.usd;
+  if (s.minBuyUsd > 0) {
+    if (!paid.priced) {
+      console.warn(`[WARN] tx=${sig} chat=${sub.chatId} price not loaded — bypassing minBuy filter, sending alert anyway`);
+    } else if (usdValue < s.minBuyUsd) {
+      console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=minBuy usd=$${usdValue.toFixed(2)} < min=$${s.minBuyUsd}`);
+      return;
+    }
+  }
+
+  // Burst mode — queue non-whale buys; the window flush posts one summary
+  const isWhale = s.whaleUsd > 0 && usdValue >= s.whaleUsd;
+  if (s.burstMode && !isWhale) {
+    queueBurstBuy(sub, { tx, swap, tokenOut, prevPosition, paid });
+    return;
+  }
+
+  await deliverBuyAlert(sub, tx, swap, tokenOut, prevPosition);
+}
+
+// Build and post a single buy alert (filters already applied)
+async function deliverBuyAlert(sub, tx, swap, tokenOut, prevPosition) {
+  await refreshTokenName(sub);
+
+  // Fetch holder count + market cap in parallel
+  const [holderCount, marketCap] = await Promise.all([
+    getHolderCount(sub.tokenMint),
+    marketCapFor(sub),
+  ]);
+
+  // prevPosition is snapshotted by processTransaction BEFORE this buy is applied
+  const message = buildAlertMessage(sub, tx, swap, tokenOut, holderCount, marketCap, prevPosition);
+  await sendWithMedia(sub.chatId, sub.settings, message);
+}
+
+// Post an alert with the group's GIF/image if one is set, else as plain text
+async function sendWithMedia(chatId, s, message) {
+  if (s.gif) {
+    const method = s.gif.type === 'animation' ? 'sendAnimation' : 'sendPhoto';
+    const mediaKey = s.gif.type === 'animation' ? 'animation' : 'photo';
+    await tgRequest(method, {
+      chat_id: chatId,
+      [mediaKey]: s.gif.fileId,
+      caption: message,
+      parse_mode: 'HTML',
+    });
+  } else {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text: message,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    });
+  }
+}
+
+// ─── Burst mode ────────────────────────────────────────────────────────────────
+// During launches dozens of buys a minute would flood the chat. With burstMode on,
+// the first buy opens a fixed window of burstWindowSec; everything that lands in it
+// is posted as one summary. A window that only caught one buy posts it normally.
+const burstBuffers = new Map(); // subId → { buys: [{ tx, swap, tokenOut, prevPosition, paid }], timer }
+
+function queueBurstBuy(sub, buy) {
+  let buf = burstBuffers.get(sub.id);
+  if (!buf) {
+    const windowMs = Math.max(5, sub.settings.burstWindowSec || 30) * 1000;
+    buf = { buys: [], timer: setTimeout(() => flushBurst(sub.id), windowMs) };
+    burstBuffers.set(sub.id, buf);
+  }
+  buf.buys.push(buy);
+  console.log(`[BURST] chat=${sub.chatId} queued tx=${buy.tx.signature?.slice(0, 12)} (${buf.buys.length} in window)`);
+}
+
+async function flushBurst(subId) {
+  const buf = burstBuffers.get(subId);
+  burstBuffers.delete(subId);
+  if (!buf || buf.buys.length === 0) return;
+
+  // Settings may have changed (or the sub been removed/paused) during the window
+  const sub = findSub(subId);
+  if (!sub || sub.settings.active === false) return;
+
+  try {
+    if (buf.buys.length === 1) {
+      const { tx, swap, tokenOut, prevPosition } = buf.buys[0];
+      await deliverBuyAlert(sub, tx, swap, tokenOut, prevPosition);
+      return;
+    }
+    await refreshTokenName(sub);
+    const [holderCount, marketCap] = await Promise.all([
+      getHolderCount(sub.tokenMint),
+      marketCapFor(sub),
+    ]);
+    const message = buildBurstMessage(sub, buf.buys, holderCount, marketCap);
+    await sendWithMedia(sub.chatId, sub.settings, message);
+    console.log(`[BURST] → chat=${sub.chatId} ${buf.buys.length} buys`);
+  } catch (err) {
+    console.error(`[BURST] Flush failed chat=${sub.chatId}:`, err.message);
+  }
+}
+
+function buildBurstMessage(sub, buys, holderCount, marketCap) {
+  const s = sub.settings;
+  const name = s.tokenName || sub.tokenMint.slice(0, 6) + '...';
+  const icons = getIcons(s);
+
+  const totalUsd    = buys.reduce((sum, b) => sum + b.paid.usd, 0);
+  const totalSol    = buys.reduce((sum, b) => sum + b.paid.sol, 0);
+  const totalTokens = buys.reduce((sum, b) => sum + tokenUiAmount(b.tokenOut), 0);
+  const buyers      = new Set(buys.map((b) => b.tx.feePayer).filter(Boolean));
+  // A wallet is new if its first buy in the window had no prior position
+  const newBuyers   = new Set(buys.filter((b) => !b.prevPosition).map((b) => b.tx.feePayer));
+  // Rank by USD; SOL breaks ties (e.g. both 0 while the SOL price is still loading)
+  const largest     = buys.reduce((max, b) => (
+    b.paid.usd > max.paid.usd || (b.paid.usd === max.paid.usd && b.paid.sol > max.paid.sol) ? b : max
+  ), buys[0]);
+
+  const effectiveStep = s.stepUsd > 0 ? s.stepUsd : 10;
+  const stepCount = Math.min(Math.max(Math.floor(totalUsd / effectiveStep), 1), 20);
+  const singleEmoji = s.emojiId
+    ? `<tg-emoji emoji-id="${s.emojiId}">${s.emoji}</tg-emoji>`
+    : s.emoji;
+  const emojiRow = Array(stepCount).fill(singleEmoji).join('');
+
+  const linksStr = buildLinksLine(s);
+  const statsBlock = buildStatsBlock(s, icons, totalUsd, totalTokens, holderCount, marketCap);
+
+  return (
+    `⚡ <b>${name} Buy Burst!</b>\n` +
+    `${emojiRow}\n\n` +
+    `🛒 Buys: <b>${buys.length}</b> in ${s.burstWindowSec || 30}s\n` +
+    `${renderIcon(icons.spent)} Total: <b>${buys.some((b) => b.paid.estimated) ? '≈' : ''}${formatUsd(totalUsd)}${solAmountNote(sub, totalSol, 3)}</b>\n` +
+    `${renderIcon(icons.got)} Got: <b>${formatTokenAmount(totalTokens)} ${name}</b>\n` +
+    `${renderIcon(icons.buyer)} Unique buyers: <b>${buyers.size}</b>${newBuyers.size > 0 ? ` (🆕 ${newBuyers.size} new)` : ''}\n` +
+    `\n` +
+    `🏆 Largest: <b>${formatQuoteUsd(largest.paid)} (${formatQuoteLeg(largest.paid)})</b> — ` +
+    `<a href="${explorerUrl(sub.chain, 'account', largest.tx.feePayer)}">Buyer</a>${walletTag(sub.chatId, largest.tx.feePayer)} | <a href="${explorerUrl(sub.chain, 'tx', largest.tx.signature)}">Txn</a>\n` +
+    trendingLine(sub) +
+    bondingCurveLine(sub) +
+    (statsBlock ? `\n${statsBlock}` : '') +
+    (linksStr ? `\n${linksStr}\n` : '') +
+    buildCompetitionFooter(sub)
+  );
+}
+
+async function sendSellAlert(sub, tx, swap, tokenIn, prevPosition) {
+  const s = sub.settings;
+  const sig = tx.signature?.slice(0, 12);
+
+  if (s.active === false) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=paused`);
+    return;
+  }
+  // Sell feed is opt-in — legacy subs have no alertMode and stay buys-only
+  if ((s.alertMode || 'buys') === 'buys') return;
+  if (isDexIgnored(s, tx)) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=dex source=${tx.source}`);
+    return;
+  }
+  if (isLabelMuted(sub, tx.feePayer)) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=label label=${walletLabel(sub.chatId, tx.feePayer)}`);
+    return;
+  }
+  const botReason = botSkipReason(sub, tx.feePayer);
+  if (botReason) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=bot filter=${botReason}`);
+    countSuppressed(tx, botReason);
+    return;
+  }
+
+  const received = await pricedQuoteValue(swap, 'out');
+  const usdValue = received.usd;
+  const minSellUsd = s.minSellUsd ?? 1;
+  if (minSellUsd > 0) {
+    if (!received.priced) {
+      console.warn(`[WARN] tx=${sig} chat=${sub.chatId} price not loaded — bypassing minSell filter, sending alert anyway`);
+    } else if (usdValue < minSellUsd) {
+      console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=minSell usd=$${usdValue.toFixed(2)} < min=$${minSellUsd}`);
+      return;
+    }
+  }
+
+  await refreshTokenName(sub);
+
+  const [holderCount, marketCap] = await Promise.all([
+    getHolderCount(sub.tokenMint),
+    marketCapFor(sub),
+  ]);
+
+  // Sells are text-only so they never look like the group's buy media
+  const message = buildSellMessage(sub, tx, swap, tokenIn, holderCount, marketCap, prevPosition);
+  await tgRequest('sendMessage', {
+    chat_id: sub.chatId,
+    text: message,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+}
+
+// Auto-refresh token name if it's still showing a truncated address
+async function refreshTokenName(sub) {
+  const s = sub.settings;
+  if (s.tokenName && !s.tokenName.endsWith('...')) return;
+  const fresh = await getTokenName(sub.tokenMint, sub.chain);
+  if (fresh && !fresh.endsWith('...')) {
+    s.tokenName = fresh;
+    saveSub(sub);
+    console.log(`[NAME] Refreshed token name → ${fresh}`);
+  }
+}
+
+// ─── Digest ────────────────────────────────────────────────────────────────────
+// Scheduled recap per subscription, built from the swaps log (every tracked buy,
+// whether or not it was posted) and hourly market cap / holder snapshots.
+// Settings: digest ('off'|'daily'|'weekly'), digestHour (0–23), digestTz (IANA).
+// Weekly digests post on Mondays. The last posted local date per sub lives in
+// meta (`digest_last:<subId>`) so a restart within the hour doesn't re-post.
+const DIGEST_PERIODS = {
+  daily:  { label: 'Daily',  title: 'Daily Digest',  span: '24 hours', ms: 24 * 60 * 60 * 1000 },
+  weekly: { label: 'Weekly', title: 'Weekly Digest', span: '7 days',   ms: 7 * 24 * 60 * 60 * 1000 },
+};
+const HISTORY_RETENTION_MS = 35 * 24 * 60 * 60 * 1000; // swaps + snapshots — covers a weekly digest with room to spare
+const DIGEST_COOLDOWN_MS = 5 * 60 * 1000;              // manual /digest in a group, per sub
+const digestLastManual = new Map(); // subId → ts
+
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in `tz` → { date: 'YYYY-MM-DD', hour, weekday: 'Mon' }
+function localClock(date, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', hourCycle: 'h23', weekday: 'short',
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), weekday: parts.weekday };
+}
+
+function digestScheduleLabel(s) {
+  const period = DIGEST_PERIODS[s.digest];
+  if (!period) return 'Off';
+  const hour = String(s.digestHour ?? 12).padStart(2, '0');
+  return `${period.label}${s.digest === 'weekly' ? ' (Mon)' : ''} ${hour}:00 ${s.digestTz || 'UTC'}`;
+}
+
+// "+12.3%" / "-4.0%" between two values, or '' when there's no usable baseline
+function formatChangePct(from, to) {
+  if (!(from > 0) || to == null) return '';
+  const pct = ((to - from) / from) * 100;
+  return ` (${pct >= 0 ? '▲ +' : '▼ '}${pct.toFixed(1)}%)`;
+}
+
+async function buildDigestMessage(sub, periodKey) {
+  const period = DIGEST_PERIODS[periodKey];
+  const until = Date.now();
+  const since = until - period.ms;
+  const name = escapeHtml(subName(sub));
+  const stats = store.buyStats(sub.tokenMint, since, until, swapStatsFilter(sub));
+
+  // Snapshots are taken without any group's exclusions — compare like with like
+  const [holderCount, marketCap, snapshotMcap] = await Promise.all([
+    getHolderCount(sub.tokenMint),
+    marketCapFor(sub),
+    getMarketCap(sub.tokenMint),
+  ]);
+  const baseline = store.snapshotNear(sub.tokenMint, since);
+
+  let body;
+  if (stats.count === 0) {
+    body = `😴 No buys in the last ${period.span}.\n`;
+  } else {
+    const big = stats.biggest;
+    body =
+      `🟢 Buys: <b>${stats.count.toLocaleString()}</b>\n` +
+      `💰 Volume: <b>${formatUsd(stats.usd)}</b>${solAmountNote(sub, stats.sol, 2)}\n` +
+      `👥 Buyers: <b>${stats.uniqueBuyers.toLocaleString()}</b> unique | <b>${stats.newBuyers.toLocaleString()}</b> new\n` +
+      `🐋 Biggest: <b>${formatUsd(big.usd)}</b>${solAmountNote(sub, big.sol, 2)} by ` +
+      `<a href="${explorerUrl(sub.chain, 'account', big.wallet)}">${shortAddr(big.wallet)}</a>` +
+      ` | <a href="${explorerUrl(sub.chain, 'tx', txHashOf(big.signature))}">Txn</a>\n`;
+  }
+
+  const mcapLine = marketCap != null
+    ? `📊 Market Cap: <b>${formatUsd(marketCap)}</b>${formatChangePct(baseline?.marketCap, snapshotMcap)}\n`
+    : '';
+  let holderLine = '';
+  if (holderCount != null) {
+    const delta = baseline?.holders != null ? holderCount - baseline.holders : null;
+    holderLine = `💠 Holders: <b>${holderCount.toLocaleString()}</b>` +
+      (delta != null ? ` (${delta >= 0 ? '+' : ''}${delta.toLocaleString()})` : '') + '\n';
+  }
+
+  return (
+    `📰 <b>${name} ${period.title}</b>\n` +
+    `<i>Last ${period.span}</i>\n\n` +
+    body +
+    (mcapLine || holderLine ? `\n${mcapLine}${holderLine}` : '')
+  );
+}
+
+async function sendDigest(sub, chatId, periodKey) {
+  await refreshTokenName(sub);
+  const text = await buildDigestMessage(sub, periodKey);
+  await tgRequest('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML', disable_web_page_preview: true });
+}
+
+// Runs every minute — posts each enabled digest once, in its local posting hour.
+// One sub's failure (bad settings, DB error, send) never stops the others.
+async function runDigestScheduler() {
+  const now = new Date();
+  for (const sub of loadStorage().subscriptions) {
+    const s = sub.settings;
+    try {
+      if (!DIGEST_PERIODS[s.digest]) continue;
+      const tz = isValidTimeZone(s.digestTz) ? s.digestTz : 'UTC';
+      const clock = localClock(now, tz);
+      if (clock.hour !== (s.digestHour ?? 12)) continue;
+      if (s.digest === 'weekly' && clock.weekday !== 'Mon') continue;
+      const metaKey = `digest_last:${sub.id}`;
+      if (store.getMeta(metaKey) === clock.date) continue;
+
+      store.setMeta(metaKey, clock.date); // mark first — a failed send waits for the next period
+      await sendDigest(sub, sub.chatId, s.digest);
+      console.log(`[DIGEST] → chat=${sub.chatId} sub=${sub.id} ${s.digest}`);
+    } catch (e) {
+      console.error(`[DIGEST] chat=${sub.chatId} sub=${sub.id}:`, e.message);
+    }
+  }
+}
+
+// Hourly market cap / holder baseline for digest deltas, plus history pruning
+async function recordMintSnapshots() {
+  for (const mint of getUniqueMints(loadStorage(), null)) {
+    try {
+      const [holderCount, marketCap] = await Promise.all([getHolderCount(mint), getMarketCap(mint)]);
+      if (holderCount != null || marketCap != null) store.recordSnapshot(mint, marketCap, holderCount);
+    } catch (e) {
+      console.warn(`[SNAPSHOT] ${mint.slice(0, 8)}:`, e.message);
+    }
+  }
+  store.pruneHistory(HISTORY_RETENTION_MS);
+  pruneCandles();
+}
+
+// ─── Milestones ────────────────────────────────────────────────────────────────
+// Holder counts (every holderStep and/or holderLevels), market cap levels and new
+// all-time-high market caps, posted once each. Levels reached are recorded in the
+// milestones table BEFORE posting, so a restart never repeats one. The first
+// check after a kind is switched on only records where the token already is —
+// turning milestones on for a 5 000-holder token doesn't announce 100…5 000 —
+// and switching a kind back on starts over, so levels passed while it was off
+// stay quiet. An ATH is only posted when it beats the last announced one by
+// ATH_MIN_GAIN (kept in meta as ath_posted:<subId>); smaller highs just raise
+// the recorded ATH. Holder counts come from the 30-min cache, so milestones can
+// lag that much.
+const MILESTONE_CHECK_MS = 2 * 60 * 1000;
+const ATH_COOLDOWN_MS = 60 * 60 * 1000; // new highs in a pump post at most hourly
+const ATH_MIN_GAIN = 0.10;              // over the last announced ATH
+const athLastPosted = new Map();        // subId → ts
+
+function milestonesEnabled(s) {
+  return s.holderStep > 0 || s.holderLevels?.length > 0 || s.mcapLevels?.length > 0 || s.athAlerts === true;
+}
+
+function holderMilestoneLabel(s) {
+  const parts = [];
+  if (s.holderStep > 0) parts.push(`every ${s.holderStep.toLocaleString()}`);
+  if (s.holderLevels?.length > 0) parts.push(s.holderLevels.map((n) => n.toLocaleString()).join(', '));
+  return parts.length > 0 ? parts.join(' + ') : 'off';
+}
+
+// "1k, 2.5M, 10,000" → [1000, 2500000, 10000] sorted; null if anything's unparseable
+function parseAmountList(text) {
+  const mult = { k: 1e3, m: 1e6, b: 1e9 };
+  const values = [];
+  // A comma followed by exactly three digits is a thousands separator
+  for (const part of text.split(/[\s;]+|,(?!\d{3}(?:\D|$))/).filter(Boolean)) {
+    const m = part.replace(/[$,_]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+    if (!m) return null;
+    values.push(Math.round(parseFloat(m[1]) * (mult[m[2]?.toLowerCase()] || 1)));
+  }
+  return [...new Set(values.filter((v) => v > 0))].sort((a, b) => a - b);
+}
+
+// Highest configured level at or below `value` (0 when none)
+function crossedLevel(value, step, levels) {
+  const fromStep = step > 0 ? Math.floor(value / step) * step : 0;
+  return Math.max(fromStep, ...levels.filter((l) => l <= value), 0);
+}
+
+// Called when a kind goes from off to on
+function resetMilestoneBaseline(sub, kind) {
+  store.clearMilestones(sub.id, kind);
+  if (kind === 'ath') {
+    store.setMeta(`ath_posted:${sub.id}`, null);
+    athLastPosted.delete(sub.id);
+  }
+}
+
+// → the newly crossed level to announce, or null. Lower levels passed in the same
+// jump are skipped — one post for the highest.
+function nextMilestone(sub, kind, value, step, levels) {
+  const top = crossedLevel(value, step, levels);
+  const reached = store.maxMilestone(sub.id, kind);
+  if (reached == null) {
+    store.recordMilestone(sub.id, kind, top); // first check — baseline only
+    return null;
+  }
+  if (top <= reached) return null;
+  return store.recordMilestone(sub.id, kind, top) ? top : null;
+}
+
+function buildMilestoneMessage(sub, kind, level, { holderCount, marketCap, previousAth }) {
+  const name = escapeHtml(subName(sub));
+  const icons = getIcons(sub.settings);
+  const chart = `<a href="${chartUrl(sub.chain, sub.tokenMint)}">Chart</a>`;
+  const mcapLine = marketCap != null ? `${renderIcon(icons.mcap)} Market Cap: <b>${formatUsd(marketCap)}</b>\n` : '';
+  const holderLine = holderCount != null ? `${renderIcon(icons.holders)} Holders: <b>${holderCount.toLocaleString()}</b>\n` : '';
+  if (kind === 'holders') {
+    return `🎉 <b>${name} just passed ${level.toLocaleString()} holders!</b>\n\n${holderLine}${mcapLine}\n${chart}`;
+  }
+  if (kind === 'mcap') {
+    return `🚀 <b>${name} just crossed ${formatUsd(level)} market cap!</b>\n\n${mcapLine}${holderLine}\n${chart}`;
+  }
+  return (
+    `🏔 <b>New all-time high for ${name}!</b>\n\n${mcapLine}` +
+    (previousAth ? `Previous high: <b>${formatUsd(previousAth)}</b>${formatChangePct(previousAth, marketCap)}\n` : '') +
+    `${holderLine}\n${chart}`
+  );
+}
+
+async function checkSubMilestones(sub, holderCount, marketCap) {
+  const s = sub.settings;
+  const posts = [];
+  if (holderCount != null && (s.holderStep > 0 || s.holderLevels?.length > 0)) {
+    const level = nextMilestone(sub, 'holders', holderCount, s.holderStep || 0, s.holderLevels || []);
+    if (level) posts.push(['holders', level, {}]);
+  }
+  if (marketCap != null && s.mcapLevels?.length > 0) {
+    const level = nextMilestone(sub, 'mcap', marketCap, 0, s.mcapLevels);
+    if (level) posts.push(['mcap', level, {}]);
+  }
+  if (marketCap != null && s.athAlerts) {
+    // The high is always raised; posting needs a real gain and is rate limited,
+    // so a pump grinding out new highs isn't a flood
+    const ath = store.maxMilestone(sub.id, 'ath');
+    if (ath == null || marketCap > ath) store.setAth(sub.id, marketCap);
+    if (ath == null) store.setMeta(`ath_posted:${sub.id}`, marketCap); // baseline counts as announced
+    const announced = Number(store.getMeta(`ath_posted:${sub.id}`)) || ath;
+    if (ath != null && marketCap > ath && marketCap >= announced * (1 + ATH_MIN_GAIN) &&
+        Date.now() - (athLastPosted.get(sub.id) || 0) >= ATH_COOLDOWN_MS) {
+      athLastPosted.set(sub.id, Date.now());
+      store.setMeta(`ath_posted:${sub.id}`, marketCap);
+      posts.push(['ath', marketCap, { previousAth: ath }]);
+    }
+  }
+
+  for (const [kind, level, extra] of posts) {
+    const message = buildMilestoneMessage(sub, kind, level, { holderCount, marketCap, ...extra });
+    try {
+      await sendWithMedia(sub.chatId, { gif: s.milestoneGif }, message);
+      console.log(`[MILESTONE] → chat=${sub.chatId} sub=${sub.id} ${kind}=${level}`);
+    } catch (e) {
+      console.error(`[MILESTONE] chat=${sub.chatId} sub=${sub.id} ${kind}:`, e.message);
+    }
+  }
+}
+
+// Runs every MILESTONE_CHECK_MS — one holder lookup per mint, market cap per
+// group's supply exclusions (both cached)
+async function runMilestoneChecker() {
+  const subs = loadStorage().subscriptions.filter((s) => s.settings.active !== false && milestonesEnabled(s.settings));
+  for (const mint of new Set(subs.map((s) => s.tokenMint))) {
+    try {
+      const holderCount = await getHolderCount(mint);
+      for (const sub of subs.filter((s) => s.tokenMint === mint)) {
+        await refreshTokenName(sub);
+        await checkSubMilestones(sub, holderCount, await marketCapFor(sub));
+      }
+    } catch (e) {
+      console.warn(`[MILESTONE] ${mint.slice(0, 8)}:`, e.message);
+    }
+  }
+}
+
+// ─── Bonding Curve (pump.fun) ──────────────────────────────────────────────────
+// Alerts for tokens still on their curve carry its progress (pricing.js records
+// it whenever a price is read from the curve). Once the curve completes, each
+// subscription gets one graduation post; graduatedAt on the settings keeps it
+// from repeating. Nothing changes for alerts — the migrated pool's swaps go
+// through PumpSwap / Raydium, which the DEX registry already covers.
+// Every tracked Solana mint's curve is checked at its derived address, so a
+// restart doesn't lose it. Each sub records (curveSeenRunning) that it saw the
+// curve still running — a sub that finds it already complete without that
+// (added after graduation, or re-added) is marked without a post.
+const GRADUATION_CHECK_MS = 60 * 1000;
+const GRADUATION_VENUES = { pumpswap: 'PumpSwap', raydium: 'Raydium' }; // DexScreener dexId → name
+
+// "🎓 Bonding curve: 62.4% (52.1 / 83.6 SOL)" for alerts, or '' when not on a curve
+function bondingCurveLine(sub) {
+  const curve = (sub.chain || 'solana') === 'solana' ? pricing.bondingCurve(sub.tokenMint) : null;
+  if (!curve || curve.complete) return '';
+  return `🎓 Bonding curve: <b>${curve.progressPct.toFixed(1)}%</b> (${curve.solRaised.toFixed(1)} / ${curve.targetSol.toFixed(1)} SOL)\n`;
+}
+
+// Where the token migrated to, from DexScreener's pair list → name or null
+async function graduationVenue(mint) {
+  try {
+    const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
+    const data = await res.json();
+    const pair = (data?.pairs || []).find((p) => p.baseToken?.address === mint && GRADUATION_VENUES[p.dexId]);
+    return pair ? GRADUATION_VENUES[pair.dexId] : null;
+  } catch {
+    return null;
+  }
+}
+
+function buildGraduationMessage(sub, curve, venue, marketCap) {
+  const icons = getIcons(sub.settings);
+  return (
+    `🎓 <b>${escapeHtml(subName(sub))} has graduated!</b>\n\n` +
+    `The pump.fun bonding curve is complete — <b>${curve.solRaised.toFixed(1)} SOL</b> raised — ` +
+    `and trading has moved to <b>${venue || 'its AMM pool'}</b>. Buy alerts continue from the new pool.\n\n` +
+    (marketCap != null ? `${renderIcon(icons.mcap)} Market Cap: <b>${formatUsd(marketCap)}</b>\n` : '') +
+    `\n<a href="${chartUrl(sub.chain, sub.tokenMint)}">Chart</a>`
+  );
+}
+
+// Runs every GRADUATION_CHECK_MS — re-reads incomplete curves, posts for completed ones
+async function runGraduationChecker() {
+  const storage = loadStorage();
+  for (const mint of getUniqueMints(storage)) {
+    if (storage.subscriptions.some((s) => s.tokenMint === mint && !s.settings.graduatedAt)) pricing.trackCurve(mint);
+  }
+  for (const mint of pricing.curveMints()) {
+    try {
+      const pending = loadStorage().subscriptions.filter((s) => s.tokenMint === mint && !s.settings.graduatedAt);
+      if (pending.length === 0) continue;
+      const known = pricing.bondingCurve(mint);
+      const curve = known?.complete ? known : await pricing.refreshBondingCurve(mint);
+      if (!curve) continue;
+      if (!curve.complete) {
+        for (const sub of pending.filter((s) => !s.settings.curveSeenRunning)) {
+          sub.settings.curveSeenRunning = true;
+          saveSub(sub);
+        }
+        continue;
+      }
+
+      const unseen = pending.filter((s) => !s.settings.curveSeenRunning);
+      for (const sub of unseen) {
+        sub.settings.graduatedAt = Date.now();
+        saveSub(sub);
+        console.log(`[GRADUATION] sub=${sub.id} ${mint.slice(0, 8)} graduated before it was tracked — not announced`);
+      }
+      const announce = pending.filter((s) => s.settings.curveSeenRunning);
+      if (announce.length === 0) continue;
+
+      const venue = await graduationVenue(mint);
+      for (const sub of announce) {
+        sub.settings.graduatedAt = Date.now();
+        saveSub(sub); // before posting — a failed send is never retried into a duplicate
+        if (sub.settings.active === false || sub.settings.graduationAlerts === false) continue;
+        try {
+          await sendWithMedia(sub.chatId, { gif: sub.settings.milestoneGif }, buildGraduationMessage(sub, curve, venue, await marketCapFor(sub)));
+          console.log(`[GRADUATION] → chat=${sub.chatId} sub=${sub.id} venue=${venue || '?'}`);
+        } catch (e) {
+          console.error(`[GRADUATION] chat=${sub.chatId} sub=${sub.id}:`, e.message);
+        }
+      }
+    } catch (e) {
+      console.warn(`[GRADUATION] ${mint.slice(0, 8)}:`, e.message);
+    }
+  }
+}
+
+// ─── Liquidity ─────────────────────────────────────────────────────────────────
+// LP adds / removals on a tracked mint's Solana pools (parseLiquidityFromRaw).
+// Routine changes post when lpAlerts is on and they're worth lpMinUsd; a removal
+// taking rugWarnPct or more of the pool, or one signed by the deployer, posts as
+// a rug warning whatever those say. USD sizes count both sides of the pool (twice
+// the quote leg), so they're approximate for concentrated-liquidity pools.
+function lpQuoteInfo(quoteMint) {
+  if (quoteMint === WSOL_MINT) return { symbol: 'SOL', priceUsd: solPriceUsd };
+  return { symbol: QUOTE_MINTS.get(quoteMint)?.symbol || shortAddr(quoteMint), priceUsd: quotePriceUsd(quoteMint) };
+}
+
+function buildLiquidityMessage(sub, tx, change, warnings, byDeployer) {
+  const name = escapeHtml(subName(sub));
+  const quote = `${change.quoteAmount >= 1e3 ? formatTokenAmount(change.quoteAmount) : change.quoteAmount.toFixed(2)} ${change.symbol}`;
+  const header = warnings.length > 0
+    ? `🚨🚨 <b>RUG WARNING — ${name}</b> 🚨🚨\n\n${warnings.map((w) => `⚠️ ${w}`).join('\n')}\n\n`
+    : `💧 <b>Liquidity ${change.added ? 'Added' : 'Removed'} — ${name}</b>\n\n`;
+  return (
+    header +
+    `${change.added ? '➕' : '➖'} ${quote} + ${formatTokenAmount(change.tokenAmount)} ${name}` +
+    (change.usd != null ? ` (≈${formatUsd(change.usd)})` : '') +
+    (!change.added && change.pct != null ? ` — ${change.pct.toFixed(1)}% of the pool` : '') + '\n' +
+    (change.depthUsd != null ? `🏊 Pool liquidity ${change.added ? 'now' : 'left'}: <b>≈${formatUsd(change.depthUsd)}</b>\n` : '') +
+    `\n<a href="${explorerUrl(sub.chain, 'account', tx.feePayer)}">${byDeployer ? 'Deployer' : 'Provider'}</a>${walletTag(sub.chatId, tx.feePayer)} | ` +
+    `<a href="${explorerUrl(sub.chain, 'tx', tx.signature)}">Txn</a>${dexSuffix(tx)} | <a href="${chartUrl(sub.chain, sub.tokenMint)}">Chart</a>`
+  );
+}
+
+async function sendLiquidityAlert(sub, tx, change, byDeployer) {
+  const s = sub.settings;
+  const sig = tx.signature?.slice(0, 12);
+  if (s.active === false) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=paused`);
+    return;
+  }
+
+  const warnings = [];
+  if (!change.added && s.rugWarnings !== false) {
+    if (s.rugWarnPct > 0 && change.pct >= s.rugWarnPct) {
+      warnings.push(`<b>${change.pct.toFixed(1)}% of the pool's liquidity was pulled in one transaction</b>`);
+    }
+    if (byDeployer) warnings.push('<b>The deployer wallet removed liquidity</b>');
+  }
+  if (warnings.length === 0) {
+    if (s.lpAlerts === false) return;
+    if (isDexIgnored(s, tx)) {
+      console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=dex source=${tx.source}`);
+      return;
+    }
+    // Unpriced changes (quote price not loaded) still post, like buys do
+    if (change.usd != null && change.usd < (s.lpMinUsd ?? 0)) {
+      console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=lpMin usd=$${change.usd.toFixed(2)} < min=$${s.lpMinUsd}`);
+      return;
+    }
+  }
+
+  await refreshTokenName(sub);
+  await tgRequest('sendMessage', {
+    chat_id: sub.chatId,
+    text: buildLiquidityMessage(sub, tx, change, warnings, byDeployer),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+  console.log(`[LP] → chat=${sub.chatId} ${change.added ? 'add' : 'remove'}${warnings.length > 0 ? ' RUG WARNING' : ''} tx=${sig}`);
+}
+
+async function processLiquidity(tx, storage) {
+  const lp = tx.events.liquidity;
+  const subs = storage.subscriptions.filter((s) => s.tokenMint === lp.mint);
+  if (subs.length === 0) return;
+  pricing.observePool(lp.mint, tx.pools?.[lp.mint]);
+
+  const { symbol, priceUsd } = lpQuoteInfo(lp.quote.mint);
+  const quoteAmount = tokenUiAmount(lp.quote);
+  const change = {
+    added: tx.type === 'ADD_LIQUIDITY',
+    symbol,
+    quoteAmount,
+    tokenAmount: tokenUiAmount(lp.token),
+    usd:      priceUsd > 0 ? quoteAmount * priceUsd * 2 : null,
+    depthUsd: priceUsd > 0 ? lp.quoteReserveAfter * priceUsd * 2 : null,
+    pct:      lp.quoteReserveBefore > 0 ? (quoteAmount / lp.quoteReserveBefore) * 100 : null, // share removed
+  };
+  // Only looked up when some group hasn't set the deployer by hand
+  const detected = subs.some((s) => !s.settings.deployerWallet) ? await getDeployer(lp.mint) : null;
+
+  await Promise.all(subs.map(async (sub) => {
+    const deployer = sub.settings.deployerWallet || detected;
+    try {
+      await sendLiquidityAlert(sub, tx, change, !!deployer && lp.signers.includes(deployer));
+    } catch (err) {
+      console.error(`[ERROR] chat=${sub.chatId} mint=${lp.mint.slice(0, 8)} lp:`, err.message);
+    }
+  }));
+}
+
+// ─── Transfers ─────────────────────────────────────────────────────────────────
+// Plain wallet-to-wallet moves of a tracked token (parseTransferFromRaw), posted
+// when transferAlerts is on and the move is worth transferMinUsd. Moves into a
+// wallet the group labelled CEX are tagged as deposits, into a known exchange
+// hot wallet as such (see exchangeWalletKind), and moves out of a team wallet as
+// team transfers. Solana only.
+//
+// Limitation: transfers are found through the mint's own activity (the WS
+// `mentions: [mint]` subscription and getSignaturesForAddress(mint)). A plain
+// SPL Transfer — unlike TransferChecked — doesn't list the mint account, so
+// wallets that move tokens that way are never seen here. Dev Watch's balance
+// poll covers the wallets it watches; other holders' plain transfers are missed.
+const TOKEN_MOVE_LOG_RE = /^Program log: Instruction: (Transfer|Burn)/; // + TransferChecked / BurnChecked
+
+// Whether any running group wants transfers of `mint` — gates the extra RPC
+// fetches the WS handler would otherwise skip
+function transferAlertsWanted(mint) {
+  return mintInterest.get(mint)?.transfers === true;
+}
+
+function buildTransferMessage(sub, tx, transfer, amount, usd) {
+  const name = escapeHtml(subName(sub));
+  const toExchange = exchangeWalletKind(sub.chatId, transfer.to);
+  const fromTeam = isTeamWallet(sub, transfer.from);
+  const title =
+    toExchange === 'deposit' ? '🏦 <b>Exchange Deposit' :
+    toExchange === 'hot'     ? '🏦 <b>Exchange Hot Wallet Inflow' :
+    fromTeam                 ? '🏛 <b>Team Wallet Transfer' : '🔀 <b>Large Transfer';
+  const wallet = (address) => `<a href="${explorerUrl(sub.chain, 'account', address)}">${shortAddr(address)}</a>${walletTag(sub.chatId, address)}`;
+  return (
+    `${title} — ${name}</b>\n\n` +
+    `📦 <b>${formatTokenAmount(amount)} ${name}</b>${usd != null ? ` (${formatUsd(usd)})` : ''}\n` +
+    `📤 From: ${wallet(transfer.from)}${fromTeam ? ' — <i>team wallet</i>' : ''}\n` +
+    `📥 To: ${wallet(transfer.to)}${toExchange ? ` — <i>${EXCHANGE_TAGS[toExchange]}</i>` : ''}` +
+    (transfer.recipients > 1 ? ` <i>(+${transfer.recipients - 1} more recipients)</i>` : '') + '\n' +
+    `\n<a href="${explorerUrl(sub.chain, 'tx', tx.signature)}">Txn</a> | <a href="${chartUrl(sub.chain, sub.tokenMint)}">Chart</a>`
+  );
+}
+
+async function sendTransferAlert(sub, tx, amount, usd) {
+  const s = sub.settings;
+  const sig = tx.signature?.slice(0, 12);
+  if (s.active === false || !s.transferAlerts) return;
+  // Unpriced transfers can't be measured against the threshold — skip rather than spam
+  if (usd == null) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=transfer-unpriced`);
+    return;
+  }
+  if (usd < (s.transferMinUsd ?? 0)) {
+    console.log(`[SKIP] tx=${sig} chat=${sub.chatId} reason=transferMin usd=$${usd.toFixed(2)} < min=$${s.transferMinUsd}`);
+    return;
+  }
+  await refreshTokenName(sub);
+  await tgRequest('sendMessage', {
+    chat_id: sub.chatId,
+    text: buildTransferMessage(sub, tx, tx.events.transfer, amount, usd),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+  console.log(`[TRANSFER] → chat=${sub.chatId} mint=${sub.tokenMint.slice(0, 8)} usd=$${usd.toFixed(0)} tx=${sig}`);
+}
+
+async function processTransfer(tx, storage) {
+  const transfer = tx.events.transfer;
+  const subs = storage.subscriptions.filter((s) => s.tokenMint === transfer.mint && s.settings.transferAlerts);
+  if (subs.length === 0) return;
+  const amount = tokenUiAmount(transfer.token);
+  const price = await getTokenPrice(transfer.mint);
+  const usd = price > 0 ? amount * price : null;
+  await Promise.all(subs.map(async (sub) => {
+    try {
+      await sendTransferAlert(sub, tx, amount, usd);
+    } catch (err) {
+      console.error(`[ERROR] chat=${sub.chatId} mint=${transfer.mint.slice(0, 8)} transfer:`, err.message);
+    }
+  }));
+}
+
+// ─── Dev Watch ─────────────────────────────────────────────────────────────────
+// Watched wallets per sub: the token's deployer / authorities (findTokenInsiders,
+// added at setup — groups set up before Dev Watch opt in with 🔍 Detect Insiders)
+// plus any the owner registers. Any drop in one's balance of
+// the token — a sell, a transfer out, an LP deposit, a burn — posts a 🚨 alert
+// that skips every other filter. Transactions the bot fetches are checked as
+// they arrive; a balance poll every WATCH_CHECK_MS catches the rest (a plain
+// Transfer instruction doesn't even mention the mint). Solana only.
+const WATCH_CHECK_MS = 5 * 60 * 1000;
+const MAX_WATCHED_WALLETS = 20;
+// A token whose insiders can't be found yet is retried hourly, then left to the
+// owner's 🔍 Detect Insiders button
+const WATCH_SEED_RETRY_MS = 60 * 60 * 1000;
+const WATCH_SEED_MAX_ATTEMPTS = 6;
+const watchSeedFailures = new Map(); // subId → { failedAt, count }
+const WATCH_KINDS = {
+  sell:      { title: 'SOLD',               verb: 'Sold' },
+  transfer:  { title: 'TRANSFERRED OUT',    verb: 'Sent' },
+  liquidity: { title: 'ADDED TO LIQUIDITY', verb: 'Deposited' },
+  other:     { title: 'BALANCE DROPPED',    verb: 'Moved' },
+};
+const watchBalances = new Map(); // `${mint}|${wallet}` → { amount (raw), decimals } last seen or reported
+
+// wallet → subs watching it, for one mint (read-only — see mintInterest)
+function watchersFor(mint) {
+  return mintInterest.get(mint)?.watchers || new Map();
+}
+
+// Add the token's insiders to a sub's watch list → how many were new. The sub is
+// re-read before saving — the lookups take long enough for settings to change.
+async function seedWatchedWallets(subId) {
+  const sub = findSub(subId);
+  if (!sub) return 0;
+  const insiders = await findTokenInsiders(sub.tokenMint);
+  const fresh = findSub(subId);
+  if (!fresh) return 0;
+  if (insiders.length === 0) {
+    const count = (watchSeedFailures.get(subId)?.count || 0) + 1;
+    watchSeedFailures.set(subId, { failedAt: Date.now(), count });
+    if (count >= WATCH_SEED_MAX_ATTEMPTS && fresh.settings.watchSeeded === false) {
+      fresh.settings.watchSeeded = true; // stop retrying — the owner can still detect by hand
+      saveSub(fresh);
+      console.warn(`[WATCH] sub=${subId} no insiders found after ${count} attempts — giving up`);
+    }
+    return 0;
+  }
+  watchSeedFailures.delete(subId);
+  const current = fresh.settings.watchedWallets || [];
+  const added = insiders.filter((i) => !current.some((w) => w.wallet === i.wallet));
+  fresh.settings.watchedWallets = [...current, ...added].slice(0, MAX_WATCHED_WALLETS);
+  fresh.settings.watchSeeded = true;
+  saveSub(fresh);
+  if (added.length > 0) console.log(`[WATCH] sub=${subId} now watching ${added.map((a) => a.role).join(', ')}`);
+  return added.length;
+}
+
+function watchMoveKind(tx, wallet) {
+  if (tx?.type === 'SWAP' && tx.feePayer === wallet) return 'sell';
+  if (tx?.type === 'ADD_LIQUIDITY') return 'liquidity';
+  if (tx?.events?.transfer?.from === wallet) return 'transfer';
+  return 'other';
+}
+
+function buildWatchMessage(sub, move, d) {
+  const name = escapeHtml(subName(sub));
+  const kind = WATCH_KINDS[move.kind];
+  const role = (sub.settings.watchedWallets || []).find((w) => w.wallet === move.wallet)?.role;
+  let detail = '';
+  if (move.kind === 'sell') {
+    const received = swapQuoteValue(move.tx.events.swap, 'out');
+    if (received.sol > 0 || received.quote) detail = ` for ${formatQuoteLeg(received)}`;
+  } else if (move.kind === 'transfer') {
+    const to = move.tx.events.transfer.to;
+    const exchange = exchangeWalletKind(sub.chatId, to);
+    detail = ` to <a href="${explorerUrl(sub.chain, 'account', to)}">${shortAddr(to)}</a>${walletTag(sub.chatId, to)}` +
+      (exchange ? ` — <i>${EXCHANGE_TAGS[exchange]}</i>` : '');
+  }
+  const shares = [
+    d.holdingsPct != null ? `<b>${d.holdingsPct.toFixed(1)}%</b> of their holdings` : null,
+    d.supplyPct != null ? `<b>${d.supplyPct < 0.01 ? '<0.01' : d.supplyPct.toFixed(2)}%</b> of supply` : null,
+  ].filter(Boolean);
+  return (
+    `🚨🚨 <b>WATCHED WALLET ${kind.title} — ${name}</b> 🚨🚨\n\n` +
+    `👤 <a href="${explorerUrl(sub.chain, 'account', move.wallet)}">${shortAddr(move.wallet)}</a>` +
+    `${role ? ` — <b>${escapeHtml(role)}</b>` : ''}${walletTag(sub.chatId, move.wallet)}\n` +
+    `📉 ${kind.verb} <b>${formatTokenAmount(d.moved)} ${name}</b>${d.usd != null ? ` (${formatUsd(d.usd)})` : ''}${detail}\n` +
+    (shares.length > 0 ? `📊 ${shares.join(' · ')}\n` : '') +
+    `💼 Left: <b>${formatTokenAmount(move.after)} ${name}</b>\n\n` +
+    (move.signature
+      ? `<a href="${explorerUrl(sub.chain, 'tx', move.signature)}">Txn</a> | `
+      : '<i>Spotted by a balance check — no transaction link.</i>\n') +
+    `<a href="${chartUrl(sub.chain, sub.tokenMint)}">Chart</a>`
+  );
+}
+
+// move: { mint, wallet, kind, tx, before, after, signature } — amounts in tokens
+async function postWatchAlert(subs, move) {
+  const moved = move.before - move.after;
+  const price = await getTokenPrice(move.mint);
+  await Promise.all(subs.map(async (sub) => {
+    if (sub.settings.active === false || sub.settings.watchAlerts === false) return;
+    try {
+      // Supply share against this group's circulating supply (its own exclusions)
+      const supply = await pricing.getCirculatingSupply(move.mint, sub.settings.supplyExclusions || []);
+      const details = {
+        moved,
+        usd: price > 0 ? moved * price : null,
+        holdingsPct: move.before > 0 ? (moved / move.before) * 100 : null,
+        supplyPct: supply > 0 ? (moved / supply) * 100 : null,
+      };
+      await refreshTokenName(sub);
+      await tgRequest('sendMessage', {
+        chat_id: sub.chatId,
+        text: buildWatchMessage(sub, move, details),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+      }, { priority: true });
+      console.log(`[WATCH] → chat=${sub.chatId} wallet=${move.wallet.slice(0, 8)} ${move.kind} ${details.holdingsPct?.toFixed(1) ?? '?'}%`);
+    } catch (err) {
+      console.error(`[ERROR] chat=${sub.chatId} mint=${move.mint.slice(0, 8)} watch:`, err.message);
+    }
+  }));
+}
+
+// Every fetched transaction of a tracked mint comes through here, swap or not;
+// `tx` is its parsed form (or null) and only decides how the move is described
+async function checkWatchedWallets(rawTx, mint, tx) {
+  if (!rawTx?.meta || rawTx.meta.err) return;
+  const watchers = watchersFor(mint);
+  if (watchers.size === 0) return;
+  const { owners, decimals } = ownerBalances(rawTx.meta, mint);
+  for (const [wallet, subs] of watchers) {
+    const bal = owners.get(wallet);
+    if (!bal) continue;
+    const key = `${mint}|${wallet}`;
+    const last = watchBalances.get(key);
+    // Already at or below this post-balance → the drop was reported by the balance
+    // poll or by a later tx that came in first; keep the lower figure
+    if (bal.post < bal.pre && last && last.amount <= bal.post) continue;
+    watchBalances.set(key, { amount: bal.post, decimals });
+    if (bal.post >= bal.pre) continue;
+    await postWatchAlert(subs, {
+      mint, wallet, kind: watchMoveKind(tx, wallet), tx,
+      before: Number(bal.pre) / 10 ** decimals,
+      after: Number(bal.post) / 10 ** decimals,
+      signature: rawTx.transaction?.signatures?.[0] ?? null,
+    });
+  }
+}
+
+async function walletTokenBalance(wallet, mint) {
+  const res = await rpcCall('getTokenAccountsByOwner', [wallet, { mint }, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+  let amount = 0n;
+  let decimals = null;
+  for (const a of res?.value || []) {
+    const t = a.account?.data?.parsed?.info?.tokenAmount;
+    if (!t) continue;
+    amount += BigInt(t.amount);
+    decimals = t.decimals;
+  }
+  return { amount, decimals };
+}
+
+// Runs every WATCH_CHECK_MS — retries seeding for new subs whose insiders weren't
+// found at setup (hourly, at most WATCH_SEED_MAX_ATTEMPTS times), then compares
+// each watched wallet's balance with the last one seen (the first check only
+// records it)
+async function runWatchChecker() {
+  const subs = loadStorage().subscriptions.filter((s) => (s.chain || 'solana') === 'solana');
+  const due = (s) => Date.now() - (watchSeedFailures.get(s.id)?.failedAt || 0) >= WATCH_SEED_RETRY_MS;
+  for (const sub of subs.filter((s) => s.settings.watchSeeded === false && due(s))) {
+    try {
+      await seedWatchedWallets(sub.id);
+    } catch (e) {
+      console.warn(`[WATCH] Seeding sub=${sub.id} failed:`, e.message);
+    }
+  }
+
+  for (const mint of getUniqueMints(loadStorage())) {
+    for (const [wallet, watching] of watchersFor(mint)) {
+      try {
+        const key = `${mint}|${wallet}`;
+        const { amount, decimals } = await walletTokenBalance(wallet, mint);
+        // Read after the lookup — a tx alert may have reported the drop meanwhile
+        const last = watchBalances.get(key);
+        // No token accounts left (sold out and closed) → keep the last decimals
+        const dec = decimals ?? last?.decimals ?? 0;
+        watchBalances.set(key, { amount, decimals: dec });
+        if (!last || amount >= last.amount) continue;
+        await postWatchAlert(watching, {
+          mint, wallet, kind: 'other', tx: null,
+          before: Number(last.amount) / 10 ** dec,
+          after: Number(amount) / 10 ** dec,
+          signature: null,
+        });
+      } catch (e) {
+        console.warn(`[WATCH] Balance check ${wallet.slice(0, 8)} / ${mint.slice(0, 8)}:`, e.message);
+      }
+    }
+  }
+}
+
+// ─── Competitions ──────────────────────────────────────────────────────────────
+// "Biggest buy wins" contests per subscription. Config lives in the competitions
+// table (at most one draft/scheduled/running row per sub); standings are always
+// computed from the swaps log, so a restart mid-contest loses nothing.
+// Lifecycle: draft → scheduled (future start) → running → ended | cancelled.
+// Rules are frozen once launched — only the alert footer can still be toggled.
+const COMP_RANKING_LABELS = { single: '🥇 Largest buy', volume: '📦 Total volume' };
+const COMP_DEFAULT_DURATION_MS = 24 * 60 * 60 * 1000;
+const COMP_MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // inside the swaps retention window
+const LEADERBOARD_COOLDOWN_MS = 60 * 1000;              // /leaderboard in a group, per chat
+const MEDALS = ['🥇', '🥈', '🥉'];
+const leaderboardLastPosted = new Map(); // chatId → ts
+
+// "90m" / "24h" / "3d" → ms, or null
+function parseDuration(text) {
+  const m = text?.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|h|d)$/);
+  if (!m) return null;
+  const unit = { m: 60e3, min: 60e3, h: 3600e3, d: 86400e3 }[m[2]];
+  return Math.round(parseFloat(m[1]) * unit);
+}
+
+// 'now' → null (start at launch), 'YYYY-MM-DD HH:MM' (UTC) → ms, else undefined
+function parseStartTime(text) {
+  const t = text?.trim();
+  if (t?.toLowerCase() === 'now') return null;
+  const m = t?.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})$/);
+  if (!m) return undefined;
+  const ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]);
+  return Number.isNaN(ms) ? undefined : ms;
+}
+
+function formatUtc(ms) {
+  return new Date(ms).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+// 93 784 000 → "1d 2h 3m"
+function formatDuration(ms) {
+  const mins = Math.max(Math.round(ms / 60e3), 0);
+  const d = Math.floor(mins / 1440);
+  const h = Math.floor((mins % 1440) / 60);
+  const m = mins % 60;
+  return [d && `${d}d`, h && `${h}h`, (m || (!d && !h)) && `${m}m`].filter(Boolean).join(' ');
+}
+
+function competitionStandings(sub, comp, limit = 10) {
+  return store.competitionStandings(sub.tokenMint, {
+    since:     comp.startAt,
+    until:     Math.min(Date.now(), comp.endAt),
+    minBuyUsd: comp.minBuyUsd,
+    ranking:   comp.ranking,
+    dqOnSell:  comp.dqOnSell,
+    ...swapStatsFilter(sub),
+  }, limit);
+}
+
+function competitionRulesLine(comp) {
+  return (
+    `📏 ${COMP_RANKING_LABELS[comp.ranking]}` +
+    (comp.minBuyUsd > 0 ? ` | min buy ${formatUsd(comp.minBuyUsd)}` : '') +
+    (comp.dqOnSell ? ' | selling disqualifies' : '')
+  );
+}
+
+function formatStanding(chain, entry, i) {
+  const rank = MEDALS[i] || `${i + 1}.`;
+  return `${rank} <a href="${explorerUrl(chain, 'account', entry.wallet)}">${shortAddr(entry.wallet)}</a> — <b>${formatUsd(entry.score)}</b>` +
+    (entry.buys > 1 ? ` (${entry.buys} buys)` : '');
+}
+
+// Top-3 footer appended to buy alerts while a contest with the footer on is running
+function buildCompetitionFooter(sub) {
+  const comp = store.openCompetition(sub.id);
+  // Past endAt it's only waiting for the winners post
+  if (!comp || comp.status !== 'running' || !comp.showFooter || comp.endAt <= Date.now()) return '';
+  const { entries } = competitionStandings(sub, comp, 3);
+  return (
+    `\n🏆 <b>Competition</b> · ends in ${formatDuration(comp.endAt - Date.now())}\n` +
+    (entries.length > 0
+      ? entries.map((e, i) => `${MEDALS[i]} ${shortAddr(e.wallet)} ${formatUsd(e.score)}`).join(' · ')
+      : '<i>No qualifying buys yet — be the first!</i>') +
+    '\n'
+  );
+}
+
+function buildLeaderboardMessage(sub, comp) {
+  const name = escapeHtml(subName(sub));
+  if (comp.status === 'scheduled') {
+    return (
+      `🏆 <b>${name} Buy Competition</b>\n\n` +
+      `⏳ Starts ${formatUtc(comp.startAt)} (in ${formatDuration(comp.startAt - Date.now())})\n` +
+      `${competitionRulesLine(comp)}`
+    );
+  }
+  const { entries, entrants, disqualified } = competitionStandings(sub, comp, 10);
+  return (
+    `🏆 <b>${name} Buy Competition — Leaderboard</b>\n` +
+    `⏱ Ends ${formatUtc(comp.endAt)} (in ${formatDuration(comp.endAt - Date.now())})\n` +
+    `${competitionRulesLine(comp)}\n\n` +
+    (entries.length > 0 ? entries.map((e, i) => formatStanding(sub.chain, e, i)).join('\n') : '<i>No qualifying buys yet.</i>') +
+    `\n\n👥 Entrants: <b>${entrants}</b>` +
+    (disqualified > 0 ? ` | 🚫 Disqualified: <b>${disqualified}</b>` : '')
+  );
+}
+
+function buildWinnersMessage(sub, comp) {
+  const name = escapeHtml(subName(sub));
+  const winners = comp.winners || [];
+  return (
+    `🏁 <b>${name} Buy Competition — Results</b>\n` +
+    `${formatUtc(comp.startAt)} → ${formatUtc(comp.endAt)}\n` +
+    `${competitionRulesLine(comp)}\n\n` +
+    (winners.length > 0
+      ? `🎉 <b>Congratulations to the winners!</b>\n\n${winners.map((e, i) => formatStanding(sub.chain, e, i)).join('\n')}`
+      : '<i>No qualifying buys — no winners this time.</i>') +
+    (comp.disqualified > 0 ? `\n\n🚫 ${comp.disqualified} wallet(s) disqualified for selling` : '')
+  );
+}
+
+async function announceCompetitionStart(sub, comp) {
+  await tgRequest('sendMessage', {
+    chat_id: sub.chatId,
+    text:
+      `🏆 <b>${escapeHtml(subName(sub))} Buy Competition is LIVE!</b>\n\n` +
+      `⏱ Ends ${formatUtc(comp.endAt)} (in ${formatDuration(comp.endAt - Date.now())})\n` +
+      `${competitionRulesLine(comp)}\n\n` +
+      `Use /leaderboard to check the standings.`,
+    parse_mode: 'HTML',
+  });
+}
+
+// Freeze the final standings onto the row, then post them to the group
+// A contest stays 'running' past endAt until its winners are posted, so the
+// scheduler retries a failed post every minute. A chat that rejects the post
+// outright (400/403 — bot removed, chat gone) ends it anyway, and still throws.
+async function finishCompetition(sub, comp) {
+  const { entries, disqualified } = competitionStandings(sub, comp, 3);
+  comp.winners = entries;
+  let error = null;
+  try {
+    await tgRequest('sendMessage', {
+      chat_id: sub.chatId,
+      text: buildWinnersMessage(sub, { ...comp, disqualified }),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    });
+  } catch (e) {
+    if (e.code !== 400 && e.code !== 403) throw e;
+    error = e;
+  }
+  comp.status = 'ended';
+  store.saveCompetition(comp);
+  console.log(`[COMP] Ended id=${comp.id} sub=${sub.id} winners=${entries.length}${error ? ' (not posted)' : ''}`);
+  if (error) throw error;
+}
+
+// Runs every minute — starts scheduled contests and ends expired ones
+async function runCompetitionScheduler() {
+  const now = Date.now();
+  for (const comp of store.activeCompetitions()) {
+    const sub = findSub(comp.subId);
+    if (!sub) continue;
+    try {
+      if (comp.status === 'scheduled' && comp.startAt <= now) {
+        comp.status = 'running';
+        store.saveCompetition(comp);
+        await announceCompetitionStart(sub, comp);
+      } else if (comp.status === 'running' && comp.endAt <= now) {
+        await finishCompetition(sub, comp);
+      }
+    } catch (e) {
+      console.error(`[COMP] id=${comp.id} chat=${sub.chatId}:`, e.message);
+    }
+  }
+}
+
+// ─── Trending ──────────────────────────────────────────────────────────────────
+// Cross-group board: every mint with at least one active subscription is ranked
+// by buy volume × log2(1 + unique buyers) over the window, from the swaps log.
+// Anti-gaming: each group's ownerWallets and ignoredWallets never count for its
+// mint, bot-flagged swaps never count at all, and a mint needs
+// TRENDING_MIN_BUYERS unique buyers to rank. When
+// TRENDING_CHANNEL_ID is set the board is posted there once and then edited in
+// place every TRENDING_REFRESH_MIN minutes (message id kept in meta).
+const TRENDING_WINDOWS = { '1h': 60 * 60 * 1000, '6h': 6 * 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+const TRENDING = {
+  window:    TRENDING_WINDOWS[TRENDING_WINDOW] ? TRENDING_WINDOW : '6h',
+  minBuyers: Math.max(parseInt(TRENDING_MIN_BUYERS, 10) || 5, 1),
+  size:      Math.min(Math.max(parseInt(TRENDING_SIZE, 10) || 10, 3), 25),
+  refreshMs: Math.max(parseInt(TRENDING_REFRESH_MIN, 10) || 5, 1) * 60 * 1000,
+};
+const TRENDING_CACHE_MS = 60 * 1000; // alerts read the rank on every buy
+const trendingCache = new Map();     // window → { ts, stats: Map(mint → entry) }
+const trendingLastPosted = new Map(); // chatId → ts of the last /trending in a group
+
+// → Map(mint → { mint, name, usd, buys, buyers, score, rank | null }) for the window.
+// rank is null for mints below the buyer threshold or outside the board size.
+function computeTrending(windowKey = TRENDING.window) {
+  const cached = trendingCache.get(windowKey);
+  if (cached && Date.now() - cached.ts < TRENDING_CACHE_MS) return cached.stats;
+
+  const tracked = new Map(); // mint → { name, chain, excluded: Set<wallet> }
+  for (const s of loadStorage().subscriptions) {
+    if (s.settings.active !== true) continue;
+    const t = tracked.get(s.tokenMint) || { name: subName(s), chain: s.chain, excluded: new Set() };
+    for (const w of [...(s.settings.ownerWallets || []), ...(s.settings.ignoredWallets || [])]) t.excluded.add(w);
+    tracked.set(s.tokenMint, t);
+  }
+
+  const stats = new Map();
+  for (const row of store.buyVolumeByWallet(Date.now() - TRENDING_WINDOWS[windowKey])) {
+    const t = tracked.get(row.mint);
+    if (!t || !row.wallet || t.excluded.has(row.wallet)) continue;
+    const e = stats.get(row.mint) || { mint: row.mint, name: t.name, chain: t.chain, usd: 0, buys: 0, buyers: 0, score: 0, rank: null };
+    e.usd += row.usd;
+    e.buys += row.buys;
+    e.buyers++;
+    stats.set(row.mint, e);
+  }
+
+  const ranked = [...stats.values()]
+    .filter((e) => e.usd > 0 && e.buyers >= TRENDING.minBuyers)
+    .map((e) => Object.assign(e, { score: e.usd * Math.log2(1 + e.buyers) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TRENDING.size);
+  ranked.forEach((e, i) => { e.rank = i + 1; });
+
+  trendingCache.set(windowKey, { ts: Date.now(), stats });
+  return stats;
+}
+
+function trendingBoard(windowKey = TRENDING.window) {
+  return [...computeTrending(windowKey).values()].filter((e) => e.rank).sort((a, b) => a.rank - b.rank);
+}
+
+// "🔥 Trending #3 (6h)" line for alerts, or '' when unranked / turned off
+function trendingLine(sub) {
+  if (sub.settings.showTrendingRank === false) return '';
+  const rank = computeTrending().get(sub.tokenMint)?.rank;
+  return rank ? `🔥 Trending <b>#${rank}</b> (${TRENDING.window})\n` : '';
+}
+
+function buildTrendingBoard(windowKey = TRENDING.window) {
+  const board = trendingBoard(windowKey);
+  return (
+    `🔥 <b>Inu Trending — last ${windowKey}</b>\n\n` +
+    (board.length > 0
+      ? board.map((e) =>
+          `${MEDALS[e.rank - 1] || `${e.rank}.`} <a href="${chartUrl(e.chain, e.mint)}">${escapeHtml(e.name)}</a>` +
+          ` — <b>${formatUsd(e.usd)}</b> · ${e.buyers} buyers`
+        ).join('\n')
+      : `<i>Nothing trending yet — tokens need ${TRENDING.minBuyers}+ unique buyers.</i>`) +
+    `\n\n<i>Ranked by buy volume × unique buyers · updated ${formatUtc(Date.now()).slice(11)}</i>`
+  );
+}
+
+// Edit the channel board in place; post a fresh one if it's gone or the channel changed
+async function refreshTrendingBoard() {
+  if (!TRENDING_CHANNEL_ID) return;
+  const text = buildTrendingBoard();
+  const [chat, msgId] = (store.getMeta('trending_message') || '').split('|');
+  if (chat === TRENDING_CHANNEL_ID && msgId) {
+    try {
+      await tgRequest('editMessageText', {
+        chat_id: TRENDING_CHANNEL_ID, message_id: Number(msgId),
+        text, parse_mode: 'HTML', disable_web_page_preview: true,
+      });
+      return;
+    } catch (e) {
+      console.warn('[TRENDING] Edit failed — posting a new board:', e.message);
+    }
+  }
+  try {
+    const sent = await tgRequest('sendMessage', {
+      chat_id: TRENDING_CHANNEL_ID, text, parse_mode: 'HTML', disable_web_page_preview: true,
+    });
+    store.setMeta('trending_message', `${TRENDING_CHANNEL_ID}|${sent.message_id}`);
+  } catch (e) {
+    console.error('[TRENDING] Board post failed:', e.message);
+  }
+}
+
+// ─── Wallet Lookup ─────────────────────────────────────────────────────────────
+// /wallet <address> — a holder's position per token, from the buys and sells
+// tracked in wallet_positions (average-cost basis: sells book realised PnL at the
+// running average entry). Unrealised PnL marks what's left at getTokenPrice.
+const WALLET_COOLDOWN_MS = 10 * 1000;
+const walletLastPosted = new Map(); // `${chatId}|${wallet}` → ts of the last /wallet in a group
+
+// Per-token price — tiny memecoin prices need significant digits, not cents
+function formatTokenPrice(price) {
+  return price >= 1 ? `$${price.toFixed(2)}` : `$${price.toPrecision(4)}`;
+}
+
+function buildWalletPosition(sub, wallet, pos, price) {
+  const skip = botSkipReason(sub, wallet);
+  const head = `<b>${escapeHtml(subName(sub))}</b>` +
+    (skip ? `\n<i>${skip === 'ignored' ? 'Ignored in this group' : `Flagged as a bot (${BOT_REASONS[skip]})`} — left out of alerts and stats.</i>` : '');
+  if (!pos || !(pos.buys > 0 || pos.totalTokens > 0 || pos.realisedPnlUsd)) {
+    return `${head}\n<i>No tracked buys.</i>`;
+  }
+  const held = pos.totalTokens || 0;
+  const cost = pos.totalSpentUsd || 0;
+  const lines = [head];
+  if (held > 0) {
+    lines.push(`Holding: <b>${formatTokenAmount(held)}</b>${price ? ` (~${formatUsd(held * price)})` : ''}`);
+    lines.push(`Avg entry: <b>${formatTokenPrice(cost / held)}</b>${price ? ` · now ${formatTokenPrice(price)}` : ''}`);
+  } else {
+    lines.push('Holding: <b>0</b> <i>(sold out)</i>');
+  }
+  lines.push(`Realised PnL: <b>${formatSignedUsd(pos.realisedPnlUsd || 0)}</b>`);
+  if (held > 0) {
+    if (price) {
+      const unrealised = held * price - cost;
+      lines.push(`Unrealised PnL: <b>${formatSignedUsd(unrealised)}</b>${formatChangePct(cost, held * price)}`);
+    } else {
+      lines.push('Unrealised PnL: <i>price unavailable</i>');
+    }
+  }
+  lines.push(`Buys: <b>${pos.buys || 0}</b> · Sells: <b>${pos.sells || 0}</b>`);
+  if (pos.firstSeenAt) lines.push(`First seen: ${formatUtc(pos.firstSeenAt)} (${formatDuration(Date.now() - pos.firstSeenAt)} ago)`);
+  return lines.join('\n');
+}
+
+async function buildWalletMessage(chatId, wallet, subs) {
+  const blocks = [];
+  for (const sub of subs) {
+    const price = await getTokenPrice(sub.tokenMint);
+    blocks.push(buildWalletPosition(sub, wallet, getPosition(wallet, sub.tokenMint), price));
+  }
+  return (
+    `👛 <a href="${explorerUrl(subs[0].chain, 'account', wallet)}">${shortAddr(wallet)}</a>${walletTag(chatId, wallet)}\n\n` +
+    `${blocks.join('\n\n')}\n\n` +
+    `<i>From buys and sells seen since the bot started tracking each token.</i>`
+  );
+}
+
+// ─── Charts ────────────────────────────────────────────────────────────────────
+// /chart [1h|24h|7d] — candlestick PNG rendered locally (chartRenderer.js) from
+// the bot's own candles, so only trades seen since tracking began are shown.
+// Finer stored candles are merged into the display bucket.
+const CHART_RANGES = {
+  '1h':  { ms: 60 * 60 * 1000,          interval: '1m', bucketMs: 60 * 1000 },
+  '24h': { ms: 24 * 60 * 60 * 1000,     interval: '5m', bucketMs: 15 * 60 * 1000 },
+  '7d':  { ms: 7 * 24 * 60 * 60 * 1000, interval: '1h', bucketMs: 60 * 60 * 1000 },
+};
+const CHART_COOLDOWN_MS = 30 * 1000;
+const chartLastPosted = new Map(); // chatId → ts of the last /chart in a group
+
+function mergeCandles(candles, bucketMs) {
+  const merged = new Map(); // bucket start → candle
+  for (const c of candles) {
+    const start = Math.floor(c.start / bucketMs) * bucketMs;
+    const m = merged.get(start);
+    if (!m) { merged.set(start, { ...c, start }); continue; }
+    m.high = Math.max(m.high, c.high);
+    m.low = Math.min(m.low, c.low);
+    m.close = c.close;
+    m.volumeUsd += c.volumeUsd;
+    m.volumeSol += c.volumeSol;
+    m.trades += c.trades;
+  }
+  return [...merged.values()];
+}
+
+// → { photo: PNG Buffer, caption } or null when there are fewer than 2 trades
+function buildChart(sub, rangeKey) {
+  const range = CHART_RANGES[rangeKey];
+  const to = Date.now();
+  const from = Math.floor((to - range.ms) / range.bucketMs) * range.bucketMs;
+  const candles = mergeCandles(getCandles(sub.tokenMint, range.interval, { since: from, until: to, limit: MAX_CANDLES }), range.bucketMs);
+  const trades = candles.reduce((n, c) => n + c.trades, 0);
+  if (trades < 2) return null;
+
+  const first = candles[0];
+  const last = candles[candles.length - 1];
+  const high = Math.max(...candles.map((c) => c.high));
+  const low = Math.min(...candles.map((c) => c.low));
+  const volumeUsd = candles.reduce((n, c) => n + c.volumeUsd, 0);
+  const caption =
+    `📈 <b>${escapeHtml(subName(sub))}</b> — ${rangeKey}\n\n` +
+    `Price: <b>${formatTokenPrice(last.close)}</b>${formatChangePct(first.open, last.close)}\n` +
+    `High / Low: ${formatTokenPrice(high)} / ${formatTokenPrice(low)}\n` +
+    `Volume: <b>${formatUsd(volumeUsd)}</b> · ${trades} trades\n\n` +
+    `<a href="${chartUrl(sub.chain, sub.tokenMint)}">DexScreener</a>`;
+  return { photo: renderCandleChart(candles, { from, to, bucketMs: range.bucketMs }), caption };
+}
+
+// ─── User state machine (in-memory, ephemeral setup flow) ─────────────────────
+// States per userId:
+//   { step: 'awaiting_chain', groupChatId }
+//   { step: 'awaiting_mint',  groupChatId, chain }
+//   { step: 'awaiting_gif:<subId>',     msgId }
+//   { step: 'awaiting_minbuy:<subId>',  msgId }
+//   { step: 'awaiting_emoji:<subId>',   msgId }
+//   { step: 'awaiting_step:<subId>',    msgId }
+//   { step: 'awaiting_whale:<subId>',   msgId }
+//   { step: 'awaiting_minsell:<subId>', msgId }
+//   { step: 'awaiting_burst:<subId>',   msgId }
+//   { step: 'awaiting_digesthour:<subId>', msgId }
+//   { step: 'awaiting_digesttz:<subId>',   msgId }
+//   { step: 'awaiting_msholders:<subId>',  msgId }
+//   { step: 'awaiting_msmcap:<subId>',     msgId }
+//   { step: 'awaiting_msmedia:<subId>',    msgId }
+//   { step: 'awaiting_compstart:<subId>',  msgId }
+//   { step: 'awaiting_compdur:<subId>',    msgId }
+//   { step: 'awaiting_compmin:<subId>',    msgId }
+//   { step: 'awaiting_ownerwallets:<subId>', msgId }
+//   { step: 'awaiting_labeladd:<subId>',   msgId }
+//   { step: 'awaiting_labelrm:<subId>',    msgId }
+//   { step: 'awaiting_labelmute:<subId>',  msgId }
+//   { step: 'awaiting_ignoreadd:<subId>',  msgId }
+//   { step: 'awaiting_ignorerm:<subId>',   msgId }
+//   { step: 'awaiting_linktg:<subId>',  msgId }
+//   { step: 'awaiting_supply:<subId>',  msgId }
+//   { step: 'awaiting_supplyexcl:<subId>', msgId }
+//   { step: 'awaiting_transfers:<subId>',  msgId }
+//   { step: 'awaiting_lpmin:<subId>',      msgId }
+//   { step: 'awaiting_lprug:<subId>',      msgId }
+//   { step: 'awaiting_lpdeployer:<subId>', msgId }
+//   { step: 'awaiting_watchadd:<subId>',   msgId }
+//   { step: 'awaiting_watchrm:<subId>',    msgId }
+const userStates = new Map();
+
+// Setup wizard chain picker — callback chain_<'solana' | EVM_CHAINS key>
+const CHAIN_KEYBOARD = [
+  [{ text: 'Solana', callback_data: 'chain_solana' }],
+  Object.entries(EVM_CHAINS).map(([id, c]) => ({ text: c.name, callback_data: `chain_${id}` })),
+];
+
+// ─── Bot Setup ─────────────────────────────────────────────────────────────────
+let botUsername = '';
+const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true });
+
+// /start — regular help or deep-link setup from group
+bot.onText(/\/start(?:\s+(.+))?/, async (msg, match) => {
+  const tag = msg.text?.match(/^\/start@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+
+  const userId = String(msg.from.id);
+  const dmChatId = String(msg.chat.id);
+  const param = match?.[1]?.trim();
+
+  if (param?.startsWith('setup_')) {
+    const groupChatId = param.slice(6);
+    if (!(await canManageChat(userId, groupChatId))) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: NOT_ADMIN_TEXT });
+      return;
+    }
+    userStates.set(userId, { step: 'awaiting_chain', groupChatId });
+    await tgRequest('sendMessage', {
+      chat_id: dmChatId,
+      text: '🐕 <b>Inu Buy Bot Setup</b>\n\nGM! Please select the chain of your token:',
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: CHAIN_KEYBOARD },
+    });
+  } else if (param?.startsWith('join_')) {
+    const code = param.slice(5);
+    const storage = loadStorage();
+    const sub = storage.subscriptions.find((s) => s.invites?.some((i) => i.code === code));
+    const invite = sub?.invites.find((i) => i.code === code);
+    if (!invite || invite.expiresAt < Date.now()) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ This invite link is invalid or has expired.' });
+      return;
+    }
+    // Invites are one-time — consume before granting
+    sub.invites = sub.invites.filter((i) => i.code !== code);
+    const name = memberName(msg.from);
+    sub.managers = (sub.managers || []).filter((m) => m.userId !== userId);
+    sub.managers.push({ userId, role: invite.role, name, addedAt: Date.now() });
+    saveSub(sub);
+    console.log(`[TEAM] user=${userId} joined sub=${sub.id} as ${invite.role}`);
+
+    await tgRequest('sendMessage', {
+      chat_id: dmChatId,
+      text: `✅ You are now a <b>${ROLE_LABELS[invite.role]}</b> for <b>${escapeHtml(subName(sub))}</b>.`,
+      parse_mode: 'HTML',
+    });
+    await showSettings(dmChatId, sub);
+    try {
+      await tgRequest('sendMessage', {
+        chat_id: invite.createdBy,
+        text: `👥 ${escapeHtml(name)} joined <b>${escapeHtml(subName(sub))}</b> as ${ROLE_LABELS[invite.role]}.`,
+        parse_mode: 'HTML',
+      });
+    } catch { /* inviter may have blocked the bot */ }
+  } else if (param?.startsWith('settings_')) {
+    const groupChatId = param.slice(9);
+    const subs = findSubsForChat(groupChatId);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', {
+        chat_id: dmChatId,
+        text: '❌ No token set up for that group yet. Use /add in the group first.',
+      });
+      return;
+    }
+    const allowed = await accessibleSubs(userId, subs);
+    if (allowed.length === 0) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: NOT_ADMIN_TEXT });
+      return;
+    }
+    await showSettingsOrPicker(dmChatId, allowed);
+  } else {
+    await tgRequest('sendMessage', {
+      chat_id: dmChatId,
+      text:
+        '🐕 <b>Inu Buy Bot</b>\n\n' +
+        'Woof! Add me to your group and type /add to set up real-time buy alerts.\n\n' +
+        '<b>Commands:</b>\n' +
+        '/add — Set up buy alerts (use in your group)\n' +
+        '/settings — Manage settings (group or DM)\n' +
+        '/digest — Buy recap for your token(s) — add <code>weekly</code> for 7 days\n' +
+        '/leaderboard — Buy competition standings (in your group)\n' +
+        '/trending — Top tokens across all groups — add <code>1h</code>, <code>6h</code> or <code>24h</code>\n' +
+        '/wallet <code>address</code> — A holder\'s entry, holdings and PnL\n' +
+        '/chart — Price chart for your token — add <code>1h</code>, <code>24h</code> or <code>7d</code>',
+      parse_mode: 'HTML',
+    });
+  }
+});
+
+// /add — send "Add Token" button in the group
+bot.onText(/\/add/, async (msg) => {
+  // Ignore if tagged at a different bot
+  const tag = msg.text?.match(/^\/add@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+
+  if (msg.chat.type === 'private') {
+    await tgRequest('sendMessage', {
+      chat_id: String(msg.chat.id),
+      text: 'Use /add inside the group or channel where you want buy alerts.',
+    });
+    return;
+  }
+  const groupChatId = String(msg.chat.id);
+
+  // Anonymous admins post as the group itself — there's no user to verify or DM
+  if (msg.sender_chat) {
+    await tgRequest('sendMessage', {
+      chat_id: groupChatId,
+      text: '⛔ Anonymous admins can\'t be verified. Turn off "Remain Anonymous" and send /add again.',
+    });
+    return;
+  }
+  if (!(await canManageChat(String(msg.from.id), groupChatId))) {
+    await tgRequest('sendMessage', {
+      chat_id: groupChatId,
+      text: '⛔ Only group admins can set up buy alerts.',
+      reply_to_message_id: msg.message_id,
+    });
+    return;
+  }
+
+  const link = `https://t.me/${botUsername}?start=setup_${groupChatId}`;
+  await tgRequest('sendMessage', {
+    chat_id: groupChatId,
+    text: '🐕 <b>Inu Buy Bot</b>\n\nClick below to add a token for buy alerts! A group can track several tokens.',
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[{ text: '🐾 Add Token', url: link }]],
+    },
+  });
+});
+
+// /settings — show settings panel (works in group or DM)
+bot.onText(/\/settings/, async (msg) => {
+  const tag = msg.text?.match(/^\/settings@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  const userId = String(msg.from.id);
+  const chatId = String(msg.chat.id);
+
+  // In a group: send a deep-link button to open settings in DM
+  if (msg.chat.type !== 'private') {
+    const subs = findSubsForChat(chatId);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add first.' });
+      return;
+    }
+    const link = `https://t.me/${botUsername}?start=settings_${chatId}`;
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text: `🐕 <b>Inu Buy Bot — Settings</b>\n\nClick below to manage settings for <b>${subs.map(subName).join('</b>, <b>')}</b>`,
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: '⚙️ Open Settings', url: link }]],
+      },
+    });
+    return;
+  }
+
+  // In DM: show settings directly
+  const storage = loadStorage();
+  const candidates = storage.subscriptions.filter((s) =>
+    s.ownerId === userId || s.managers?.some((m) => m.userId === userId)
+  );
+  // Drop subs whose group no longer lists this user as an admin (co-managers always stay)
+  const subs = await accessibleSubs(userId, candidates);
+  if (subs.length === 0) {
+    await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add in your group first.' });
+    return;
+  }
+  await showSettingsOrPicker(chatId, subs);
+});
+
+// /cancel — abort any active input state
+bot.onText(/\/cancel/, async (msg) => {
+  const tag = msg.text?.match(/^\/cancel@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  if (msg.chat.type !== 'private') return;
+  userStates.delete(String(msg.from.id));
+  await tgRequest('sendMessage', { chat_id: String(msg.chat.id), text: '❌ Cancelled.' });
+});
+
+// /status — show system status (DM only)
+bot.onText(/\/status/, async (msg) => {
+  const tag = msg.text?.match(/^\/status@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  if (msg.chat.type !== 'private') return;
+  const chatId = String(msg.chat.id);
+  const storage = loadStorage();
+  const subs = storage.subscriptions;
+
+  // Group subscriptions by chat so multi-token groups read as one block
+  const byChat = new Map();
+  for (const s of subs) {
+    if (!byChat.has(s.chatId)) byChat.set(s.chatId, []);
+    byChat.get(s.chatId).push(s);
+  }
+  const subLines = subs.length === 0
+    ? '  <i>No subscriptions</i>'
+    : [...byChat.entries()].map(([c, chatSubs]) =>
+        `  • chat: <code>${c}</code> (${chatSubs.length} token${chatSubs.length !== 1 ? 's' : ''})\n` +
+        chatSubs.map((s) =>
+          `    ↳ <b>${subName(s)}</b> <code>${s.tokenMint}</code>${s.chain !== 'solana' ? ` [${chainInfo(s.chain).tag}]` : ''}\n` +
+          `      active: ${s.settings.active === true ? '▶️ yes' : '⏸ no'} | minBuy: $${s.settings.minBuyUsd} | ` +
+          `mcap: ${MCAP_SOURCE_LABELS[mcapCache.get(mcapKey(s.tokenMint, s.settings.supplyExclusions || []))?.source] || 'not fetched'}`
+        ).join('\n')
+      ).join('\n');
+
+  const tgDepth = tgQueueDepth();
+  const wsStateNames = ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'];
+  const wsLines = wsConnections.size === 0
+    ? '  <i>No active WebSocket connections</i>'
+    : [...wsConnections.entries()].map(([m, w]) => {
+        const state = wsStateNames[w.readyState] ?? '?';
+        const lastAct = wsLastActivity.get(m);
+        const ageSec = lastAct ? Math.round((Date.now() - lastAct) / 1000) : null;
+        const ageStr = ageSec != null ? `${ageSec}s ago` : 'never';
+        const health = w._healthCheckPending ? ' ⚠️ health check pending' : '';
+        return `  • <code>${m.slice(0, 8)}</code> ${state} | last msg: ${ageStr}${health}`;
+      }).join('\n');
+
+  const text =
+    `🐕 <b>Inu Buy Bot — Status</b>\n\n` +
+    `💾 Storage: <code>${DB_FILE}</code> (schema v${store.schemaVersion()})\n` +
+    `📡 Helius webhook ID: <code>${storage.webhookId || 'none'}</code>\n` +
+    `💰 SOL price: <b>${solPriceStatusLine()}</b>\n` +
+    `    ${solOracle.health().map((h) =>
+      `${h.error ? '❌' : h.outlier ? '⚠️' : '✅'} ${h.name}${h.failures > 1 ? ` (${h.failures} fails)` : ''}`).join(' | ')}\n` +
+    `💱 Quote tokens: ${[...QUOTE_MINTS.entries()].filter(([, q]) => !q.evm).map(([m, q]) =>
+      q.stable ? q.symbol : `${q.symbol} ($${quotePrices.get(m)?.toPrecision(4) ?? '?'})`).join(', ')}\n` +
+    `🌐 Webhook URL: <code>${getWebhookURL()}</code>\n` +
+    `🔌 Seen sigs: ${seenSignatures.size} | Pending: ${pendingSigs.size}\n` +
+    `📤 TG queue: ${tgDepth.depth} queued in ${tgDepth.busy} chat(s) | sent ${tgStats.sent} | ` +
+    `429s ${tgStats.rateLimited} | retries ${tgStats.retried} | dropped ${tgStats.dropped} | failed ${tgStats.failed}\n` +
+    `🏦 DEX registry: ${dexRegistry.size()} programs across ${dexRegistry.venues().length} venues\n` +
+    `⛓ EVM: ${evmWatchers.size === 0 ? '<i>no tokens tracked</i>' : [...evmWatchers.values()].map((w) => {
+      const st = w.status();
+      return `${st.chain} ${st.tokens} token(s) / ${st.pools} pool(s), block ${st.lastBlock ?? '?'}, ws ${st.ws}` +
+        (st.lastError ? ` ⚠️ ${escapeHtml(st.lastError.slice(0, 60))}` : '');
+    }).join(' | ')}${ethPriceUsd > 0 ? ` | ETH $${ethPriceUsd.toFixed(2)}` : ''}\n` +
+    `🤖 Suppressed since start: ${Object.entries(suppressionStats).map(([r, n]) => `${BOT_REASONS[r] || 'ignore list'} ${n}`).join(' | ')}\n` +
+    `    ${botDetector.flaggedCount()} wallet(s) flagged | ${botDetector.programCount()} MEV program(s) configured | round trip ≤ ${BOT_ROUND_TRIP_SEC}s ×${BOT_MIN_TRIPS}/h\n` +
+    `🏆 Competitions: ${store.activeCompetitions().filter((c) => c.status === 'running').length} running\n\n` +
+    `<b>WebSocket connections (${wsConnections.size}):</b>\n${wsLines}\n\n` +
+    `<b>Subscriptions (${subs.length} in ${byChat.size} chat${byChat.size !== 1 ? 's' : ''}):</b>\n${subLines}`;
+
+  await tgRequest('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML' });
+});
+
+// /digest [daily|weekly] — recap on demand. In a group it posts there (rate
+// limited per token); in DM it sends the recap for every token you manage.
+bot.onText(/\/digest(?:@\w+)?(?:\s+(\w+))?/, async (msg, match) => {
+  const tag = msg.text?.match(/^\/digest@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  const userId = String(msg.from.id);
+  const chatId = String(msg.chat.id);
+  const requested = match?.[1]?.toLowerCase();
+  const periodFor = (sub) =>
+    DIGEST_PERIODS[requested] ? requested : DIGEST_PERIODS[sub.settings.digest] ? sub.settings.digest : 'daily';
+
+  let subs;
+  if (msg.chat.type !== 'private') {
+    subs = findSubsForChat(chatId);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add first.' });
+      return;
+    }
+    subs = subs.filter((s) => Date.now() - (digestLastManual.get(s.id) || 0) >= DIGEST_COOLDOWN_MS);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '⏳ A digest was just posted — try again in a few minutes.' });
+      return;
+    }
+    for (const s of subs) digestLastManual.set(s.id, Date.now());
+  } else {
+    const candidates = loadStorage().subscriptions.filter((s) =>
+      s.ownerId === userId || s.managers?.some((m) => m.userId === userId)
+    );
+    subs = await accessibleSubs(userId, candidates);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add in your group first.' });
+      return;
+    }
+  }
+
+  for (const sub of subs) {
+    try {
+      await sendDigest(sub, chatId, periodFor(sub));
+    } catch (e) {
+      console.error(`[DIGEST] /digest chat=${chatId} sub=${sub.id}:`, e.message);
+    }
+  }
+});
+
+// /wallet <address> — position, PnL and trade counts for a holder. In a group it
+// covers the group's tokens; in DM every tracked token the wallet has traded.
+bot.onText(/\/wallet(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+  const tag = msg.text?.match(/^\/wallet@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  const chatId = String(msg.chat.id);
+  const wallet = match?.[1] && parseAnyAddress(match[1]);
+  if (!wallet) {
+    await tgRequest('sendMessage', {
+      chat_id: chatId,
+      text: 'ℹ️ Usage: <code>/wallet &lt;address&gt;</code>',
+      parse_mode: 'HTML',
+    });
+    return;
+  }
+
+  let subs;
+  if (msg.chat.type !== 'private') {
+    subs = findSubsForChat(chatId);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add first.' });
+      return;
+    }
+    subs = subs.filter((s) => parseAddress(s.chain, wallet));
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ That address isn\'t on a chain this group tracks.' });
+      return;
+    }
+    const key = `${chatId}|${wallet}`;
+    if (Date.now() - (walletLastPosted.get(key) || 0) < WALLET_COOLDOWN_MS) return;
+    walletLastPosted.set(key, Date.now());
+  } else {
+    // One entry per tracked mint — the first subscription stands in for its name
+    const byMint = new Map();
+    for (const s of loadStorage().subscriptions) {
+      if (!byMint.has(s.tokenMint) && getPosition(wallet, s.tokenMint)) byMint.set(s.tokenMint, s);
+    }
+    subs = [...byMint.values()];
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '👛 No tracked trades for that wallet yet.' });
+      return;
+    }
+  }
+
+  await tgRequest('sendMessage', {
+    chat_id: chatId,
+    text: await buildWalletMessage(chatId, wallet, subs),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+});
+
+// /chart [1h|24h|7d] — price chart image for the group's token(s). In DM it
+// covers every token you manage.
+bot.onText(/\/chart(?:@\w+)?(?:\s+(\w+))?/, async (msg, match) => {
+  const tag = msg.text?.match(/^\/chart@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  const userId = String(msg.from.id);
+  const chatId = String(msg.chat.id);
+  const requested = match?.[1]?.toLowerCase();
+  const rangeKey = CHART_RANGES[requested] ? requested : '24h';
+
+  let subs;
+  if (msg.chat.type !== 'private') {
+    subs = findSubsForChat(chatId);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add first.' });
+      return;
+    }
+    if (Date.now() - (chartLastPosted.get(chatId) || 0) < CHART_COOLDOWN_MS) return;
+    chartLastPosted.set(chatId, Date.now());
+  } else {
+    const candidates = loadStorage().subscriptions.filter((s) =>
+      s.ownerId === userId || s.managers?.some((m) => m.userId === userId)
+    );
+    subs = await accessibleSubs(userId, candidates);
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add in your group first.' });
+      return;
+    }
+  }
+
+  for (const sub of subs) {
+    try {
+      await refreshTokenName(sub);
+      const chart = buildChart(sub, rangeKey);
+      if (!chart) {
+        await tgRequest('sendMessage', {
+          chat_id: chatId,
+          text: `📈 Not enough trades for <b>${escapeHtml(subName(sub))}</b> in the last ${rangeKey} to draw a chart yet.`,
+          parse_mode: 'HTML',
+        });
+        continue;
+      }
+      await tgRequest('sendPhoto', { chat_id: chatId, photo: chart.photo, caption: chart.caption, parse_mode: 'HTML' });
+    } catch (e) {
+      console.error(`[CHART] chat=${chatId} sub=${sub.id}:`, e.message);
+    }
+  }
+});
+
+// /trending [1h|6h|24h] — the cross-group board, anywhere
+bot.onText(/\/trending(?:@\w+)?(?:\s+(\w+))?/, async (msg, match) => {
+  const tag = msg.text?.match(/^\/trending@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  const chatId = String(msg.chat.id);
+  const requested = match?.[1]?.toLowerCase();
+  const windowKey = TRENDING_WINDOWS[requested] ? requested : TRENDING.window;
+  if (msg.chat.type !== 'private') {
+    if (Date.now() - (trendingLastPosted.get(chatId) || 0) < LEADERBOARD_COOLDOWN_MS) return;
+    trendingLastPosted.set(chatId, Date.now());
+  }
+  await tgRequest('sendMessage', {
+    chat_id: chatId,
+    text: buildTrendingBoard(windowKey),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+});
+
+// /leaderboard — live standings of the group's competition(s), or the last results
+bot.onText(/\/leaderboard/, async (msg) => {
+  const tag = msg.text?.match(/^\/leaderboard@(\w+)/i)?.[1]?.toLowerCase();
+  if (tag && tag !== botUsername?.toLowerCase()) return;
+  const chatId = String(msg.chat.id);
+  if (msg.chat.type === 'private') {
+    await tgRequest('sendMessage', { chat_id: chatId, text: 'ℹ️ Use /leaderboard in your group.' });
+    return;
+  }
+  const subs = findSubsForChat(chatId);
+  if (subs.length === 0) {
+    await tgRequest('sendMessage', { chat_id: chatId, text: '❌ No token set up yet. Use /add first.' });
+    return;
+  }
+  if (Date.now() - (leaderboardLastPosted.get(chatId) || 0) < LEADERBOARD_COOLDOWN_MS) return;
+  leaderboardLastPosted.set(chatId, Date.now());
+
+  const boards = subs.map((sub) => {
+    const comp = store.openCompetition(sub.id);
+    if (comp && comp.status !== 'draft') return buildLeaderboardMessage(sub, comp);
+    const last = store.lastEndedCompetition(sub.id);
+    return last ? buildWinnersMessage(sub, last) : null;
+  }).filter(Boolean);
+
+  await tgRequest('sendMessage', {
+    chat_id: chatId,
+    text: boards.length > 0 ? boards.join('\n\n') : '🏆 No competition running. Admins can start one from /settings.',
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+});
+
+// ─── Callback query handler (all button presses) ───────────────────────────────
+// Resolve which sub/group a settings callback acts on, or null for callbacks that
+// don't touch a subscription. { chatId: undefined } means the sub no longer exists.
+function callbackTarget(data) {
+  const bySub = data.match(/^(set_\w+|icon_\w+|confirm_remove|back_settings|pick_sub|team_inv|team_rm|dex_toggle|digest_freq|digest_now|comp_\w+|trend_rank|bot_toggle|ms_ath|ms_grad|lp_toggle|rug_toggle|watch_toggle):([^:]+)/);
+  if (bySub) {
+    const sub = findSub(bySub[2]);
+    return { action: bySub[1], sub, chatId: sub?.chatId };
+  }
+  const byChat = data.match(/^(pick_chat|add_token):(.+)$/);
+  if (byChat) return { action: byChat[1], sub: null, chatId: byChat[2] };
+  return null;
+}
+
+// Minimum role per callback action — anything unlisted needs 'manager'
+const CALLBACK_ACCESS = {
+  set_preview:    'viewer',
+  set_icons:      'viewer',
+  set_dexes:      'viewer',
+  set_digest:     'viewer',
+  set_milestones: 'viewer',
+  set_comp:       'viewer',
+  set_trending:   'viewer',
+  set_labels:     'viewer',
+  set_botfilter:  'viewer',
+  set_liquidity:  'viewer',
+  set_watch:      'viewer',
+  comp_board:     'viewer',
+  back_settings:  'viewer',
+  pick_sub:       'viewer',
+  pick_chat:      'viewer',
+  set_remove:     'admin',
+  confirm_remove: 'admin',
+  set_team:       'admin',
+  team_inv:       'admin',
+  team_rm:        'admin',
+  add_token:      'admin',
+};
+
+bot.on('callback_query', async (query) => {
+  const userId = String(query.from.id);
+  const dmChatId = String(query.message.chat.id);
+  const msgId = query.message.message_id;
+  const data = query.data;
+
+  // ── Permission gate — admins, or co-managers with a sufficient role ──
+  const target = callbackTarget(data);
+  if (target?.chatId) {
+    const needed = CALLBACK_ACCESS[target.action] ?? 'manager';
+    const access = target.sub
+      ? await getSubAccess(userId, target.sub)
+      : await getChatAccess(userId, target.chatId);
+    if (!hasAccess(access, needed)) {
+      console.warn(`[ADMIN] Refused callback "${data}" from user=${userId} role=${access || 'none'}`);
+      await tgRequest('answerCallbackQuery', {
+        callback_query_id: query.id,
+        text: access ? `⛔ Your ${ROLE_LABELS[access]} role can't do that.` : NOT_ADMIN_TEXT,
+        show_alert: true,
+      });
+      return;
+    }
+  }
+
+  // ── Chain selection ──
+  const chainPick = data.match(/^chain_(\w+)$/)?.[1];
+  if (chainPick === 'solana' || EVM_CHAINS[chainPick]) {
+    const state = userStates.get(userId);
+    if (!state) {
+      await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+      return;
+    }
+    state.step = 'awaiting_mint';
+    state.chain = chainPick;
+    userStates.set(userId, state);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    await tgRequest('editMessageText', {
+      chat_id: dmChatId,
+      message_id: msgId,
+      text: `🐾 <b>Send the token address to track [${chainInfo(chainPick).tag}]</b>\n\nPaste the contract address below:`,
+      parse_mode: 'HTML',
+    });
+    return;
+  }
+
+  // ── Settings buttons ──
+  if (data.startsWith('set_')) {
+    const colonIdx = data.indexOf(':');
+    const key = data.slice(4, colonIdx);         // e.g. 'gif', 'minbuy'
+    const subId = data.slice(colonIdx + 1);    // e.g. 'a1b2c3d4'
+
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+
+    const sub = findSub(subId);
+    if (!sub) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ Subscription not found.' });
+      return;
+    }
+
+    switch (key) {
+      case 'gif':
+        if (sub.settings.gif) {
+          sub.settings.gif = null;
+          saveSub(sub);
+          await refreshSettings(dmChatId, msgId, sub);
+        } else {
+          userStates.set(userId, { step: `awaiting_gif:${subId}`, msgId });
+          await tgRequest('sendMessage', {
+            chat_id: dmChatId,
+            text: '🖼 Send a GIF or image to show with every buy alert.\nSend /cancel to abort.',
+          });
+        }
+        break;
+
+      case 'minbuy':
+        userStates.set(userId, { step: `awaiting_minbuy:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `💵 Enter the minimum buy amount in USD.\nBuys below this are ignored.\n\n` +
+            `Current: <b>$${sub.settings.minBuyUsd}</b> — send <code>0</code> to disable.\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'emoji':
+        userStates.set(userId, { step: `awaiting_emoji:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🎨 Send an emoji to use in buy alert headers.\n\n` +
+            `Current: <b>${sub.settings.emoji}</b>\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'step':
+        userStates.set(userId, { step: `awaiting_step:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `📊 Enter the step size in USD — one emoji is added per step.\n\n` +
+            `Current: <b>${sub.settings.stepUsd > 0 ? '$' + sub.settings.stepUsd : 'Auto ($10/emoji)'}</b>\n\n` +
+            `Send <code>0</code> for auto-scale ($10/emoji), or a dollar amount e.g. <code>25</code>.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'links': {
+        const currentLinks = sub.settings.links || [];
+        userStates.set(userId, {
+          step: `awaiting_links:${subId}`,
+          msgId,
+          linkPhase: 'url',
+          linkIdx: 0,
+          linkDraft: [],
+        });
+        let prompt = '🔗 <b>Custom Links Setup</b>\n\nSet up to 3 links shown on every buy alert.\n\n';
+        if (currentLinks.length > 0) {
+          prompt += '<b>Current links:</b>\n' +
+            currentLinks.map((l, i) => `  ${i + 1}. <b>${l.label}</b> — ${l.url}`).join('\n') +
+            '\n\n';
+        }
+        prompt += `Send a URL for <b>Link 1</b>\n(type <code>skip</code> to skip this slot, /cancel to abort):`;
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: prompt,
+          parse_mode: 'HTML',
+          disable_web_page_preview: true,
+        });
+        break;
+      }
+
+      case 'active':
+        sub.settings.active = !sub.settings.active;
+        saveSub(sub);
+        await tgRequest('answerCallbackQuery', {
+          callback_query_id: query.id,
+          text: sub.settings.active ? '▶️ Alerts started! Woof!' : '⏸ Alerts paused.',
+          show_alert: true,
+        });
+        await refreshSettings(dmChatId, msgId, sub);
+        return;
+
+      case 'mode':
+        sub.settings.alertMode = ALERT_MODE_CYCLE[sub.settings.alertMode || 'buys'];
+        saveSub(sub);
+        await refreshSettings(dmChatId, msgId, sub);
+        break;
+
+      case 'minsell':
+        userStates.set(userId, { step: `awaiting_minsell:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🔻 Enter the minimum sell amount in USD.\nSells below this are ignored.\n\n` +
+            `Current: <b>$${sub.settings.minSellUsd ?? 1}</b> — send <code>0</code> to disable.\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'price':
+        sub.settings.showPrice = !sub.settings.showPrice;
+        saveSub(sub);
+        await refreshSettings(dmChatId, msgId, sub);
+        break;
+
+      case 'whale':
+        if (sub.settings.whaleUsd > 0) {
+          sub.settings.whaleUsd = 0;
+          saveSub(sub);
+          await refreshSettings(dmChatId, msgId, sub);
+        } else {
+          userStates.set(userId, { step: `awaiting_whale:${subId}`, msgId });
+          await tgRequest('sendMessage', {
+            chat_id: dmChatId,
+            text:
+              `🐋 Enter the USD threshold for whale alerts.\nBuys above this get special 🐋 formatting.\n\n` +
+              `/cancel to abort.`,
+            parse_mode: 'HTML',
+          });
+        }
+        break;
+
+      case 'burst':
+        if (sub.settings.burstMode) {
+          sub.settings.burstMode = false;
+          saveSub(sub);
+          await refreshSettings(dmChatId, msgId, sub);
+        } else {
+          userStates.set(userId, { step: `awaiting_burst:${subId}`, msgId });
+          await tgRequest('sendMessage', {
+            chat_id: dmChatId,
+            text:
+              `⚡ Enter the burst window in seconds (5–600).\n` +
+              `Buys landing within the window are posted as one summary; whale buys still post instantly.\n\n` +
+              `/cancel to abort.`,
+            parse_mode: 'HTML',
+          });
+        }
+        break;
+
+      case 'linktg':
+        userStates.set(userId, { step: `awaiting_linktg:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🔗 Send your project's Telegram link.\nIt will appear as a button on every buy alert.\n\n` +
+            `Current: <b>${sub.settings.linkTg || 'Not set'}</b>\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'supply':
+        userStates.set(userId, { step: `awaiting_supply:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🔄 Enter the circulating supply (used to calculate market cap).\n\n` +
+            `Current: <b>${sub.settings.circSupply > 0 ? sub.settings.circSupply.toLocaleString() : 'Not set'}</b>\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'supplyexcl': {
+        userStates.set(userId, { step: `awaiting_supplyexcl:${subId}`, msgId });
+        const current = sub.settings.supplyExclusions || [];
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🔥 Send the burn / locked wallets (or token accounts) to leave out of circulating supply, ` +
+            `separated by spaces or new lines. The incinerator address is always excluded.\n\n` +
+            `Current: ${current.length > 0 ? current.map((a) => `<code>${a}</code>`).join(', ') : '<b>None</b>'}\n\n` +
+            `Send <code>clear</code> to remove them all.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+      }
+
+      case 'transfers':
+        if (sub.settings.transferAlerts) {
+          sub.settings.transferAlerts = false;
+          saveSub(sub);
+          await refreshSettings(dmChatId, msgId, sub);
+        } else {
+          userStates.set(userId, { step: `awaiting_transfers:${subId}`, msgId });
+          await tgRequest('sendMessage', {
+            chat_id: dmChatId,
+            text:
+              `🔀 Enter the USD threshold for transfer alerts, e.g. <code>10000</code>.\n` +
+              `Wallet-to-wallet moves of the token above this are posted. Moves out of team wallets ` +
+              `(your owner wallets, or wallets labelled Team / Treasury) are tagged.\n\n` +
+              `<b>Exchange deposits are only recognised for wallets this group labels <code>CEX</code></b> — ` +
+              `every exchange user has their own deposit address, so other deposits look like any transfer. ` +
+              `Moves into known exchange hot wallets are tagged as hot-wallet inflows (usually the exchange sweeping deposits).\n\n` +
+              `<i>Only transfers that reference the token's mint are seen — wallets and exchanges using a plain ` +
+              `SPL Transfer (no mint) won't show up. Add wallets to 🕵️ Dev Watch to follow them by balance.</i>\n\n` +
+              `/cancel to abort.`,
+            parse_mode: 'HTML',
+          });
+        }
+        break;
+
+      case 'liquidity':
+        await showLiquidity(dmChatId, msgId, sub);
+        break;
+
+      case 'lpmin':
+        userStates.set(userId, { step: `awaiting_lpmin:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `💵 Enter the smallest liquidity change in USD (both sides of the pool) to post, e.g. <code>1000</code>.\n` +
+            `Rug warnings ignore this minimum.\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'lprug':
+        userStates.set(userId, { step: `awaiting_lprug:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `⚠️ Enter the share of the pool (1–100%) a single removal must take to raise a rug warning.\n` +
+            `Send <code>0</code> to warn on deployer removals only.\n\n` +
+            `Current: <b>${sub.settings.rugWarnPct}%</b>\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'lpdeployer':
+        userStates.set(userId, { step: `awaiting_lpdeployer:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `👤 Send the deployer wallet — any liquidity it removes raises a rug warning.\n` +
+            `Send <code>auto</code> to use the wallet that created the token.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'icons':
+        await showIcons(dmChatId, msgId, sub);
+        break;
 
-  await tgRequest('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML' });
-});
+      case 'team':
+        await showTeam(dmChatId, msgId, sub);
+        break;
 
-// ─── Callback query handler (all button presses) ───────────────────────────────
-bot.on('callback_query', async (query) => {
-  const userId = String(query.from.id);
-  const dmChatId = String(query.message.chat.id);
-  const msgId = query.message.message_id;
-  const data = query.data;
+      case 'dexes':
+        await showDexes(dmChatId, msgId, sub);
+        break;
 
-  // ── Chain selection ──
-  if (data === 'chain_solana') {
-    const state = userStates.get(userId);
-    if (!state) {
-      await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
-      return;
-    }
-    state.step = 'awaiting_mint';
-    userStates.set(userId, state);
-    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
-    await tgRequest('editMessageText', {
-      chat_id: dmChatId,
-      message_id: msgId,
-      text: '🐾 <b>Send the token address to track [SOL]</b>\n\nPaste the contract address below:',
-      parse_mode: 'HTML',
-    });
-    return;
-  }
+      case 'digest':
+        await showDigest(dmChatId, msgId, sub);
+        break;
 
-  // ── Settings buttons ──
-  if (data.startsWith('set_')) {
-    const colonIdx = data.indexOf(':');
-    const key = data.slice(4, colonIdx);         // e.g. 'gif', 'minbuy'
-    const groupChatId = data.slice(colonIdx + 1); // e.g. '-1001234...'
+      case 'comp':
+        await showCompetition(dmChatId, msgId, sub);
+        break;
 
-    // Stub buttons
-    if (['trending'].includes(key)) {
-      await tgRequest('answerCallbackQuery', {
-        callback_query_id: query.id,
-        text: '🔜 Coming soon!',
-        show_alert: true,
-      });
-      return;
-    }
+      case 'milestones':
+        await showMilestones(dmChatId, msgId, sub);
+        break;
 
-    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+      case 'msholders':
+        userStates.set(userId, { step: `awaiting_msholders:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `👥 Send a step to announce every N holders — e.g. <code>100</code> — ` +
+            `and/or a list of counts, e.g. <code>every 100, 250, 1k</code> or <code>500, 1000, 5000</code>.\n\n` +
+            `Current: <b>${holderMilestoneLabel(sub.settings)}</b> — send <code>off</code> to disable.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
 
-    const sub = findSub(groupChatId);
-    if (!sub) {
-      await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ Subscription not found.' });
-      return;
-    }
+      case 'msmcap':
+        userStates.set(userId, { step: `awaiting_msmcap:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `📊 Send the market caps to announce, e.g. <code>100k, 500k, 1M, 10M</code>.\n\n` +
+            `Send <code>off</code> to disable.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
 
-    switch (key) {
-      case 'gif':
-        if (sub.settings.gif) {
-          sub.settings.gif = null;
+      case 'msmedia':
+        if (sub.settings.milestoneGif) {
+          sub.settings.milestoneGif = null;
           saveSub(sub);
-          await refreshSettings(dmChatId, msgId, sub);
+          await showMilestones(dmChatId, msgId, sub);
         } else {
-          userStates.set(userId, { step: `awaiting_gif:${groupChatId}`, msgId });
+          userStates.set(userId, { step: `awaiting_msmedia:${subId}`, msgId });
           await tgRequest('sendMessage', {
             chat_id: dmChatId,
-            text: '🖼 Send a GIF or image to show with every buy alert.\nSend /cancel to abort.',
+            text: '🖼 Send a GIF or image to show with milestone posts.\nSend /cancel to abort.',
           });
         }
         break;
 
-      case 'minbuy':
-        userStates.set(userId, { step: `awaiting_minbuy:${groupChatId}`, msgId });
+      case 'trending':
+        await showTrending(dmChatId, msgId, sub);
+        break;
+
+      case 'labels':
+        await showLabels(dmChatId, msgId, sub);
+        break;
+
+      case 'watch':
+        await showWatch(dmChatId, msgId, sub);
+        break;
+
+      case 'watchdetect': {
+        if ((sub.chain || 'solana') !== 'solana') {
+          await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ Insider detection covers Solana tokens only.' });
+          break;
+        }
+        await tgRequest('sendMessage', { chat_id: dmChatId, text: '🔍 Looking up the deployer and token authorities…' });
+        const added = await seedWatchedWallets(subId);
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: added > 0 ? `✅ Now watching ${added} more wallet(s).` : 'No new insider wallets found.',
+        });
+        await showWatch(dmChatId, msgId, findSub(subId) || sub);
+        break;
+      }
+
+      case 'watchadd':
+        userStates.set(userId, { step: `awaiting_watchadd:${subId}`, msgId });
         await tgRequest('sendMessage', {
           chat_id: dmChatId,
           text:
-            `💵 Enter the minimum buy amount in USD.\nBuys below this are ignored.\n\n` +
-            `Current: <b>$${sub.settings.minBuyUsd}</b> — send <code>0</code> to disable.\n\n/cancel to abort.`,
+            `🕵️ Send one wallet per line, optionally followed by a name:\n\n` +
+            `<code>7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU Early buyer</code>\n\n` +
+            `Up to ${MAX_WATCHED_WALLETS} wallets per token.\n/cancel to abort.`,
           parse_mode: 'HTML',
         });
         break;
 
-      case 'emoji':
-        userStates.set(userId, { step: `awaiting_emoji:${groupChatId}`, msgId });
+      case 'watchrm':
+        userStates.set(userId, { step: `awaiting_watchrm:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: `➖ Send the wallet address(es) to stop watching, or <code>all</code> to clear the list.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'botfilter':
+        await showBotFilter(dmChatId, msgId, sub);
+        break;
+
+      case 'ignoreadd':
+        userStates.set(userId, { step: `awaiting_ignoreadd:${subId}`, msgId });
         await tgRequest('sendMessage', {
           chat_id: dmChatId,
           text:
-            `🎨 Send an emoji to use in buy alert headers.\n\n` +
-            `Current: <b>${sub.settings.emoji}</b>\n\n/cancel to abort.`,
+            `🤖 Send the wallet address(es) to ignore, separated by spaces or new lines. ` +
+            `Their buys and sells are never posted for <b>${escapeHtml(subName(sub))}</b>.\n/cancel to abort.`,
           parse_mode: 'HTML',
         });
         break;
 
-      case 'step':
-        userStates.set(userId, { step: `awaiting_step:${groupChatId}`, msgId });
+      case 'ignorerm':
+        userStates.set(userId, { step: `awaiting_ignorerm:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: `➖ Send the wallet address(es) to stop ignoring, or <code>all</code> to clear the list.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'labeladd':
+        userStates.set(userId, { step: `awaiting_labeladd:${subId}`, msgId });
         await tgRequest('sendMessage', {
           chat_id: dmChatId,
           text:
-            `📊 Enter the step size in USD — one emoji is added per step.\n\n` +
-            `Current: <b>${sub.settings.stepUsd > 0 ? '$' + sub.settings.stepUsd : 'Auto ($10/emoji)'}</b>\n\n` +
-            `Send <code>0</code> for auto-scale ($10/emoji), or a dollar amount e.g. <code>25</code>.\n/cancel to abort.`,
+            `🏷 Send one wallet per line as <code>address,label</code> — or send a .csv file.\n\n` +
+            `<code>7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU,Dev</code>\n` +
+            `<code>9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM,KOL: Alice</code>\n\n` +
+            `Existing labels for the same wallet are replaced. Max ${MAX_LABEL_LENGTH} characters per label.\n/cancel to abort.`,
           parse_mode: 'HTML',
         });
         break;
 
-      case 'links': {
-        const currentLinks = sub.settings.links || [];
-        userStates.set(userId, {
-          step: `awaiting_links:${groupChatId}`,
-          msgId,
-          linkPhase: 'url',
-          linkIdx: 0,
-          linkDraft: [],
+      case 'labelrm':
+        userStates.set(userId, { step: `awaiting_labelrm:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: `➖ Send the wallet address(es) to unlabel, or <code>all</code> to remove every label in this group.\n/cancel to abort.`,
+          parse_mode: 'HTML',
         });
-        let prompt = '🔗 <b>Custom Links Setup</b>\n\nSet up to 3 links shown on every buy alert.\n\n';
-        if (currentLinks.length > 0) {
-          prompt += '<b>Current links:</b>\n' +
-            currentLinks.map((l, i) => `  ${i + 1}. <b>${l.label}</b> — ${l.url}`).join('\n') +
-            '\n\n';
+        break;
+
+      case 'labelmute':
+        userStates.set(userId, { step: `awaiting_labelmute:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🔇 Send the labels to mute, comma separated — e.g. <code>Dev, Treasury, KOL</code> ` +
+            `(<code>KOL</code> mutes every <code>KOL: …</code> label). Send <code>none</code> to unmute all.\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+
+      case 'ownerwallets': {
+        const current = sub.settings.ownerWallets || [];
+        userStates.set(userId, { step: `awaiting_ownerwallets:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `👛 Send the team / dev wallet addresses for this token, separated by spaces or new lines (max 20).\n` +
+            `Their buys are left out of the trending ranking. Send <code>clear</code> to remove all.\n\n` +
+            (current.length > 0 ? `Current:\n${current.map((w) => `<code>${w}</code>`).join('\n')}\n\n` : '') +
+            `/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
+        break;
+      }
+
+      case 'compstart':
+      case 'compdur':
+      case 'compmin': {
+        if (store.openCompetition(subId)?.status !== 'draft') {
+          await showCompetition(dmChatId, msgId, sub);
+          break;
         }
-        prompt += `Send a URL for <b>Link 1</b>\n(type <code>skip</code> to skip this slot, /cancel to abort):`;
+        const prompts = {
+          compstart:
+            `🕐 When should the competition start?\n\n` +
+            `Send <code>now</code> to start on launch, or a UTC time like <code>2026-01-31 18:00</code>.`,
+          compdur:  `⏱ How long should it run? e.g. <code>90m</code>, <code>24h</code> or <code>3d</code> (max 30d).`,
+          compmin:  `🦴 Minimum USD buy that counts towards the competition. Send <code>0</code> to count every buy.`,
+        };
+        userStates.set(userId, { step: `awaiting_${key}:${subId}`, msgId });
         await tgRequest('sendMessage', {
           chat_id: dmChatId,
-          text: prompt,
+          text: `${prompts[key]}\n\n/cancel to abort.`,
           parse_mode: 'HTML',
-          disable_web_page_preview: true,
         });
         break;
       }
 
-      case 'active':
-        sub.settings.active = !sub.settings.active;
-        saveSub(sub);
-        await tgRequest('answerCallbackQuery', {
-          callback_query_id: query.id,
-          text: sub.settings.active ? '▶️ Alerts started! Woof!' : '⏸ Alerts paused.',
-          show_alert: true,
+      case 'digesthour':
+        userStates.set(userId, { step: `awaiting_digesthour:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🕐 Enter the hour to post the digest (0–23, in ${escapeHtml(sub.settings.digestTz || 'UTC')}).\n\n` +
+            `Current: <b>${sub.settings.digestHour ?? 12}</b>\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
         });
-        await refreshSettings(dmChatId, msgId, sub);
-        return;
+        break;
 
-      case 'price':
-        sub.settings.showPrice = !sub.settings.showPrice;
-        saveSub(sub);
-        await refreshSettings(dmChatId, msgId, sub);
+      case 'digesttz':
+        userStates.set(userId, { step: `awaiting_digesttz:${subId}`, msgId });
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text:
+            `🌍 Send your timezone as an IANA name, e.g. <code>Europe/London</code>, ` +
+            `<code>America/New_York</code> or <code>UTC</code>.\n\n` +
+            `Current: <b>${escapeHtml(sub.settings.digestTz || 'UTC')}</b>\n\n/cancel to abort.`,
+          parse_mode: 'HTML',
+        });
         break;
 
-      case 'whale':
-        if (sub.settings.whaleUsd > 0) {
-          sub.settings.whaleUsd = 0;
-          saveSub(sub);
-          await refreshSettings(dmChatId, msgId, sub);
-        } else {
-          userStates.set(userId, { step: `awaiting_whale:${groupChatId}`, msgId });
-          await tgRequest('sendMessage', {
-            chat_id: dmChatId,
-            text:
-              `🐋 Enter the USD threshold for whale alerts.\nBuys above this get special 🐋 formatting.\n\n` +
-              `/cancel to abort.`,
-            parse_mode: 'HTML',
-          });
+      case 'preview':
+        await sendSettingsPreview(dmChatId, sub);
+        break;
+
+      case 'remove':
+        await tgRequest('editMessageText', {
+          chat_id: dmChatId,
+          message_id: msgId,
+          text:
+            `🗑️ <b>Remove Token</b>\n\n` +
+            `Are you sure you want to remove <b>${subName(sub)}</b> and stop its alerts in this group?\n` +
+            `Other tokens tracked by the group are not affected.`,
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [[
+              { text: '✅ Yes, remove it', callback_data: `confirm_remove:${subId}` },
+              { text: '❌ Cancel',         callback_data: `back_settings:${subId}` },
+            ]],
+          },
+        });
+        break;
+    }
+  }
+
+  // ── Confirm remove ──
+  if (data.startsWith('confirm_remove:')) {
+    const subId = data.slice(15);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const removed = findSub(subId);
+    if (removed) store.deleteSub(subId);
+    syncWsSubscriptions(); // close WS for any mint no longer tracked
+    syncEvmWatchers();
+    const remaining = removed ? findSubsForChat(removed.chatId) : [];
+    await tgRequest('editMessageText', {
+      chat_id: dmChatId,
+      message_id: msgId,
+      text:
+        `✅ ${removed ? subName(removed) : 'Token'} removed. Its alerts have been stopped.\n\n` +
+        (remaining.length > 0
+          ? `This group still tracks ${remaining.length} token${remaining.length !== 1 ? 's' : ''}.`
+          : 'Use /add in the group to set up a new token.'),
+      ...(remaining.length > 0 ? { reply_markup: buildTokenPickerKeyboard(remaining) } : {}),
+    });
+    return;
+  }
+
+  // ── Token picker: open one sub's settings ──
+  if (data.startsWith('pick_sub:')) {
+    const subId = data.slice(9);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ Subscription not found.' });
+      return;
+    }
+    await refreshSettings(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Token picker: list every token in a group ──
+  if (data.startsWith('pick_chat:')) {
+    const groupChatId = data.slice(10);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const subs = await accessibleSubs(userId, findSubsForChat(groupChatId));
+    if (subs.length === 0) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ No token set up for that group yet.' });
+      return;
+    }
+    await showSettingsOrPicker(dmChatId, subs, msgId);
+    return;
+  }
+
+  // ── Team: create a one-time invite link ──
+  if (data.startsWith('team_inv:')) {
+    const [, subId, role] = data.split(':');
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub || !ROLE_LABELS[role] || role === 'admin') return;
+    const code = crypto.randomBytes(6).toString('hex');
+    sub.invites = (sub.invites || []).filter((i) => i.expiresAt > Date.now());
+    sub.invites.push({ code, role, createdBy: userId, expiresAt: Date.now() + INVITE_TTL_MS });
+    saveSub(sub);
+    const link = `https://t.me/${botUsername}?start=join_${code}`;
+    await tgRequest('sendMessage', {
+      chat_id: dmChatId,
+      text:
+        `👥 <b>${ROLE_LABELS[role]} invite for ${escapeHtml(subName(sub))}</b>\n\n` +
+        `Send this one-time link to your teammate. It expires in 24 hours.\n\n${link}`,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    });
+    return;
+  }
+
+  // ── DEX filter: toggle one venue ──
+  if (data.startsWith('dex_toggle:')) {
+    const [, subId, venue] = data.split(':');
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    const ignored = new Set(sub.settings.ignoredDexes || []);
+    if (ignored.has(venue)) ignored.delete(venue);
+    else ignored.add(venue);
+    sub.settings.ignoredDexes = [...ignored];
+    saveSub(sub);
+    await showDexes(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Digest: change frequency ──
+  if (data.startsWith('digest_freq:')) {
+    const [, subId, freq] = data.split(':');
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub || (freq !== 'off' && !DIGEST_PERIODS[freq])) return;
+    sub.settings.digest = freq;
+    saveSub(sub);
+    await showDigest(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Digest: post one to the group right away ──
+  if (data.startsWith('digest_now:')) {
+    const subId = data.slice(11);
+    const sub = findSub(subId);
+    if (!sub) {
+      await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+      return;
+    }
+    const periodKey = DIGEST_PERIODS[sub.settings.digest] ? sub.settings.digest : 'daily';
+    let notice = '📨 Digest posted to the group.';
+    try {
+      await sendDigest(sub, sub.chatId, periodKey);
+    } catch (e) {
+      console.error(`[DIGEST] digest_now chat=${sub.chatId} sub=${sub.id}:`, e.message);
+      notice = `❌ Couldn't post the digest: ${e.message}`.slice(0, 200);
+    }
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id, text: notice });
+    return;
+  }
+
+  // ── Competition panel actions ──
+  if (data.startsWith('comp_')) {
+    const colonIdx = data.indexOf(':');
+    const action = data.slice(5, colonIdx);
+    const subId = data.slice(colonIdx + 1);
+    const sub = findSub(subId);
+    if (!sub) {
+      await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+      return;
+    }
+    const comp = store.openCompetition(subId);
+    let notice;
+
+    if (action === 'new' && !comp) {
+      store.createCompetition({ subId, durationMs: COMP_DEFAULT_DURATION_MS, createdBy: userId });
+    } else if (action === 'board' && comp) {
+      await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+      await tgRequest('sendMessage', {
+        chat_id: dmChatId,
+        text: buildLeaderboardMessage(sub, comp),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+      });
+      return;
+    } else if (action === 'footer' && comp) {
+      comp.showFooter = !comp.showFooter;
+      store.saveCompetition(comp);
+    } else if (comp?.status === 'draft' && action === 'rank') {
+      comp.ranking = comp.ranking === 'single' ? 'volume' : 'single';
+      store.saveCompetition(comp);
+    } else if (comp?.status === 'draft' && action === 'dq') {
+      comp.dqOnSell = !comp.dqOnSell;
+      store.saveCompetition(comp);
+    } else if (comp?.status === 'draft' && action === 'launch') {
+      if (comp.startAt && comp.startAt + comp.durationMs <= Date.now()) {
+        notice = '⚠️ That start time is already over — pick a new one.';
+      } else {
+        comp.startAt = comp.startAt && comp.startAt > Date.now() ? comp.startAt : Date.now();
+        comp.endAt = comp.startAt + comp.durationMs;
+        comp.status = comp.startAt > Date.now() ? 'scheduled' : 'running';
+        store.saveCompetition(comp);
+        console.log(`[COMP] Launched id=${comp.id} sub=${sub.id} status=${comp.status} by ${userId}`);
+        notice = comp.status === 'running' ? '🏆 Competition is live!' : '⏳ Competition scheduled.';
+        if (comp.status === 'running') {
+          try {
+            await announceCompetitionStart(sub, comp);
+          } catch (e) {
+            console.error(`[COMP] id=${comp.id} chat=${sub.chatId}:`, e.message);
+            notice = `🏆 Competition is live, but the group announcement failed: ${e.message}`.slice(0, 200);
+          }
         }
-        break;
+      }
+    } else if (comp?.status === 'running' && action === 'end') {
+      comp.endAt = Math.min(comp.endAt, Date.now());
+      store.saveCompetition(comp); // the scheduler finishes it if the post below fails
+      try {
+        await finishCompetition(sub, comp);
+        notice = '🏁 Competition ended — winners posted.';
+      } catch (e) {
+        console.error(`[COMP] id=${comp.id} chat=${sub.chatId}:`, e.message);
+        notice = (comp.status === 'ended'
+          ? `🏁 Competition ended, but the winners couldn't be posted: ${e.message}`
+          : `🏁 Competition ended — posting the winners failed (${e.message}), retrying every minute.`).slice(0, 200);
+      }
+    } else if (comp && action === 'cancel') {
+      comp.status = 'cancelled';
+      store.saveCompetition(comp);
+      console.log(`[COMP] Cancelled id=${comp.id} sub=${sub.id} by ${userId}`);
+    }
 
-      case 'linktg':
-        userStates.set(userId, { step: `awaiting_linktg:${groupChatId}`, msgId });
-        await tgRequest('sendMessage', {
-          chat_id: dmChatId,
-          text:
-            `🔗 Send your project's Telegram link.\nIt will appear as a button on every buy alert.\n\n` +
-            `Current: <b>${sub.settings.linkTg || 'Not set'}</b>\n\n/cancel to abort.`,
-          parse_mode: 'HTML',
-        });
-        break;
+    await tgRequest('answerCallbackQuery', {
+      callback_query_id: query.id,
+      ...(notice ? { text: notice, show_alert: true } : {}),
+    });
+    await showCompetition(dmChatId, msgId, sub);
+    return;
+  }
 
-      case 'supply':
-        userStates.set(userId, { step: `awaiting_supply:${groupChatId}`, msgId });
-        await tgRequest('sendMessage', {
-          chat_id: dmChatId,
-          text:
-            `🔄 Enter the circulating supply (used to calculate market cap).\n\n` +
-            `Current: <b>${sub.settings.circSupply > 0 ? sub.settings.circSupply.toLocaleString() : 'Not set'}</b>\n\n/cancel to abort.`,
-          parse_mode: 'HTML',
-        });
-        break;
+  // ── Trending: toggle the rank line in alerts ──
+  if (data.startsWith('trend_rank:')) {
+    const subId = data.slice(11);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    sub.settings.showTrendingRank = sub.settings.showTrendingRank === false;
+    saveSub(sub);
+    await showTrending(dmChatId, msgId, sub);
+    return;
+  }
 
-      case 'icons':
-        await showIcons(dmChatId, msgId, sub);
-        break;
+  // ── Milestones: toggle ATH announcements ──
+  if (data.startsWith('ms_ath:')) {
+    const subId = data.slice(7);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    sub.settings.athAlerts = !sub.settings.athAlerts;
+    if (sub.settings.athAlerts) resetMilestoneBaseline(sub, 'ath');
+    saveSub(sub);
+    await showMilestones(dmChatId, msgId, sub);
+    return;
+  }
 
-      case 'preview':
-        await sendSettingsPreview(dmChatId, sub);
-        break;
+  // ── Milestones: toggle the pump.fun graduation post ──
+  if (data.startsWith('ms_grad:')) {
+    const subId = data.slice(8);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    sub.settings.graduationAlerts = sub.settings.graduationAlerts === false;
+    saveSub(sub);
+    await showMilestones(dmChatId, msgId, sub);
+    return;
+  }
 
-      case 'remove':
-        await tgRequest('editMessageText', {
-          chat_id: dmChatId,
-          message_id: msgId,
-          text:
-            `🗑️ <b>Remove Token</b>\n\n` +
-            `Are you sure you want to remove <b>${sub.settings.tokenName || sub.tokenMint.slice(0, 8) + '...'}</b> and stop all alerts for this group?`,
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [[
-              { text: '✅ Yes, remove it', callback_data: `confirm_remove:${groupChatId}` },
-              { text: '❌ Cancel',         callback_data: `back_settings:${groupChatId}` },
-            ]],
-          },
-        });
-        break;
-    }
+  // ── Liquidity: toggle routine LP alerts / rug warnings ──
+  if (data.startsWith('lp_toggle:') || data.startsWith('rug_toggle:')) {
+    const [action, subId] = data.split(':');
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    const key = action === 'lp_toggle' ? 'lpAlerts' : 'rugWarnings';
+    sub.settings[key] = sub.settings[key] === false;
+    saveSub(sub);
+    await showLiquidity(dmChatId, msgId, sub);
+    return;
   }
 
-  // ── Confirm remove ──
-  if (data.startsWith('confirm_remove:')) {
-    const groupChatId = data.slice(15);
+  // ── Dev watch: toggle alerts ──
+  if (data.startsWith('watch_toggle:')) {
+    const subId = data.slice(13);
     await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
-    const storage = loadStorage();
-    storage.subscriptions = storage.subscriptions.filter((s) => s.chatId !== groupChatId);
-    saveStorage(storage);
-    syncWsSubscriptions(); // close WS for any mint no longer tracked
-    await tgRequest('editMessageText', {
+    const sub = findSub(subId);
+    if (!sub) return;
+    sub.settings.watchAlerts = sub.settings.watchAlerts === false;
+    saveSub(sub);
+    await showWatch(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Bot filter: toggle automatic detection ──
+  if (data.startsWith('bot_toggle:')) {
+    const subId = data.slice(11);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    sub.settings.botFilter = sub.settings.botFilter === false;
+    saveSub(sub);
+    await showBotFilter(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Team: revoke a co-manager ──
+  if (data.startsWith('team_rm:')) {
+    const [, subId, memberId] = data.split(':');
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    const sub = findSub(subId);
+    if (!sub) return;
+    sub.managers = (sub.managers || []).filter((m) => m.userId !== memberId);
+    saveSub(sub);
+    console.log(`[TEAM] user=${memberId} removed from sub=${sub.id} by ${userId}`);
+    await showTeam(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Add another token to a group (restarts the setup wizard) ──
+  if (data.startsWith('add_token:')) {
+    const groupChatId = data.slice(10);
+    await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
+    userStates.set(userId, { step: 'awaiting_chain', groupChatId });
+    await tgRequest('sendMessage', {
       chat_id: dmChatId,
-      message_id: msgId,
-      text: '✅ Token removed. Alerts for this group have been stopped.\n\nUse /add in the group to set up a new token.',
+      text: '🐕 <b>Inu Buy Bot Setup</b>\n\nAdding another token to this group. Please select the chain:',
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: CHAIN_KEYBOARD },
     });
     return;
   }
 
   // ── Back to settings ──
   if (data.startsWith('back_settings:')) {
-    const groupChatId = data.slice(14);
+    const subId = data.slice(14);
     await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
-    const sub = findSub(groupChatId);
+    const sub = findSub(subId);
     if (sub) await refreshSettings(dmChatId, msgId, sub);
     return;
   }
@@ -1635,12 +5920,12 @@ bot.on('callback_query', async (query) => {
   if (data.startsWith('icon_')) {
     const colonIdx    = data.indexOf(':');
     const field       = data.slice(5, colonIdx);       // e.g. 'header', 'spent'
-    const groupChatId = data.slice(colonIdx + 1);
+    const subId = data.slice(colonIdx + 1);
     await tgRequest('answerCallbackQuery', { callback_query_id: query.id });
-    const sub = findSub(groupChatId);
+    const sub = findSub(subId);
     if (!sub) return;
     const ic = getIcons(sub.settings);
-    userStates.set(userId, { step: `awaiting_icon_${field}:${groupChatId}`, msgId });
+    userStates.set(userId, { step: `awaiting_icon_${field}:${subId}`, msgId });
     await tgRequest('sendMessage', {
       chat_id: dmChatId,
       text:
@@ -1667,30 +5952,54 @@ bot.on('message', async (msg) => {
 
   // ── Awaiting token mint ──
   if (step === 'awaiting_mint') {
-    const tokenMint = msg.text?.trim();
-    if (!tokenMint || tokenMint.length < 32 || tokenMint.length > 44) {
+    const chain = state.chain || 'solana';
+    const isEvm = !!EVM_CHAINS[chain];
+    let tokenMint = msg.text?.trim();
+    const valid = isEvm
+      ? EVM_ADDRESS_RE.test(tokenMint || '')
+      : tokenMint && tokenMint.length >= 32 && tokenMint.length <= 44;
+    if (!valid) {
       await tgRequest('sendMessage', {
         chat_id: dmChatId,
-        text: '❌ That doesn\'t look like a valid Solana address. Try again or /cancel.',
+        text: isEvm
+          ? `❌ That doesn't look like a valid ERC-20 address (0x + 40 hex characters). Try again or /cancel.`
+          : '❌ That doesn\'t look like a valid Solana address. Try again or /cancel.',
       });
       return;
     }
+    if (isEvm) tokenMint = tokenMint.toLowerCase();
 
     userStates.delete(userId);
 
+    if (!(await canManageChat(userId, state.groupChatId))) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: NOT_ADMIN_TEXT });
+      return;
+    }
+
+    // A group tracks each mint at most once — reopen the existing panel instead
+    const existing = findSubsForChat(state.groupChatId).find((s) => s.tokenMint === tokenMint);
+    if (existing) {
+      await tgRequest('sendMessage', {
+        chat_id: dmChatId,
+        text: `ℹ️ <b>${subName(existing)}</b> is already tracked in this group.`,
+        parse_mode: 'HTML',
+      });
+      await showSettings(dmChatId, existing);
+      return;
+    }
+
     await tgRequest('sendMessage', { chat_id: dmChatId, text: '⏳ Fetching token info...' });
 
-    const tokenName = await getTokenName(tokenMint);
+    const tokenName = await getTokenName(tokenMint, chain);
     const settings = defaultSettings();
     settings.tokenName = tokenName;
 
-    const sub = { chatId: state.groupChatId, ownerId: userId, tokenMint, settings };
-    const storage = loadStorage();
-    storage.subscriptions = storage.subscriptions.filter((s) => s.chatId !== state.groupChatId);
-    storage.subscriptions.push(sub);
-    saveStorage(storage);
+    const sub = { id: newSubId(), chatId: state.groupChatId, ownerId: userId, tokenMint, chain, settings };
+    saveSub(sub);
 
     syncWsSubscriptions(); // open WS for the new mint immediately
+    syncEvmWatchers();
+    if (chain === 'solana') seedWatchedWallets(sub.id).catch((e) => console.warn(`[WATCH] Seeding sub=${sub.id} failed:`, e.message));
 
     await tgRequest('sendMessage', {
       chat_id: dmChatId,
@@ -1702,19 +6011,25 @@ bot.on('message', async (msg) => {
   }
 
   // ── Awaiting settings input ──
-  // step format: 'awaiting_<action>:<groupChatId>'
+  // step format: 'awaiting_<action>:<subId>'
   const colonIdx = step.indexOf(':');
   if (colonIdx < 0) return;
   const action = step.slice(9, colonIdx); // strip 'awaiting_'
-  const groupChatId = step.slice(colonIdx + 1);
+  const subId = step.slice(colonIdx + 1);
   const { msgId } = state;
 
-  const sub = findSub(groupChatId);
+  const sub = findSub(subId);
   if (!sub) {
     userStates.delete(userId);
     await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ Subscription not found.' });
     return;
   }
+  // Admin rights or a co-manager role may have been revoked while the prompt was open
+  if (!hasAccess(await getSubAccess(userId, sub), 'manager')) {
+    userStates.delete(userId);
+    await tgRequest('sendMessage', { chat_id: dmChatId, text: NOT_ADMIN_TEXT });
+    return;
+  }
 
   let error = null;
 
@@ -1793,6 +6108,176 @@ bot.on('message', async (msg) => {
     return;
   }
 
+  // ── Wallet labels (group-wide, stored in wallet_labels — not settings) ──
+  if (action === 'labeladd' || action === 'labelrm') {
+    let text = msg.text?.trim() || '';
+    if (action === 'labeladd' && msg.document) {
+      try {
+        text = await downloadTgFile(msg.document, 256 * 1024);
+      } catch (e) {
+        await tgRequest('sendMessage', { chat_id: dmChatId, text: `❌ Couldn't read that file: ${escapeHtml(e.message)}`, parse_mode: 'HTML' });
+        return;
+      }
+    }
+
+    let summary;
+    if (action === 'labeladd') {
+      const { entries, invalid } = parseLabelCsv(text);
+      if (entries.length === 0) {
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: '❌ No <code>address,label</code> lines found. Try again or /cancel.',
+          parse_mode: 'HTML',
+        });
+        return;
+      }
+      const existing = new Set(store.labelsForChat(sub.chatId).map((l) => l.wallet));
+      const added = entries.filter((e) => !existing.has(e.wallet)).length;
+      if (existing.size + added > MAX_LABELS_PER_GROUP) {
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: `❌ That would take this group over ${MAX_LABELS_PER_GROUP} labels. Remove some first.`,
+        });
+        return;
+      }
+      store.setLabels(sub.chatId, entries);
+      summary = `✅ Saved ${entries.length} label(s)` +
+        (invalid.length > 0 ? ` — skipped ${invalid.length} line(s):\n${invalid.slice(0, 5).map((l) => `<code>${escapeHtml(l.slice(0, 60))}</code>`).join('\n')}` : '.');
+    } else if (text.toLowerCase() === 'all') {
+      summary = `✅ Removed ${store.clearLabels(sub.chatId)} label(s).`;
+    } else {
+      const wallets = text.split(/[\s,]+/).map(parseAnyAddress).filter(Boolean);
+      summary = `✅ Removed ${store.removeLabels(sub.chatId, wallets)} label(s).`;
+    }
+    console.log(`[LABELS] chat=${sub.chatId} ${action} by ${userId}`);
+    userStates.delete(userId);
+    await tgRequest('sendMessage', { chat_id: dmChatId, text: summary, parse_mode: 'HTML' });
+    await showLabels(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Ignored wallets (returns to the bot filter panel, not settings) ──
+  if (action === 'ignoreadd' || action === 'ignorerm') {
+    const text = msg.text?.trim() || '';
+    const current = sub.settings.ignoredWallets || [];
+    let summary;
+    if (action === 'ignorerm' && text.toLowerCase() === 'all') {
+      sub.settings.ignoredWallets = [];
+      summary = `✅ Cleared ${current.length} ignored wallet(s).`;
+    } else {
+      const words = text.split(/[\s,]+/).filter(Boolean);
+      const invalid = words.filter((w) => !parseAddress(sub.chain, w));
+      const wallets = [...new Set(words.map((w) => parseAddress(sub.chain, w)))];
+      if (wallets.length === 0 || invalid.length > 0) {
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: `❌ Not a valid ${chainInfo(sub.chain).name} address: <code>${escapeHtml(invalid[0] || text)}</code>\nTry again or /cancel.`,
+          parse_mode: 'HTML',
+        });
+        return;
+      }
+      if (action === 'ignoreadd') {
+        const next = [...new Set([...current, ...wallets])];
+        if (next.length > MAX_IGNORED_WALLETS) {
+          await tgRequest('sendMessage', { chat_id: dmChatId, text: `❌ Up to ${MAX_IGNORED_WALLETS} ignored wallets per token. Remove some first.` });
+          return;
+        }
+        sub.settings.ignoredWallets = next;
+        summary = `✅ Ignoring ${next.length - current.length} more wallet(s).`;
+      } else {
+        sub.settings.ignoredWallets = current.filter((w) => !wallets.includes(w));
+        summary = `✅ Stopped ignoring ${current.length - sub.settings.ignoredWallets.length} wallet(s).`;
+      }
+    }
+    saveSub(sub);
+    console.log(`[BOTS] sub=${sub.id} ${action} by ${userId}`);
+    userStates.delete(userId);
+    await tgRequest('sendMessage', { chat_id: dmChatId, text: summary });
+    await showBotFilter(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Watched wallets (returns to the dev watch panel, not settings) ──
+  if (action === 'watchadd' || action === 'watchrm') {
+    const text = msg.text?.trim() || '';
+    const current = sub.settings.watchedWallets || [];
+    let summary;
+    if (action === 'watchrm' && text.toLowerCase() === 'all') {
+      sub.settings.watchedWallets = [];
+      summary = `✅ Stopped watching ${current.length} wallet(s).`;
+    } else if (action === 'watchadd') {
+      // "address [name]" per line
+      const entries = text.split('\n').map((l) => l.trim()).filter(Boolean).map((l) => {
+        const [address, ...name] = l.split(/\s+/);
+        return { address, wallet: parseAddress(sub.chain, address), role: name.join(' ').slice(0, MAX_LABEL_LENGTH) || null };
+      });
+      const invalid = entries.find((e) => !e.wallet);
+      if (entries.length === 0 || invalid) {
+        await tgRequest('sendMessage', {
+          chat_id: dmChatId,
+          text: `❌ Not a valid ${chainInfo(sub.chain).name} address: <code>${escapeHtml(invalid?.address || text)}</code>\nTry again or /cancel.`,
+          parse_mode: 'HTML',
+        });
+        return;
+      }
+      // Re-adding a watched wallet with a name just renames it
+      const next = current.map((w) => {
+        const renamed = entries.find((e) => e.wallet === w.wallet && e.role);
+        return renamed ? { wallet: w.wallet, role: renamed.role } : w;
+      });
+      for (const { wallet, role } of entries) if (!next.some((w) => w.wallet === wallet)) next.push({ wallet, role });
+      if (next.length > MAX_WATCHED_WALLETS) {
+        await tgRequest('sendMessage', { chat_id: dmChatId, text: `❌ Up to ${MAX_WATCHED_WALLETS} watched wallets per token. Remove some first.` });
+        return;
+      }
+      sub.settings.watchedWallets = next;
+      summary = `✅ Watching ${next.length - current.length} more wallet(s).`;
+    } else {
+      const wallets = text.split(/[\s,]+/).map((w) => parseAddress(sub.chain, w)).filter(Boolean);
+      sub.settings.watchedWallets = current.filter((w) => !wallets.includes(w.wallet));
+      summary = `✅ Stopped watching ${current.length - sub.settings.watchedWallets.length} wallet(s).`;
+    }
+    saveSub(sub);
+    console.log(`[WATCH] sub=${sub.id} ${action} by ${userId}`);
+    userStates.delete(userId);
+    await tgRequest('sendMessage', { chat_id: dmChatId, text: summary });
+    await showWatch(dmChatId, msgId, sub);
+    return;
+  }
+
+  // ── Competition draft input (edits the competitions row, not settings) ──
+  if (action === 'compstart' || action === 'compdur' || action === 'compmin') {
+    const comp = store.openCompetition(subId);
+    if (comp?.status !== 'draft') {
+      userStates.delete(userId);
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: '❌ That competition has already been launched.' });
+      return;
+    }
+    const text = msg.text?.trim();
+    if (action === 'compstart') {
+      const startAt = parseStartTime(text);
+      if (startAt === undefined) error = '❌ Send <code>now</code> or a UTC time like <code>2026-01-31 18:00</code>.';
+      else if (startAt !== null && startAt <= Date.now()) error = '❌ That time is in the past.';
+      else comp.startAt = startAt;
+    } else if (action === 'compdur') {
+      const ms = parseDuration(text);
+      if (!ms || ms < 5 * 60e3 || ms > COMP_MAX_DURATION_MS) error = '❌ Send a duration between <code>5m</code> and <code>30d</code>, e.g. <code>24h</code>.';
+      else comp.durationMs = ms;
+    } else {
+      const val = parseFloat(text);
+      if (isNaN(val) || val < 0) error = '❌ Please enter a valid number, e.g. <code>100</code>.';
+      else comp.minBuyUsd = val;
+    }
+    if (error) {
+      await tgRequest('sendMessage', { chat_id: dmChatId, text: error, parse_mode: 'HTML' });
+      return;
+    }
+    store.saveCompetition(comp);
+    userStates.delete(userId);
+    await showCompetition(dmChatId, msgId, sub);
+    return;
+  }
+
   // ── Icon field input ──
   if (action.startsWith('icon_')) {
     const field = action.slice(5); // e.g. 'header'
@@ -1828,6 +6313,47 @@ bot.on('message', async (msg) => {
       }
       break;
 
+    case 'msmedia':
+      if (msg.animation) {
+        sub.settings.milestoneGif = { fileId: msg.animation.file_id, type: 'animation' };
+      } else if (msg.photo) {
+        sub.settings.milestoneGif = { fileId: msg.photo[msg.photo.length - 1].file_id, type: 'photo' };
+      } else if (msg.document?.mime_type?.startsWith('image/')) {
+        sub.settings.milestoneGif = { fileId: msg.document.file_id, type: 'animation' };
+      } else {
+        error = '❌ Please send a GIF or image file.';
+      }
+      break;
+
+    case 'msholders': {
+      const text = msg.text?.trim().toLowerCase() || '';
+      if (text === 'off' || text === '0') { sub.settings.holderStep = 0; sub.settings.holderLevels = []; break; }
+      // "every 100" (or a lone number) is the step; anything else is a level
+      const stepMatch = text.match(/^every\s+([^,;]+)[,;]?\s*/) || (/^[^\s,;]+$/.test(text) ? [text, text] : null);
+      const step = stepMatch ? parseAmountList(stepMatch[1]) : [];
+      const levels = parseAmountList(stepMatch ? text.slice(stepMatch[0].length) : text);
+      if (!step || step.length > 1 || !levels || (step.length === 0 && levels.length === 0)) {
+        error = '❌ Send a step like <code>100</code> and/or counts like <code>250, 1k</code>.';
+        break;
+      }
+      if (levels.length > 20) { error = '❌ Up to 20 holder counts, please.'; break; }
+      if (!(sub.settings.holderStep > 0 || sub.settings.holderLevels?.length > 0)) resetMilestoneBaseline(sub, 'holders');
+      sub.settings.holderStep = step[0] || 0;
+      sub.settings.holderLevels = levels;
+      break;
+    }
+
+    case 'msmcap': {
+      const text = msg.text?.trim().toLowerCase() || '';
+      if (text === 'off') { sub.settings.mcapLevels = []; break; }
+      const levels = parseAmountList(text);
+      if (!levels || levels.length === 0) { error = '❌ Send market caps like <code>100k, 1M</code>.'; break; }
+      if (levels.length > 20) { error = '❌ Up to 20 market cap levels, please.'; break; }
+      if (!(sub.settings.mcapLevels?.length > 0)) resetMilestoneBaseline(sub, 'mcap');
+      sub.settings.mcapLevels = levels;
+      break;
+    }
+
     case 'minbuy': {
       const val = parseFloat(msg.text);
       if (isNaN(val) || val < 0) { error = '❌ Please enter a valid number, e.g. <code>15</code>.'; break; }
@@ -1835,6 +6361,13 @@ bot.on('message', async (msg) => {
       break;
     }
 
+    case 'minsell': {
+      const val = parseFloat(msg.text);
+      if (isNaN(val) || val < 0) { error = '❌ Please enter a valid number, e.g. <code>50</code>.'; break; }
+      sub.settings.minSellUsd = val;
+      break;
+    }
+
     case 'emoji': {
       // Custom emoji come in via entities, not msg.text
       const customEntity = msg.entities?.find(e => e.type === 'custom_emoji');
@@ -1865,6 +6398,56 @@ bot.on('message', async (msg) => {
       break;
     }
 
+    case 'burst': {
+      const val = parseInt(msg.text, 10);
+      if (isNaN(val) || val < 5 || val > 600) { error = '❌ Please enter a number of seconds between 5 and 600.'; break; }
+      sub.settings.burstWindowSec = val;
+      sub.settings.burstMode = true;
+      break;
+    }
+
+    case 'digesthour': {
+      const val = parseInt(msg.text, 10);
+      if (isNaN(val) || val < 0 || val > 23) { error = '❌ Please enter an hour between 0 and 23.'; break; }
+      sub.settings.digestHour = val;
+      break;
+    }
+
+    case 'digesttz': {
+      const tz = msg.text?.trim();
+      if (!tz || !isValidTimeZone(tz)) {
+        error = '❌ Unknown timezone. Use an IANA name like <code>Europe/Berlin</code> or <code>UTC</code>.';
+        break;
+      }
+      sub.settings.digestTz = tz;
+      break;
+    }
+
+    case 'labelmute': {
+      const text = msg.text?.trim();
+      if (!text) { error = '❌ Please send label names, or <code>none</code>.'; break; }
+      sub.settings.mutedLabels = text.toLowerCase() === 'none'
+        ? []
+        : [...new Set(text.split(',').map((l) => l.trim().slice(0, MAX_LABEL_LENGTH)).filter(Boolean))].slice(0, 20);
+      break;
+    }
+
+    case 'ownerwallets': {
+      const text = msg.text?.trim();
+      if (text?.toLowerCase() === 'clear') { sub.settings.ownerWallets = []; break; }
+      const words = (text || '').split(/[\s,]+/).filter(Boolean);
+      const invalid = words.filter((w) => !parseAddress(sub.chain, w));
+      const wallets = [...new Set(words.map((w) => parseAddress(sub.chain, w)))];
+      if (wallets.length === 0 || invalid.length > 0) {
+        error = `❌ Not a valid ${chainInfo(sub.chain).name} address: <code>${escapeHtml(invalid[0] || text || '')}</code>`;
+        break;
+      }
+      if (wallets.length > 20) { error = '❌ Up to 20 wallets, please.'; break; }
+      sub.settings.ownerWallets = wallets;
+      trendingCache.clear();
+      break;
+    }
+
     case 'linktg': {
       const link = msg.text?.trim();
       if (!link?.startsWith('http')) { error = '❌ Please send a valid URL starting with https://'; break; }
@@ -1879,6 +6462,50 @@ bot.on('message', async (msg) => {
       break;
     }
 
+    case 'supplyexcl': {
+      const text = msg.text?.trim() || '';
+      if (text.toLowerCase() === 'clear') { sub.settings.supplyExclusions = []; break; }
+      const addresses = [...new Set(text.split(/[\s,]+/).filter(Boolean))];
+      const invalid = addresses.find((a) => !SOLANA_ADDRESS_RE.test(a));
+      if (addresses.length === 0 || invalid) {
+        error = `❌ Not a valid Solana address: <code>${escapeHtml(invalid || text)}</code>`;
+        break;
+      }
+      if (addresses.length > MAX_SUPPLY_EXCLUSIONS) { error = `❌ Up to ${MAX_SUPPLY_EXCLUSIONS} addresses, please.`; break; }
+      sub.settings.supplyExclusions = addresses;
+      break;
+    }
+
+    case 'transfers': {
+      const val = parseFloat(msg.text);
+      if (isNaN(val) || val <= 0) { error = '❌ Please enter a positive USD amount, e.g. <code>10000</code>.'; break; }
+      sub.settings.transferMinUsd = val;
+      sub.settings.transferAlerts = true;
+      break;
+    }
+
+    case 'lpmin': {
+      const val = parseFloat(msg.text);
+      if (isNaN(val) || val < 0) { error = '❌ Please enter a valid number, e.g. <code>1000</code>.'; break; }
+      sub.settings.lpMinUsd = val;
+      break;
+    }
+
+    case 'lprug': {
+      const val = parseFloat(msg.text?.replace('%', ''));
+      if (isNaN(val) || val < 0 || val > 100) { error = '❌ Please enter a percentage between 0 and 100.'; break; }
+      sub.settings.rugWarnPct = val;
+      break;
+    }
+
+    case 'lpdeployer': {
+      const text = msg.text?.trim() || '';
+      if (text.toLowerCase() === 'auto') { sub.settings.deployerWallet = null; break; }
+      if (!SOLANA_ADDRESS_RE.test(text)) { error = `❌ Not a valid Solana address: <code>${escapeHtml(text)}</code>`; break; }
+      sub.settings.deployerWallet = text;
+      break;
+    }
+
     default:
       return;
   }
@@ -1912,6 +6539,33 @@ app.use(express.json());
 
 app.get('/', (req, res) => res.send('Solana Buy Alert Bot is running!'));
 
+// Candle export — GET /candles/<mint>?interval=5m&from=<ms>&to=<ms>&limit=500&format=json|csv
+// Same Authorization header as the webhook; disabled until AUTH_TOKEN is set.
+// Only mints the bot tracks.
+app.get('/candles/:mint', (req, res) => {
+  if (!AUTH_TOKEN) return res.status(503).send('Candle export needs AUTH_TOKEN to be set');
+  if (req.headers['authorization'] !== AUTH_TOKEN) return res.status(401).send('Unauthorized');
+  const { mint } = req.params;
+  if (!getUniqueMints(loadStorage(), null).includes(mint)) return res.status(404).json({ error: 'Mint not tracked' });
+
+  const interval = req.query.interval || '5m';
+  const num = (v) => (v != null && v !== '' && Number.isFinite(Number(v)) ? Number(v) : undefined);
+  let candles;
+  try {
+    candles = getCandles(mint, interval, { since: num(req.query.from), until: num(req.query.to), limit: num(req.query.limit) });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  if (req.query.format === 'csv') {
+    const rows = candles.map((c) =>
+      [new Date(c.start).toISOString(), c.open, c.high, c.low, c.close, c.volumeUsd, c.volumeSol, c.trades].join(','));
+    res.type('text/csv').attachment(`${mint}-${interval}.csv`);
+    return res.send(['time,open,high,low,close,volume_usd,volume_sol,trades', ...rows].join('\n') + '\n');
+  }
+  res.json({ mint, interval, candles });
+});
+
 // Legacy webhook endpoint — kept as a fallback in case Helius still delivers events
 // for a while after the webhook is deleted. Polling is now the primary mechanism.
 app.post('/webhook', async (req, res) => {
@@ -1936,6 +6590,11 @@ async function registerBotCommands() {
     commands: [
       { command: 'add',      description: 'Set up buy alerts in this group' },
       { command: 'settings', description: 'Manage your token settings' },
+      { command: 'digest',   description: 'Post a buy recap (daily or weekly)' },
+      { command: 'leaderboard', description: 'Show the buy competition standings' },
+      { command: 'trending', description: 'Top tokens by recent buys (1h, 6h or 24h)' },
+      { command: 'wallet',   description: 'Show a wallet\'s entry, holdings and PnL' },
+      { command: 'chart',    description: 'Price chart image (1h, 24h or 7d)' },
       { command: 'status',   description: 'Show bot status & subscriptions (DM)' },
       { command: 'cancel',   description: 'Cancel current input (DM only)' },
       { command: 'start',    description: 'Show help' },
@@ -1945,20 +6604,25 @@ async function registerBotCommands() {
 }
 
 // ─── Startup ───────────────────────────────────────────────────────────────────
+// Timer callback for a background job: a throw or rejection is logged instead of
+// surfacing as an unhandled rejection, and the next tick runs as usual
+function scheduled(tag, job) {
+  return () => Promise.resolve().then(job).catch((e) => console.error(`[${tag}] Scheduled run failed:`, e.message));
+}
+
 app.listen(PORT, async () => {
   console.log(`Server listening on port ${PORT}`);
-  console.log(`[STORAGE] File: ${STORAGE_FILE}`);
+  console.log(`[STORAGE] Database: ${DB_FILE} (schema v${store.schemaVersion()})`);
 
   // Log what's in storage right now
   const startupStorage = loadStorage();
   console.log(`[STORAGE] Loaded ${startupStorage.subscriptions.length} subscription(s), webhookId=${startupStorage.webhookId || 'none'}`);
   for (const s of startupStorage.subscriptions) {
-    console.log(`  ↳ chat=${s.chatId} mint=${s.tokenMint} active=${s.settings.active} name=${s.settings.tokenName}`);
+    console.log(`  ↳ id=${s.id} chat=${s.chatId} mint=${s.tokenMint} active=${s.settings.active} name=${s.settings.tokenName}`);
   }
 
   // Restore persisted wallet positions so PnL works across restarts
-  const savedPositions = startupStorage.walletPositions || {};
-  for (const [key, val] of Object.entries(savedPositions)) {
+  for (const [key, val] of store.loadPositions()) {
     walletPositions.set(key, val);
   }
   if (walletPositions.size > 0) console.log(`[POSITIONS] Restored ${walletPositions.size} wallet position(s)`);
@@ -1976,7 +6640,11 @@ app.listen(PORT, async () => {
   try { await registerBotCommands(); } catch (e) { console.error('Commands error:', e.message); }
 
   await updateSolPrice();
-  setInterval(updateSolPrice, 15 * 60 * 1000); // every 15 min — price doesn't need to be real-time
+  setInterval(updateSolPrice, 60 * 1000); // every minute — the oracle flags it stale if sources go quiet
+  if ([...QUOTE_MINTS.values()].some((q) => !q.stable)) {
+    await updateQuotePrices();
+    setInterval(scheduled('QUOTE', updateQuotePrices), 5 * 60 * 1000);
+  }
 
   // ── Delete existing Helius webhook so we stop being billed per-event ──────
   if (startupStorage.webhookId) {
@@ -1987,8 +6655,7 @@ app.listen(PORT, async () => {
       );
       if (delRes.ok) {
         console.log(`[HELIUS] Webhook deleted (id=${startupStorage.webhookId}) — switching to polling`);
-        startupStorage.webhookId = null;
-        saveStorage(startupStorage);
+        store.setMeta('webhookId', null);
       } else {
         console.warn(`[HELIUS] Could not delete webhook: HTTP ${delRes.status}`);
       }
@@ -1998,6 +6665,9 @@ app.listen(PORT, async () => {
   }
 
   // ── Seed seen-signatures + historical wallet positions ────────────────────
+  // Signatures handled before the restart first, then the chain's recent history
+  store.pruneSignatures(SEEN_RETENTION_MS);
+  store.recentSignatures(5000).reverse().forEach((sig) => seenSignatures.add(sig));
   const initMints = getUniqueMints(startupStorage);
   for (const mint of initMints) {
     try {
@@ -2016,6 +6686,8 @@ app.listen(PORT, async () => {
 
   // ── Start real-time WebSocket subscriptions ───────────────────────────────
   syncWsSubscriptions();
+  syncEvmWatchers();
+  setInterval(scheduled('ETH', updateEthPrice), 60 * 1000); // no-op while no EVM tokens are tracked
 
   // ── WS health check — send JSON-RPC getHealth every 60 s ─────────────────
   // If the previous health check went unanswered, the connection is silently
@@ -2046,4 +6718,28 @@ app.listen(PORT, async () => {
   setInterval(pollForSwaps, POLL_INTERVAL_MS);
   console.log(`[POLL] Fallback polling started — interval=${POLL_INTERVAL_MS / 1000}s`);
   setTimeout(pollForSwaps, 8000); // one initial poll after startup
+
+  // ── Digests — hourly baselines + a per-minute schedule check ─────────────
+  setTimeout(scheduled('SNAPSHOT', recordMintSnapshots), 30_000);
+  setInterval(scheduled('SNAPSHOT', recordMintSnapshots), 60 * 60 * 1000);
+  setInterval(scheduled('DIGEST', runDigestScheduler), 60_000);
+
+  // ── Milestones — holder / market cap levels and ATHs ─────────────────────
+  setInterval(scheduled('MILESTONE', runMilestoneChecker), MILESTONE_CHECK_MS);
+  setInterval(scheduled('GRADUATION', runGraduationChecker), GRADUATION_CHECK_MS);
+
+  // ── Dev watch — balance baseline now, then a check every 5 min ───────────
+  setTimeout(scheduled('WATCH', runWatchChecker), 20_000);
+  setInterval(scheduled('WATCH', runWatchChecker), WATCH_CHECK_MS);
+
+  // ── Competitions — start scheduled / finish expired contests ─────────────
+  setInterval(scheduled('COMP', runCompetitionScheduler), 60_000);
+  setTimeout(scheduled('COMP', runCompetitionScheduler), 10_000); // catch contests that ended while offline
+
+  // ── Trending board in the configured channel ──────────────────────────────
+  if (TRENDING_CHANNEL_ID) {
+    setInterval(scheduled('TRENDING', refreshTrendingBoard), TRENDING.refreshMs);
+    setTimeout(scheduled('TRENDING', refreshTrendingBoard), 60_000);
+    console.log(`[TRENDING] Board → ${TRENDING_CHANNEL_ID} every ${TRENDING.refreshMs / 60000} min (${TRENDING.window})`);
+  }
 });
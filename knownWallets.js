@@ -0,0 +1,43 @@
+// ─── Known Wallets ─────────────────────────────────────────────────────────────
+// Built-in labels for well-known Solana addresses (exchange hot wallets, protocol
+// authorities). Groups' own labels (wallet_labels table) always win over these.
+// `kind: 'exchange'` marks centralised-exchange hot wallets — transfers into them
+// are tagged as hot-wallet inflows (mostly the exchange's own sweeps), not deposits.
+//
+// Extend or correct without editing code:
+//   • JSON file (WALLET_LABELS_FILE, default ./wallets.json) — array of
+//     { "address": "...", "label": "...", "kind"?: "exchange" }; `"disabled": true`
+//     removes a built-in.
+const { readConfigFile } = require('./configFile');
+
+const BUILT_IN_WALLETS = [
+  { address: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', label: 'Binance',  kind: 'exchange' },
+  { address: '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9', label: 'Binance',  kind: 'exchange' },
+  { address: 'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS', label: 'Coinbase', kind: 'exchange' },
+  { address: '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm', label: 'Coinbase', kind: 'exchange' },
+  { address: '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD', label: 'OKX',      kind: 'exchange' },
+  { address: 'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2', label: 'Bybit',    kind: 'exchange' },
+  { address: 'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5', label: 'Kraken',   kind: 'exchange' },
+  { address: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', label: 'Raydium Authority' },
+];
+
+// Built-ins first, then the config file (later wins).
+function createWalletDirectory({ configFile } = {}) {
+  const labels = new Map(); // address → { label, kind }
+  const add = (entry) => {
+    if (!entry?.address) return;
+    if (entry.disabled) { labels.delete(entry.address); return; }
+    if (entry.label) labels.set(entry.address, { label: String(entry.label), kind: entry.kind || null });
+  };
+
+  for (const w of BUILT_IN_WALLETS) add(w);
+  for (const w of readConfigFile(configFile, 'WALLETS')) add(w);
+
+  return {
+    get: (address) => labels.get(address)?.label || null,
+    isExchange: (address) => labels.get(address)?.kind === 'exchange',
+    size: () => labels.size,
+  };
+}
+
+module.exports = { createWalletDirectory, BUILT_IN_WALLETS };
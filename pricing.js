@@ -0,0 +1,279 @@
+// ─── On-chain Pricing ──────────────────────────────────────────────────────────
+// Token price and circulating supply straight from Solana RPC, so market cap is
+// available the moment a token starts trading (DexScreener lags new pump.fun
+// tokens by minutes, sometimes hours).
+//
+// Price, first source that answers:
+//   1. Pool reserves — vaults learned from parsed swaps (observePool).
+//        • pump.fun bonding curve: virtual SOL / virtual token reserves decoded
+//          from the curve account (the token vault's owner)
+//        • constant-product AMMs: quote vault / token vault balances
+//      Concentrated-liquidity pools (CLMM, Whirlpool, DLMM) are skipped — their
+//      vault ratio says nothing about the current price.
+//      A pool price more than POOL_TRADE_MAX_RATIO× off the latest swap's implied
+//      price is discarded — a misread pool must never reach market cap / ATHs.
+//   2. The latest observed swap's implied price (observeTrade), if recent.
+// Supply: getTokenSupply minus whatever burn / locked addresses hold.
+// Callers fall back to DexScreener when this returns null.
+//
+// pump.fun curves are also tracked for progress: every curve read records SOL
+// raised against the SOL the curve holds once its last token sells, and whether
+// it has completed (graduated). The curve address is learned from swaps, or
+// derived from the mint (trackCurve) — it's the PDA ["bonding-curve", mint].
+const crypto = require('crypto');
+
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const CONSTANT_PRODUCT_PROGRAMS = new Set([
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', // Raydium CPMM
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',  // PumpSwap
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP', // Orca v2
+  'Eo7WjKq67rjJQDd1d1ck1DnpxjkK3jFHXKRkBVtiTEkF', // Meteora AMM
+]);
+// Well-known burn address — always excluded from circulating supply
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+
+const PRICE_TTL_MS = 30 * 1000;
+const SUPPLY_TTL_MS = 30 * 60 * 1000;
+const TRADE_PRICE_MAX_AGE_MS = 15 * 60 * 1000;
+const POOL_TRADE_MAX_RATIO = 2;
+
+// pump.fun BondingCurve account: 8-byte discriminator, then u64 virtual token
+// reserves, u64 virtual SOL reserves, u64 real token, u64 real SOL, u64 total
+// supply, bool complete
+function decodeBondingCurve(data) {
+  if (data.length < 49) return null;
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves:   data.readBigUInt64LE(16),
+    realTokenReserves:    data.readBigUInt64LE(24),
+    realSolReserves:      data.readBigUInt64LE(32),
+    complete:             data[48] === 1,
+  };
+}
+
+// Constant product: once the remaining real tokens are bought, virtual SOL grows
+// to virtualSol × virtualToken / (virtualToken − realToken). That growth plus
+// what's already raised is the completion target.
+function curveProgress(curve) {
+  const { virtualTokenReserves: vT, virtualSolReserves: vS, realTokenReserves: rT, realSolReserves: rS } = curve;
+  const solRaised = Number(rS) / 1e9;
+  if (curve.complete || rT === 0n || vT <= rT) return { solRaised, targetSol: solRaised, progressPct: 100 };
+  const targetSol = Number(rS + (vS * vT) / (vT - rT) - vS) / 1e9;
+  return { solRaised, targetSol, progressPct: targetSol > 0 ? Math.min((solRaised / targetSol) * 100, 100) : 0 };
+}
+
+// ── Program-derived addresses ──
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Decode(str) {
+  let n = 0n;
+  for (const ch of str) {
+    const v = BASE58.indexOf(ch);
+    if (v < 0) throw new Error(`invalid base58 character "${ch}"`);
+    n = n * 58n + BigInt(v);
+  }
+  const bytes = [];
+  for (; n > 0n; n >>= 8n) bytes.unshift(Number(n & 0xffn));
+  for (const ch of str) { if (ch !== '1') break; bytes.unshift(0); }
+  return Buffer.from(bytes);
+}
+
+function base58Encode(buf) {
+  let n = BigInt('0x' + (buf.toString('hex') || '0'));
+  let out = '';
+  for (; n > 0n; n /= 58n) out = BASE58[Number(n % 58n)] + out;
+  for (const byte of buf) { if (byte !== 0) break; out = '1' + out; }
+  return out;
+}
+
+// ed25519: is this 32-byte string a valid compressed point? PDAs must not be.
+const ED_P = 2n ** 255n - 19n;
+function modPow(base, exp) {
+  let result = 1n;
+  for (base %= ED_P; exp > 0n; exp >>= 1n, base = (base * base) % ED_P) if (exp & 1n) result = (result * base) % ED_P;
+  return result;
+}
+const ED_D = (-121665n * modPow(121666n, ED_P - 2n)) % ED_P + ED_P;
+
+function isOnCurve(bytes) {
+  const y = BigInt('0x' + Buffer.from(bytes).reverse().toString('hex')) & ((1n << 255n) - 1n);
+  if (y >= ED_P) return false;
+  const y2 = (y * y) % ED_P;
+  const x2 = ((y2 - 1n + ED_P) * modPow((ED_D * y2 + 1n) % ED_P, ED_P - 2n)) % ED_P;
+  if (x2 === 0n) return (bytes[31] & 0x80) === 0; // x = 0 can't carry a sign bit
+  return modPow(x2, (ED_P - 1n) / 2n) === 1n; // x² must be a square
+}
+
+// Same search as Solana's findProgramAddress: highest bump that lands off the curve
+function findProgramAddress(seeds, programId) {
+  const program = base58Decode(programId);
+  for (let bump = 255; bump >= 0; bump--) {
+    const hash = crypto.createHash('sha256')
+      .update(Buffer.concat([...seeds, Buffer.from([bump]), program, Buffer.from('ProgramDerivedAddress')]))
+      .digest();
+    if (!isOnCurve(hash)) return base58Encode(hash);
+  }
+  throw new Error('no viable bump');
+}
+
+const bondingCurveAddress = (mint) => findProgramAddress([Buffer.from('bonding-curve'), base58Decode(mint)], PUMP_FUN_PROGRAM);
+
+// rpc(method, params) → result (throws when every endpoint fails)
+// quotePriceUsd(mint) → USD per quote token (WSOL included), 0 when unknown
+function createPricing({ rpc, quotePriceUsd }) {
+  const pools  = new Map(); // mint → { programId, tokenVault, vaultOwner, quoteVault, quoteMint, decimals }
+  const trades = new Map(); // mint → { price, ts }
+  const curves = new Map(); // mint → { address, state: { solRaised, targetSol, progressPct, complete, ts } | null }
+  const notCurves = new Set(); // mints whose derived curve account doesn't exist — not pump.fun tokens
+  const priceCache  = new Map(); // mint → { price, source, ts }
+  const supplyCache = new Map(); // `${mint}|${excluded}` → { supply, ts }
+
+  async function poolPrice(mint) {
+    const pool = pools.get(mint);
+    if (!pool) return null;
+
+    if (!pool.quoteVault) {
+      // No quote-token vault moved — native SOL pool, i.e. a pump.fun curve
+      const curve = await readCurve(mint, pool.vaultOwner);
+      if (!curve || curve.complete || curve.virtualTokenReserves === 0n) return null; // graduated — next swap teaches us the AMM pool
+      const sol = Number(curve.virtualSolReserves) / 1e9;
+      const tokens = Number(curve.virtualTokenReserves) / 10 ** pool.decimals;
+      const solUsd = quotePriceUsd('So11111111111111111111111111111111111111112');
+      return solUsd > 0 ? (sol / tokens) * solUsd : null;
+    }
+
+    if (!CONSTANT_PRODUCT_PROGRAMS.has(pool.programId)) return null;
+    const res = await rpc('getMultipleAccounts', [[pool.tokenVault, pool.quoteVault], { encoding: 'jsonParsed' }]);
+    const [tokenAcc, quoteAcc] = res?.value || [];
+    const tokenReserve = tokenAcc?.data?.parsed?.info?.tokenAmount?.uiAmount;
+    const quoteReserve = quoteAcc?.data?.parsed?.info?.tokenAmount?.uiAmount;
+    const quoteUsd = quotePriceUsd(pool.quoteMint);
+    if (!(tokenReserve > 0) || !(quoteReserve > 0) || !(quoteUsd > 0)) return null;
+    return (quoteReserve / tokenReserve) * quoteUsd;
+  }
+
+  // Decode the curve account and record its progress → decoded curve or null.
+  // A derived address with no pump.fun account behind it is forgotten.
+  async function readCurve(mint, address) {
+    const info = await rpc('getAccountInfo', [address, { encoding: 'base64' }]);
+    if (info?.value?.owner !== PUMP_FUN_PROGRAM) {
+      if (curves.get(mint)?.derived) {
+        curves.delete(mint);
+        notCurves.add(mint);
+      }
+      return null;
+    }
+    const curve = decodeBondingCurve(Buffer.from(info.value.data[0], 'base64'));
+    if (!curve) return null;
+    curves.set(mint, { address, state: { ...curveProgress(curve), complete: curve.complete, ts: Date.now() } }); // no longer `derived`
+    return curve;
+  }
+
+  // Token amount held by an address — a wallet (all its accounts for the mint)
+  // or a token account itself
+  async function heldBy(address, mint) {
+    const owned = await rpc('getTokenAccountsByOwner', [address, { mint }, { encoding: 'jsonParsed' }]);
+    const accounts = owned?.value || [];
+    if (accounts.length > 0) {
+      return accounts.reduce((sum, a) => sum + (a.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0), 0);
+    }
+    try {
+      const bal = await rpc('getTokenAccountBalance', [address]);
+      return bal?.value?.uiAmount || 0;
+    } catch {
+      return 0; // not a token account
+    }
+  }
+
+  return {
+    observePool(mint, pool) {
+      if (!mint || !pool?.tokenVault) return;
+      pools.set(mint, pool);
+      if (pool.programId === PUMP_FUN_PROGRAM && !pool.quoteVault && !curves.has(mint)) {
+        curves.set(mint, { address: pool.vaultOwner, state: null });
+      }
+    },
+    observeTrade(mint, price, ts = Date.now()) {
+      if (!(price > 0)) return;
+      const prev = trades.get(mint);
+      if (!prev || ts >= prev.ts) trades.set(mint, { price, ts });
+    },
+
+    // → { price, source: 'pool' | 'trade' } or null
+    async getPrice(mint) {
+      const cached = priceCache.get(mint);
+      if (cached && Date.now() - cached.ts < PRICE_TTL_MS) return cached;
+      let result = null;
+      const trade = trades.get(mint);
+      const recent = trade && Date.now() - trade.ts < TRADE_PRICE_MAX_AGE_MS ? trade : null;
+      try {
+        const price = await poolPrice(mint);
+        const ratio = price > 0 && recent ? Math.max(price / recent.price, recent.price / price) : 1;
+        if (ratio > POOL_TRADE_MAX_RATIO) {
+          console.warn(`[PRICING] Pool price for ${mint.slice(0, 8)} is ${ratio.toFixed(1)}× off the last swap — ignored`);
+        } else if (price > 0) {
+          result = { price, source: 'pool' };
+        }
+      } catch (e) {
+        console.warn(`[PRICING] Pool read failed for ${mint.slice(0, 8)}:`, e.message);
+      }
+      if (!result && recent) result = { price: recent.price, source: 'trade' };
+      if (result) priceCache.set(mint, { ...result, ts: Date.now() });
+      return result;
+    },
+
+    // Total supply minus burn / locked holdings, or null when RPC fails
+    async getCirculatingSupply(mint, excluded = []) {
+      const addresses = [...new Set([INCINERATOR, ...excluded])];
+      const key = `${mint}|${addresses.join(',')}`;
+      const cached = supplyCache.get(key);
+      if (cached && Date.now() - cached.ts < SUPPLY_TTL_MS) return cached.supply;
+      try {
+        const res = await rpc('getTokenSupply', [mint]);
+        const { amount, decimals } = res?.value || {};
+        if (amount == null) return null;
+        let supply = Number(amount) / 10 ** decimals;
+        for (const address of addresses) supply -= await heldBy(address, mint);
+        supply = Math.max(supply, 0);
+        supplyCache.set(key, { supply, ts: Date.now() });
+        return supply;
+      } catch (e) {
+        console.warn(`[PRICING] Supply read failed for ${mint.slice(0, 8)}:`, e.message);
+        return null;
+      }
+    },
+
+    hasPool: (mint) => pools.has(mint),
+
+    // Last recorded curve progress → { solRaised, targetSol, progressPct, complete, ts } or null
+    bondingCurve: (mint) => curves.get(mint)?.state || null,
+    // Start tracking a mint's curve at its derived address — for mints no curve
+    // swap has been seen for (e.g. since a restart). Mints found not to be
+    // pump.fun tokens are skipped.
+    trackCurve(mint) {
+      if (curves.has(mint) || notCurves.has(mint)) return;
+      try {
+        curves.set(mint, { address: bondingCurveAddress(mint), state: null, derived: true });
+      } catch {
+        notCurves.add(mint); // not a base58 address
+      }
+    },
+    // Every mint with a known curve, completed ones included — a completion first
+    // noticed by a price read still needs its graduation announced
+    curveMints: () => [...curves.keys()],
+    // Re-read a known curve → its progress, or null (no curve known / read failed)
+    async refreshBondingCurve(mint) {
+      const known = curves.get(mint);
+      if (!known) return null;
+      try {
+        await readCurve(mint, known.address);
+      } catch (e) {
+        console.warn(`[PRICING] Curve read failed for ${mint.slice(0, 8)}:`, e.message);
+      }
+      return curves.get(mint)?.state || null;
+    },
+  };
+}
+
+module.exports = { createPricing };
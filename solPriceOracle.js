@@ -0,0 +1,114 @@
+// ─── SOL Price Oracle ──────────────────────────────────────────────────────────
+// SOL/USD from several independent sources, combined as a median so one bad or
+// lagging feed can't skew every alert. refresh() polls them all in parallel; the
+// last good median is kept when every source fails, and reported stale once it
+// is older than staleMs so callers can mark USD values as estimates.
+//
+// Sources:
+//   • pyth      — on-chain Pyth PriceUpdateV2 account (sponsored SOL/USD feed),
+//                 read over RPC; rejected when its publish time is too old
+//   • coingecko, kraken, coinbase, binance — public HTTP tickers
+// A source more than OUTLIER_PCT off the median is flagged in health().
+const PYTH_SOL_USD_ACCOUNT = '7UVimffxr9ow1uXYxsr4LHAcV58mLzhmwaeKvJ1pjLiE';
+const PYTH_MAX_AGE_MS = 2 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 8000;
+const OUTLIER_PCT = 5;
+
+async function getJson(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+// Pyth receiver PriceUpdateV2: 8-byte discriminator, 32-byte write authority,
+// verification level (borsh enum: 0 = Partial { u8 }, 1 = Full), then the price
+// message — 32-byte feed id, i64 price, u64 conf, i32 exponent, i64 publish time.
+function decodePythPriceUpdate(data) {
+  const levelTag = data[40];
+  if (levelTag !== 0 && levelTag !== 1) return null;
+  const msg = 40 + (levelTag === 0 ? 2 : 1) + 32;
+  if (data.length < msg + 28) return null;
+  const price = data.readBigInt64LE(msg);
+  const exponent = data.readInt32LE(msg + 16);
+  const publishTime = Number(data.readBigInt64LE(msg + 20));
+  return { price: Number(price) * 10 ** exponent, publishTime: publishTime * 1000 };
+}
+
+function buildSources({ rpc, pythAccount }) {
+  return {
+    pyth: async () => {
+      const info = await rpc('getAccountInfo', [pythAccount, { encoding: 'base64' }]);
+      if (!info?.value) throw new Error('price account not found');
+      const update = decodePythPriceUpdate(Buffer.from(info.value.data[0], 'base64'));
+      if (!update) throw new Error('unrecognised price account layout');
+      if (Date.now() - update.publishTime > PYTH_MAX_AGE_MS) throw new Error('feed not updated recently');
+      return update.price;
+    },
+    coingecko: async () => {
+      const data = await getJson('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd');
+      return data?.solana?.usd;
+    },
+    kraken: async () => {
+      const data = await getJson('https://api.kraken.com/0/public/Ticker?pair=SOLUSD');
+      return parseFloat(data?.result?.SOLUSD?.c?.[0]);
+    },
+    coinbase: async () => {
+      const data = await getJson('https://api.coinbase.com/v2/prices/SOL-USD/spot');
+      return parseFloat(data?.data?.amount);
+    },
+    binance: async () => {
+      const data = await getJson('https://api.binance.com/api/v3/ticker/price?symbol=SOLUSDT');
+      return parseFloat(data?.price);
+    },
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// rpc(method, params) → result (throws when every endpoint fails)
+function createSolPriceOracle({ rpc, pythAccount = PYTH_SOL_USD_ACCOUNT, staleMs = 5 * 60 * 1000 } = {}) {
+  const sources = buildSources({ rpc, pythAccount });
+  const health = new Map(); // name → { price, okAt, error, failures, outlier }
+  for (const name of Object.keys(sources)) health.set(name, { price: null, okAt: null, error: null, failures: 0, outlier: false });
+  let current = { price: 0, updatedAt: null, sourceCount: 0 };
+
+  return {
+    // Poll every source; → { price, sourceCount } or null when all failed
+    async refresh() {
+      const names = Object.keys(sources);
+      const results = await Promise.allSettled(names.map((name) => sources[name]()));
+      const quotes = [];
+      results.forEach((r, i) => {
+        const h = health.get(names[i]);
+        if (r.status === 'fulfilled' && r.value > 0) {
+          Object.assign(h, { price: r.value, okAt: Date.now(), error: null, failures: 0 });
+          quotes.push(r.value);
+        } else {
+          Object.assign(h, { error: r.reason?.message || 'no price', failures: h.failures + 1, outlier: false });
+        }
+      });
+      if (quotes.length === 0) return null;
+
+      const price = median(quotes);
+      for (const h of health.values()) {
+        if (!h.error) h.outlier = Math.abs(h.price - price) / price * 100 > OUTLIER_PCT;
+      }
+      current = { price, updatedAt: Date.now(), sourceCount: quotes.length };
+      return { price, sourceCount: quotes.length };
+    },
+
+    price: () => current.price,
+    // ms since the last successful refresh, null before the first
+    ageMs: () => (current.updatedAt ? Date.now() - current.updatedAt : null),
+    isStale: () => !current.updatedAt || Date.now() - current.updatedAt > staleMs,
+    sourceCount: () => current.sourceCount,
+    // → [{ name, price, okAt, error, failures, outlier }]
+    health: () => [...health.entries()].map(([name, h]) => ({ name, ...h })),
+  };
+}
+
+module.exports = { createSolPriceOracle };